@@ -0,0 +1,153 @@
+const bs58 = require('bs58');
+const { isString, isUndefined } = require('lodash');
+
+const Networks = require('./networks');
+const { AddressError } = require('./errors');
+const { CHECKSUM_LENGTH, toBase58Check, fromBase58Check } = require('./utils/hash');
+
+const HASH_LENGTH = 20;
+const PAYLOAD_LENGTH = 1 + HASH_LENGTH + CHECKSUM_LENGTH;
+const REGEX_HASH = /^(0x)?[0-9a-fA-F]{40}$/;
+
+const P2PKH = 'p2pkh';
+const P2SH = 'p2sh';
+
+// Reasons of the AddressErrors
+const ERROR_CODES = {
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_LENGTH: 'INVALID_LENGTH',
+  INVALID_CHECKSUM: 'INVALID_CHECKSUM',
+  UNKNOWN_VERSION: 'UNKNOWN_VERSION',
+  WRONG_NETWORK: 'WRONG_NETWORK',
+};
+
+/**
+ * Local base58check conversion and validation of VIPSTARCOIN addresses, without a node round-trip.
+ */
+class Address {
+  /**
+   * Decodes a base58check address and verifies its checksum, without checking its version byte.
+   * @param {string} address The base58check address.
+   * @return {object} The decoded address as { version, hex }.
+   */
+  static decode(address) {
+    if (!isString(address)) {
+      throw new AddressError('address must be a string.', { code: ERROR_CODES.INVALID_FORMAT, address });
+    }
+
+    let bytes;
+    try {
+      bytes = bs58.decode(address);
+    } catch (err) {
+      throw new AddressError(`${address} is not base58 encoded.`, { code: ERROR_CODES.INVALID_FORMAT, address });
+    }
+    // The length is checked first so a truncated address is not reported as an invalid checksum
+    if (bytes.length !== PAYLOAD_LENGTH) {
+      throw new AddressError(
+        `${address} has ${bytes.length} bytes instead of ${PAYLOAD_LENGTH}.`,
+        { code: ERROR_CODES.INVALID_LENGTH, address },
+      );
+    }
+
+    let payload;
+    try {
+      payload = fromBase58Check(address);
+    } catch (err) {
+      throw new AddressError(`${address} has an invalid checksum.`, { code: ERROR_CODES.INVALID_CHECKSUM, address });
+    }
+
+    return { version: payload[0], hex: payload.slice(1).toString('hex') };
+  }
+
+  /**
+   * Parses a base58check address and verifies its checksum and network.
+   * @param {string} address The VIPSTARCOIN address.
+   * @param {string|object} network Network name or object the address must belong to. Any known network if undefined.
+   * @return {object} The address as { address, hex, version, type, network }, where type is 'p2pkh' or 'p2sh'.
+   *    Testnet is returned for regtest addresses if network is undefined since they share their version bytes.
+   */
+  static parse(address, network) {
+    const { version, hex } = Address.decode(address);
+    const params = isUndefined(network) ? Networks.getNetworkByVersion(version) : Networks.getNetwork(network);
+    if (!params) {
+      throw new AddressError(
+        `${address} has the unknown version byte ${version}.`,
+        { code: ERROR_CODES.UNKNOWN_VERSION, address },
+      );
+    }
+
+    let type;
+    if (version === params.pubKeyHash) {
+      type = P2PKH;
+    } else if (version === params.scriptHash) {
+      type = P2SH;
+    } else {
+      throw new AddressError(
+        `${address} is not an address of ${params.name}.`,
+        { code: ERROR_CODES.WRONG_NETWORK, address },
+      );
+    }
+
+    return {
+      address,
+      hex,
+      version,
+      type,
+      network: params,
+    };
+  }
+
+  /**
+   * Validates an address without throwing.
+   * @param {string} address The VIPSTARCOIN address.
+   * @param {string|object} network Network name or object the address must belong to. Any known network if undefined.
+   * @return {object} The parsed address with valid: true, or { valid: false, error } with the AddressError.
+   */
+  static validate(address, network) {
+    try {
+      return Object.assign({ valid: true }, Address.parse(address, network));
+    } catch (err) {
+      if (!(err instanceof AddressError)) {
+        throw err;
+      }
+      return { valid: false, error: err };
+    }
+  }
+
+  /**
+   * Converts an address to its 20 bytes hex hash, like the gethexaddress RPC.
+   * @param {string} address The VIPSTARCOIN address.
+   * @param {string|object} network Network name or object the address must belong to. Any known network if undefined.
+   * @return {string} The hex hash without the 0x prefix.
+   */
+  static toHex(address, network) {
+    return Address.parse(address, network).hex;
+  }
+
+  /**
+   * Converts a 20 bytes hex hash to an address, like the fromhexaddress RPC.
+   * @param {string} hex The hex hash, with or without the 0x prefix.
+   * @param {string|object} network Network name or object of the address (default: 'testnet').
+   * @param {string} type Type of the address, 'p2pkh' or 'p2sh' (default: 'p2pkh').
+   * @return {string} The VIPSTARCOIN address.
+   */
+  static fromHex(hex, network = Networks.testnet, type = P2PKH) {
+    if (!isString(hex) || !REGEX_HASH.test(hex)) {
+      throw new AddressError('hex must be a 20 bytes hex string.', { code: ERROR_CODES.INVALID_FORMAT, address: hex });
+    }
+    if (type !== P2PKH && type !== P2SH) {
+      throw Error(`type must be ${P2PKH} or ${P2SH}.`);
+    }
+
+    const params = Networks.getNetwork(network);
+    const version = type === P2PKH ? params.pubKeyHash : params.scriptHash;
+    const payload = Buffer.concat([Buffer.from([version]), Buffer.from(hex.replace(/^0x/, ''), 'hex')]);
+    return toBase58Check(payload);
+  }
+}
+
+Address.P2PKH = P2PKH;
+Address.P2SH = P2SH;
+Address.ERROR_CODES = ERROR_CODES;
+
+module.exports = Address;
@@ -0,0 +1,286 @@
+const { assign, cloneDeep, isEmpty, isFinite, isFunction, isPlainObject, omit } = require('lodash');
+
+const DEFAULT_MAX_SIZE = 1000;
+const DEFAULT_CONFIRMATIONS = 6;
+
+/**
+ * Checks if the result of a call has the number of confirmations.
+ * @param {number} confirmations Number of confirmations to be cacheable.
+ * @param {object} result Result of the call with a confirmations field.
+ * @return {boolean} If the result has the confirmations.
+ */
+const isConfirmed = (confirmations, result) => !!result && result.confirmations >= confirmations;
+
+/**
+ * Checks if a block height is deep enough below the tip to not be reorganized.
+ * @param {number} confirmations Number of confirmations to be cacheable.
+ * @param {number} height Block height.
+ * @param {number} tip Current block count.
+ * @return {boolean} If the height has the confirmations.
+ */
+const isDeep = (confirmations, height, tip) => isFinite(height) && (tip - height) + 1 >= confirmations;
+
+// Conditions under which the results of the RPC methods never change, by method.
+// Rules which need the current block count to decide have needsTip. hasConfirmations(params) is true for the
+// verbose results with a confirmations field, which grows with every block and is recomputed on a hit.
+const CACHE_RULES = {
+  // getBlock(hash, verbose), the raw block of a hash never changes
+  getblock: {
+    needsTip: false,
+    hasConfirmations: params => params[1] !== false,
+    isCacheable: ({ confirmations, params, result }) => params[1] === false || isConfirmed(confirmations, result),
+  },
+  // getBlockHeader(hash, verbose)
+  getblockheader: {
+    needsTip: false,
+    hasConfirmations: params => params[1] !== false,
+    isCacheable: ({ confirmations, params, result }) => params[1] === false || isConfirmed(confirmations, result),
+  },
+  // getBlockHash(height) below the confirmation depth
+  getblockhash: {
+    needsTip: true,
+    hasConfirmations: () => false,
+    isCacheable: ({ confirmations, params, tip }) => isDeep(confirmations, params[0], tip),
+  },
+  // getTransaction(txid) of a confirmed wallet transaction
+  gettransaction: {
+    needsTip: false,
+    hasConfirmations: () => true,
+    isCacheable: ({ confirmations, result }) => isConfirmed(confirmations, result),
+  },
+  // getrawtransaction(txid, verbose), the raw transaction of a txid never changes
+  getrawtransaction: {
+    needsTip: false,
+    hasConfirmations: params => !!params[1],
+    isCacheable: ({ confirmations, params, result }) => !params[1] || isConfirmed(confirmations, result),
+  },
+  // getTransactionReceipt(txid) of a transaction mined below the confirmation depth
+  gettransactionreceipt: {
+    needsTip: true,
+    hasConfirmations: () => false,
+    isCacheable: ({ confirmations, result, tip }) =>
+      !isEmpty(result) && isDeep(confirmations, result[0].blockNumber, tip),
+  },
+};
+
+/**
+ * In-memory store which evicts the least recently used entry once it is full.
+ * Stores implementing get(key) and set(key, value), optionally async and with clear(), can be used instead.
+ */
+class MemoryStore {
+  /**
+   * Constructor.
+   * @param {number} maxSize Maximum number of entries (default: 1000).
+   */
+  constructor(maxSize = DEFAULT_MAX_SIZE) {
+    if (!isFinite(maxSize) || maxSize < 1) {
+      throw Error('maxSize must be a positive number.');
+    }
+
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of entries in the store.
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Gets an entry and marks it as the most recently used.
+   * @param {string} key Key of the entry.
+   * @return {any} The value, or undefined if not stored.
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Sets an entry and evicts the least recently used one if the store is full.
+   * @param {string} key Key of the entry.
+   * @param {any} value Value of the entry.
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes all the entries.
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Middleware which caches the results of RPC calls which never change, eg. getblock of a confirmed block.
+ * Add it with provider.use(cache.middleware) or vweb3.useCache(options).
+ */
+class Cache {
+  /**
+   * Constructor.
+   * @param {Vweb3Provider} provider Provider used to get the block count for the rules which need it.
+   * @param {object} options Cache options.
+   *    store: store with get(key) and set(key, value), sync or async (default: MemoryStore of maxSize)
+   *    maxSize: maximum number of entries of the default MemoryStore (default: 1000)
+   *    confirmations: number of confirmations for a result to be cached (default: 6)
+   */
+  constructor(provider, options = {}) {
+    if (!provider || !isFunction(provider.rawCall)) {
+      throw Error('provider is not a compatible Vweb3 Provider.');
+    }
+
+    const { maxSize = DEFAULT_MAX_SIZE, confirmations = DEFAULT_CONFIRMATIONS } = options;
+    const store = options.store || new MemoryStore(maxSize);
+    if (!isFunction(store.get) || !isFunction(store.set)) {
+      throw Error('store must implement get(key) and set(key, value).');
+    }
+    if (!isFinite(confirmations) || confirmations < 1) {
+      throw Error('confirmations must be a positive number.');
+    }
+
+    this.provider = provider;
+    this.store = store;
+    this.confirmations = confirmations;
+    this.hits = 0;
+    this.misses = 0;
+    this.tip = undefined;
+    this.middleware = (req, next) => this.handle(req, next);
+  }
+
+  /**
+   * Checks if an RPC method can be cached.
+   * @param {string} method The RPC method.
+   * @return {boolean} If the results of the method can be cached under some conditions.
+   */
+  static isCacheableMethod(method) {
+    return !!CACHE_RULES[method];
+  }
+
+  /**
+   * Builds the store key of a request.
+   * @param {string} method The RPC method.
+   * @param {array} params The RPC params.
+   * @return {string} The key.
+   */
+  static getKey(method, params) {
+    return `${method}:${JSON.stringify(params || [])}`;
+  }
+
+  /**
+   * Gets the block count for the rules which need it. Concurrent misses, eg. of a batch, share the same request.
+   * @return {Promise} The block count, or undefined if it is not available.
+   */
+  getTip() {
+    if (!this.tip) {
+      // Do not fail the call if the block count is not available, the result is only not cached
+      this.tip = this.provider.rawCall('getblockcount').catch(() => undefined);
+      this.tip.then(() => {
+        this.tip = undefined;
+      });
+    }
+    return this.tip;
+  }
+
+  /**
+   * Gets the result of a cache entry. The confirmations are the cached ones plus the blocks mined since.
+   * @param {object} entry The cache entry { result, confirmations, tip }.
+   * @return {Promise} The result, or undefined if its confirmations can not be recomputed.
+   */
+  async getCachedResult(entry) {
+    if (entry.tip === undefined) {
+      return cloneDeep(entry.result);
+    }
+
+    const tip = await this.getTip();
+    if (tip === undefined) {
+      return undefined;
+    }
+    return assign(cloneDeep(entry.result), { confirmations: entry.confirmations + (tip - entry.tip) });
+  }
+
+  /**
+   * Returns the cached result of a request, or executes it and caches the result if it never changes.
+   * The confirmations field is not cached as is but recomputed from the block count on a hit.
+   * @param {object} req The request { method, params }.
+   * @param {function} next Executes the request.
+   * @return {Promise} Result of the call.
+   */
+  async handle(req, next) {
+    const rule = CACHE_RULES[req.method];
+    if (!rule) {
+      return next();
+    }
+
+    const params = req.params || [];
+    const key = Cache.getKey(req.method, params);
+    const entry = await this.store.get(key);
+    const cached = entry === undefined ? undefined : await this.getCachedResult(entry);
+    if (cached !== undefined) {
+      this.hits += 1;
+      return cached;
+    }
+
+    this.misses += 1;
+    const hasConfirmations = rule.hasConfirmations(params);
+    const [result, tip] = await Promise.all([
+      next(),
+      rule.needsTip || hasConfirmations ? this.getTip() : undefined,
+    ]);
+    if (result === undefined || !rule.isCacheable({ confirmations: this.confirmations, params, result, tip })) {
+      return result;
+    }
+
+    if (!hasConfirmations || !isPlainObject(result)) {
+      await this.store.set(key, { result: cloneDeep(result) });
+    } else if (tip !== undefined) {
+      // Store the block count with the confirmations to recompute them on a hit
+      await this.store.set(key, {
+        result: omit(cloneDeep(result), 'confirmations'),
+        confirmations: result.confirmations,
+        tip,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Gets the hit and miss counts since the creation of the cache or the last clear().
+   * @return {object} The stats as { hits, misses, hitRate }.
+   */
+  stats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total === 0 ? 0 : this.hits / total,
+    };
+  }
+
+  /**
+   * Removes the cached results if the store supports it and resets the stats.
+   * @return {Promise} Resolves once the store is cleared.
+   */
+  async clear() {
+    if (isFunction(this.store.clear)) {
+      await this.store.clear();
+    }
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+module.exports = { Cache, MemoryStore };
@@ -1,20 +1,99 @@
+const { difference } = require('lodash');
+
+// RPC methods which only read state and can be safely retried
+const IDEMPOTENT_METHODS = [
+  'callcontract',
+  'createrawtransaction',
+  'decoderawtransaction',
+  'decodescript',
+  'fromhexaddress',
+  'getaccount',
+  'getaccountinfo',
+  'getaddressutxos',
+  'getaddressesbyaccount',
+  'getbalance',
+  'getbestblockhash',
+  'getblock',
+  'getblockchaininfo',
+  'getblockcount',
+  'getblockhash',
+  'getblockheader',
+  'getchaintips',
+  'getcheckpoint',
+  'getconnectioncount',
+  'getdifficulty',
+  'gethexaddress',
+  'getinfo',
+  'getmempoolancestors',
+  'getmempooldescendants',
+  'getmempoolentry',
+  'getmempoolinfo',
+  'getnetworkinfo',
+  'getpeerinfo',
+  'getrawmempool',
+  'getrawtransaction',
+  'getstorage',
+  'gettransaction',
+  'gettransactionreceipt',
+  'gettxout',
+  'getunconfirmedbalance',
+  'getwalletinfo',
+  'listaddressgroupings',
+  'listcontracts',
+  'listlockunspent',
+  'listunspent',
+  'searchlogs',
+  'validateaddress',
+];
+
+// Read methods which depend on the wallet or the connections of the node, ie. return different results on other nodes
+const NODE_METHODS = [
+  'getaccount',
+  'getaddressesbyaccount',
+  'getbalance',
+  'getconnectioncount',
+  'getinfo',
+  'getnetworkinfo',
+  'getpeerinfo',
+  'gettransaction',
+  'getunconfirmedbalance',
+  'getwalletinfo',
+  'listaddressgroupings',
+  'listlockunspent',
+  'listunspent',
+  'validateaddress',
+];
+
+// Read methods which need an index the node only builds if started with -addrindex or -logevents
+const INDEX_METHODS = [
+  'getaddressutxos',
+  'gettransactionreceipt',
+  'searchlogs',
+];
+
 module.exports = {
   // Types
   ADDRESS: 'address',
+  ARRAY: 'array',
   BOOL: 'bool',
   BYTES: 'bytes',
+  INT: 'int',
   STRING: 'string',
+  TUPLE: 'tuple',
+  UINT: 'uint',
 
   // Regex
-  REGEX_UINT: /^uint\d+/,
-  REGEX_INT: /^int\d+/,
-  REGEX_BYTES: /bytes([1-9]|[12]\d|3[0-2])$/,
-  REGEX_NUMBER: /[0-9]+/g,
-  REGEX_STATIC_ARRAY: /\w+\[\d+\]/,
-  REGEX_STATIC_ADDRESS_ARRAY: /address\[\d+\]/,
-  REGEX_STATIC_BOOL_ARRAY: /bool\[\d+\]/,
-  REGEX_STATIC_BYTES_ARRAY: /bytes([1-9]|[12]\d|3[0-2])(\[[0-9]+\])$/,
-  REGEX_DYNAMIC_ARRAY: /\w+\[\]/,
+  REGEX_ELEMENTARY_TYPE: /^(u?int|bytes)(\d*)$|^(address|bool|string)$/,
+  REGEX_ARRAY_SUFFIX: /\[(\d*)\]$/,
+  REGEX_ADDRESS: /^([0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{34})$/,
+
+  // RPC methods
+  IDEMPOTENT_METHODS,
+  NODE_METHODS,
+  INDEX_METHODS,
+
+  // Read methods which return the same result on any synced node
+  READ_METHODS: difference(IDEMPOTENT_METHODS, NODE_METHODS, INDEX_METHODS),
 
   // Misc
   MAX_HEX_CHARS_PER_BYTE: 64,
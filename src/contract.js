@@ -1,11 +1,30 @@
 const { initProvider } = require('./providers');
+const { waitForReceipt } = require('./wait-for-receipt');
+const EventSubscription = require('./event-subscription');
+const { Vweb3Error, ContractExecutionError } = require('./errors');
 const Utils = require('./utils');
+const Address = require('./address');
+const Networks = require('./networks');
 const Encoder = require('./formatters/encoder');
 const Decoder = require('./formatters/decoder');
 
 const DEFAULT_AMOUNT = 0;
 const DEFAULT_GAS_LIMIT = 250000;
+const DEFAULT_DEPLOY_GAS_LIMIT = 2500000;
 const DEFAULT_GAS_PRICE = 0.0000004;
+const GAS_LIMIT_AUTO = 'auto';
+const DEFAULT_GAS_LIMIT_MULTIPLIER = 1.2;
+const DEFAULT_MAX_GAS_LIMIT = 40000000;
+const EXCEPTED_NONE = 'None';
+const READ_ONLY_MUTABILITIES = ['view', 'pure'];
+
+/**
+ * Checks if an ABI function does not modify the state, ie. it should be called and not sent.
+ * @param {object} methodObj The ABI function object.
+ * @return {boolean} If the function is view or pure.
+ */
+const isReadOnly = methodObj =>
+  methodObj.constant === true || READ_ONLY_MUTABILITIES.indexOf(methodObj.stateMutability) !== -1;
 
 class Contract {
   /**
@@ -13,34 +32,264 @@ class Contract {
    * @param {string|Vweb3Provider} provider Either URL string to create HttpProvider or a Vweb3 compatible provider.
    * @param {string} address Address of the contract.
    * @param {array} abi ABI of the contract.
+   * @param {object} options Contract options.
+   *    network: network name or object the senderAddress and the address args must belong to. Not checked if
+   *      undefined and getNetwork is not given.
+   *    getNetwork: async function resolving the network if it is undefined, called once before the first call, send
+   *      or gas estimation. Contracts of vweb3.Contract() use vweb3.getNetwork().
    */
-  constructor(provider, address, abi) {
+  constructor(provider, address, abi, options = {}) {
     this.provider = initProvider(provider);
     this.address = Utils.trimHexPrefix(address);
     this.abi = abi;
+    this.network = options.network ? Networks.getNetwork(options.network) : undefined;
+    this.networkResolver = options.getNetwork;
+
+    // Create a subscription function for every event, eg. contract.events.Transfer({ fromBlock, filter })
+    this.events = {};
+    (abi || []).filter(item => item.type === 'event').forEach((eventAbi) => {
+      this.events[eventAbi.name] = subscriptionOptions =>
+        new EventSubscription(this.provider, this.address, this.abi, eventAbi.name, subscriptionOptions);
+    });
+
+    // Create a method proxy for every function by name and signature, eg. contract.methods.transfer(to, amount)
+    this.methods = {};
+    (abi || []).filter(item => !item.type || item.type === 'function').forEach((methodObj) => {
+      [methodObj.name, Encoder.methodSignature(methodObj)].forEach((key) => {
+        this.methods[key] = (...args) => this.createMethodProxy(key, args);
+      });
+    });
+  }
+
+  /**
+   * Creates the object returned by contract.methods.<name>(...args).
+   * Overloads are resolved by the args when one of the functions is used.
+   * @param {string} methodName Name or signature of contract method.
+   * @param {array} args Arguments of the method.
+   * @return {object} Functions to call, send, encode or estimate the gas of the method with the args.
+   *    call(params): callcontract with the params of call()
+   *    send(params): sendtocontract with the params of send(). Rejects for view and pure methods.
+   *    encodeABI(): hex data of the method and args
+   *    estimateGas(params): gas used by the method with the params of estimateGas()
+   */
+  createMethodProxy(methodName, args) {
+    const withArgs = params => Object.assign({}, params, { methodArgs: args });
+
+    return {
+      call: params => this.call(methodName, withArgs(params)),
+      send: async (params) => {
+        const methodObj = Encoder.findMethod(this.abi, methodName, args);
+        if (isReadOnly(methodObj)) {
+          throw Error(`Method ${methodName} does not modify the state and can not be sent. Use call() instead.`);
+        }
+        return this.send(methodName, withArgs(params));
+      },
+      encodeABI: () => Encoder.constructData(this.abi, methodName, args, this.getResolvedNetwork()),
+      estimateGas: params => this.estimateGas(methodName, withArgs(params)),
+    };
+  }
+
+  /**
+   * Deploys a contract with a createcontract transaction.
+   * The returned contract can be used once the transaction is mined.
+   * @param {string|Vweb3Provider} provider Either URL string to create HttpProvider or a Vweb3 compatible provider.
+   * @param {object} params Parameters of the deployment.
+   *    bytecode: compiled bytecode of the contract
+   *    abi: ABI of the contract
+   *    constructorArgs: arguments of the ABI constructor
+   *    gasLimit, gasPrice, senderAddress, waitForReceipt: same as send()
+   *    network: network name or object the senderAddress and the address args must belong to. Not checked if undefined
+   * @return {Promise} Transaction ID, predicted contract address and Contract instance of the createcontract.
+   */
+  static async deploy(provider, params) {
+    try {
+      // Throw if bytecode or abi is not defined in params
+      Utils.paramsCheck('deploy', params, ['bytecode', 'abi']);
+
+      const {
+        bytecode,
+        abi,
+        constructorArgs,
+        gasLimit,
+        gasPrice,
+        senderAddress,
+        network,
+        waitForReceipt: wait,
+      } = params;
+      const data = Encoder.constructDeployData(abi, bytecode, constructorArgs, network);
+      const limit = gasLimit || DEFAULT_DEPLOY_GAS_LIMIT;
+      const price = gasPrice || DEFAULT_GAS_PRICE;
+
+      const rpcArgs = [data, limit, price.toFixed(8)];
+      if (senderAddress) {
+        if (network) {
+          Address.parse(senderAddress, network);
+        }
+        rpcArgs.push(senderAddress);
+      }
+
+      const vweb3Provider = initProvider(provider);
+      const result = await vweb3Provider.rawCall('createcontract', rpcArgs);
+
+      // Add original request params and the contract instance to result obj
+      result.args = {
+        gasLimit: limit,
+        gasPrice: price,
+      };
+      result.contract = new Contract(vweb3Provider, result.address, abi, { network });
+
+      if (wait) {
+        const receipts = await waitForReceipt(vweb3Provider, result.txid, wait === true ? {} : wait);
+        result.receipt = result.contract.decodeReceipts(receipts);
+      }
+      return result;
+    } catch (err) {
+      if (err instanceof Vweb3Error) {
+        throw err;
+      }
+      throw Error(err.message || err);
+    }
+  }
+
+  /**
+   * Gets the receipts of a transaction with the logs of this contract decoded.
+   * @param {string} txid The transaction id.
+   * @return {Promise} Transaction receipts with decoded logs formatted as { event, args, address, logIndex }.
+   */
+  async getReceipt(txid) {
+    try {
+      const receipts = await this.provider.rawCall('gettransactionreceipt', [txid]);
+      return this.decodeReceipts(receipts);
+    } catch (err) {
+      if (err instanceof Vweb3Error) {
+        throw err;
+      }
+      throw Error(err.message || err);
+    }
+  }
+
+  /**
+   * Decodes the logs of transaction receipts which were emitted by this contract.
+   * Logs of other contracts or unknown events are left untouched.
+   * @param {array} receipts The gettransactionreceipt result.
+   * @return {array} The receipts with decoded logs.
+   */
+  decodeReceipts(receipts) {
+    return receipts.map((receipt) => {
+      const log = Decoder.decodeReceiptLogs(receipt.log, this.abi, this.address);
+      return Object.assign({}, receipt, { log });
+    });
+  }
+
+  /**
+   * Throws a ContractExecutionError if the VM excepted in a callcontract.
+   * The revert reason of Error(string) or the custom error of the ABI is decoded from the output.
+   * @param {object} executionResult The executionResult of the callcontract.
+   */
+  checkExecution(executionResult) {
+    const { excepted, gasUsed, output } = executionResult;
+    if (excepted && excepted !== EXCEPTED_NONE) {
+      const revert = Decoder.decodeRevert(output, this.abi);
+      throw new ContractExecutionError(excepted, Object.assign({ gasUsed, output }, revert));
+    }
+  }
+
+  /**
+   * Gets the network of the contract, resolved with options.getNetwork on the first call if it was not given.
+   * @return {Promise} The network, or undefined if the addresses are not checked.
+   */
+  async getNetwork() {
+    if (!this.network && this.networkResolver) {
+      this.network = Networks.getNetwork(await this.networkResolver());
+    }
+    return this.network;
+  }
+
+  /**
+   * Gets the network of the contract without resolving it, for the synchronous encodeABI().
+   * @return {object} The network, or undefined if the addresses are not checked.
+   */
+  getResolvedNetwork() {
+    if (!this.network && this.networkResolver) {
+      throw Error('The network is unknown. Call getNetwork() first or pass options.network.');
+    }
+    return this.network;
+  }
+
+  /**
+   * Throws an AddressError if the sender is not an address of the network.
+   * @param {string} senderAddress The VIPSTARCOIN address of the sender. Not checked if undefined.
+   * @param {object} network The network of the contract. Not checked if undefined.
+   */
+  checkSenderAddress(senderAddress, network) {
+    if (senderAddress && network) {
+      Address.parse(senderAddress, network);
+    }
   }
 
   /**
    * Executes a callcontract on a view/pure method.
-   * @param {string} methodName Name of contract method
+   * @param {string} methodName Name or signature of contract method
    * @param {object} params Parameters of contract method
-   * @return {Promise} Call result.
+   * @return {Promise} Call result, or ContractExecutionError if the VM excepted.
    */
   async call(methodName, params) {
     try {
       const { methodArgs, senderAddress } = params;
-      const data = Encoder.constructData(this.abi, methodName, methodArgs);
+      const network = await this.getNetwork();
+      this.checkSenderAddress(senderAddress, network);
+      const data = Encoder.constructData(this.abi, methodName, methodArgs, network);
       let result = await this.provider.rawCall('callcontract', [this.address, data, senderAddress]);
-      result = Decoder.decodeCall(result, this.abi, methodName, true); // Format the result
+      this.checkExecution(result.executionResult || {});
+
+      // Decode by signature so the output of the called overload is used
+      const signature = Encoder.methodSignature(Encoder.findMethod(this.abi, methodName, methodArgs));
+      result = Decoder.decodeCall(result, this.abi, signature, true); // Format the result
       return result;
     } catch (err) {
+      if (err instanceof Vweb3Error) {
+        throw err;
+      }
+      throw Error(err.message || err);
+    }
+  }
+
+  /**
+   * Estimates the gas of a method by executing a callcontract from the sender and reading the gas used.
+   * @param {string} methodName Name or signature of contract method.
+   * @param {object} params Parameters of contract method.
+   *    methodArgs: arguments of the method
+   *    senderAddress: address that would send the transaction
+   * @return {Promise} Gas used, or ContractExecutionError if the VM excepted.
+   */
+  async estimateGas(methodName, params) {
+    try {
+      // Throw if methodArgs or senderAddress is not defined in params
+      Utils.paramsCheck('estimateGas', params, ['methodArgs', 'senderAddress']);
+
+      const { methodArgs, senderAddress } = params;
+      const network = await this.getNetwork();
+      this.checkSenderAddress(senderAddress, network);
+      const data = Encoder.constructData(this.abi, methodName, methodArgs, network);
+      const result = await this.provider.rawCall('callcontract', [this.address, data, senderAddress]);
+
+      this.checkExecution(result.executionResult);
+      return result.executionResult.gasUsed;
+    } catch (err) {
+      if (err instanceof Vweb3Error) {
+        throw err;
+      }
       throw Error(err.message || err);
     }
   }
 
   /**
    * Executes a sendtocontract transaction.
-   * @param {string} methodName Method name to call.
+   * Set params.waitForReceipt to true or to the options of waitForReceipt() to resolve once the transaction is
+   * confirmed. The receipt is then added to the result with the logs of this contract decoded.
+   * Set params.gasLimit to 'auto' to use the estimated gas times params.gasLimitMultiplier (default: 1.2),
+   * capped at params.maxGasLimit (default: 40000000).
+   * @param {string} methodName Method name or signature to call.
    * @param {object} params Parameters of the contract method.
    * @return {Promise} Transaction ID of the sendtocontract.
    */
@@ -49,11 +298,25 @@ class Contract {
       // Throw if methodArgs or senderAddress is not defined in params
       Utils.paramsCheck('send', params, ['methodArgs', 'senderAddress']);
 
-      const { methodArgs, amount, gasLimit, gasPrice, senderAddress } = params;
-      const data = Encoder.constructData(this.abi, methodName, methodArgs);
+      const { methodArgs, amount, gasLimit, gasPrice, senderAddress, waitForReceipt: wait } = params;
+      const network = await this.getNetwork();
+      this.checkSenderAddress(senderAddress, network);
+      const data = Encoder.constructData(this.abi, methodName, methodArgs, network);
       const amt = amount || DEFAULT_AMOUNT;
-      const limit = gasLimit || DEFAULT_GAS_LIMIT;
       const price = gasPrice || DEFAULT_GAS_PRICE;
+      let limit = gasLimit || DEFAULT_GAS_LIMIT;
+
+      if (gasLimit === GAS_LIMIT_AUTO) {
+        const {
+          gasLimitMultiplier = DEFAULT_GAS_LIMIT_MULTIPLIER,
+          maxGasLimit = DEFAULT_MAX_GAS_LIMIT,
+        } = params;
+        const gasUsed = await this.estimateGas(methodName, { methodArgs, senderAddress });
+        if (gasUsed > maxGasLimit) {
+          throw Error(`Estimated gas ${gasUsed} exceeds the maxGasLimit of ${maxGasLimit}.`);
+        }
+        limit = Math.min(Math.ceil(gasUsed * gasLimitMultiplier), maxGasLimit);
+      }
 
       const result = await this.provider.rawCall('sendtocontract', [
         this.address,
@@ -71,8 +334,16 @@ class Contract {
         gasLimit: limit,
         gasPrice: price,
       };
+
+      if (wait) {
+        const receipts = await waitForReceipt(this.provider, result.txid, wait === true ? {} : wait);
+        result.receipt = this.decodeReceipts(receipts);
+      }
       return result;
     } catch (err) {
+      if (err instanceof Vweb3Error) {
+        throw err;
+      }
       throw Error(err.message || err);
     }
   }
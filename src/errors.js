@@ -0,0 +1,234 @@
+/**
+ * Base class of all errors thrown by Vweb3.
+ */
+class Vweb3Error extends Error {
+  /**
+   * Constructor.
+   * @param {string} message Error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Thrown when waiting for a transaction takes longer than the given timeout.
+ */
+class TimeoutError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {string} txid Transaction ID that was waited for.
+   * @param {number} timeout Timeout in milliseconds.
+   */
+  constructor(txid, timeout) {
+    super(`Timed out after ${timeout}ms waiting for transaction ${txid}.`);
+    this.txid = txid;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when the VM exits a contract execution with an exception, eg. Revert or OutOfGas.
+ */
+class ContractExecutionError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {string} excepted Exception type of the VM.
+   * @param {object} details Execution details.
+   *    txid: transaction ID if executed in a transaction
+   *    gasUsed: gas used by the execution
+   *    receipt: transaction receipt if executed in a transaction
+   *    output: hex output of the execution
+   *    reason: revert reason of Error(string), or signature of the custom error
+   *    error: custom error of the ABI as { name, signature, args }
+   */
+  constructor(excepted, details = {}) {
+    super(`Contract execution failed: ${excepted}${details.reason ? ` (${details.reason})` : ''}`);
+    this.excepted = excepted;
+    this.txid = details.txid;
+    this.gasUsed = details.gasUsed;
+    this.receipt = details.receipt;
+    this.output = details.output;
+    this.reason = details.reason;
+    this.error = details.error;
+  }
+}
+
+/**
+ * Thrown when an address can not be parsed or does not belong to the expected network.
+ */
+class AddressError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {string} message Error message.
+   * @param {object} details Address details.
+   *    code: reason of the error, eg. INVALID_CHECKSUM
+   *    address: the invalid address
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.code = details.code;
+    this.address = details.address;
+  }
+}
+
+// Indexes of the params which contain secrets, by method
+const SECRET_PARAMS = {
+  encryptwallet: [0],
+  importprivkey: [0],
+  signmessagewithprivkey: [0],
+  signrawtransaction: [2],
+  signrawtransactionwithkey: [1],
+  walletpassphrase: [0],
+  walletpassphrasechange: [0, 1],
+};
+const REDACTED = '[REDACTED]';
+
+/**
+ * Replaces the secret params of a method, eg. the passphrase of walletpassphrase, so they are not leaked in logs.
+ * @param {string} method The RPC method.
+ * @param {array} params The RPC params.
+ * @return {array} Copy of the params with the secrets redacted.
+ */
+const redactParams = (method, params) => {
+  const secrets = SECRET_PARAMS[method] || [];
+  return (params || []).map((param, index) => (secrets.indexOf(index) === -1 ? param : REDACTED));
+};
+
+/**
+ * Thrown when the node returns a JSONRPC error.
+ */
+class RpcError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {string} message Error message of the node.
+   * @param {object} details Request details.
+   *    code: JSONRPC error code
+   *    method: RPC method of the request
+   *    params: RPC params of the request, secrets are redacted
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.code = details.code;
+    this.method = details.method;
+    this.params = redactParams(details.method, details.params);
+  }
+
+  /**
+   * Creates the error for a JSONRPC error object, using the subclass mapped to its code if any.
+   * @param {object} error The JSONRPC error object { code, message }.
+   * @param {string} method RPC method of the request.
+   * @param {array} params RPC params of the request.
+   * @return {RpcError} The error.
+   */
+  static fromResponse(error, method, params) {
+    const code = error && error.code;
+    const message = (error && error.message) || `RPC error calling ${method}.`;
+    const ErrorClass = RpcError.ERRORS_BY_CODE[code] || RpcError;
+    return new ErrorClass(message, { code, method, params });
+  }
+}
+
+/**
+ * Thrown when the wallet has to be unlocked with walletpassphrase (-13).
+ */
+class WalletLockedError extends RpcError {}
+
+/**
+ * Thrown when the wallet does not have enough funds (-6).
+ */
+class InsufficientFundsError extends RpcError {}
+
+/**
+ * Thrown when an address or key is invalid (-5).
+ */
+class InvalidAddressError extends RpcError {}
+
+RpcError.ERRORS_BY_CODE = {
+  '-13': WalletLockedError,
+  '-6': InsufficientFundsError,
+  '-5': InvalidAddressError,
+};
+
+/**
+ * Thrown when the node responds with an HTTP error status and no JSONRPC error.
+ */
+class HttpError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {number} status HTTP status of the response.
+   * @param {object} details Request details.
+   *    method: RPC method of the request
+   *    params: RPC params of the request, secrets are redacted
+   */
+  constructor(status, details = {}) {
+    super(`Request failed with HTTP status ${status}.`);
+    this.status = status;
+    this.method = details.method;
+    this.params = redactParams(details.method, details.params);
+  }
+
+  /**
+   * Creates the error for an HTTP status, using the subclass mapped to it if any.
+   * @param {number} status HTTP status of the response.
+   * @param {string} method RPC method of the request.
+   * @param {array} params RPC params of the request.
+   * @return {HttpError} The error.
+   */
+  static fromStatus(status, method, params) {
+    const ErrorClass = HttpError.ERRORS_BY_STATUS[status] || HttpError;
+    return new ErrorClass(status, { method, params });
+  }
+}
+
+/**
+ * Thrown when the RPC credentials are wrong (401).
+ */
+class UnauthorizedError extends HttpError {}
+
+/**
+ * Thrown when the node fails to handle the request (500).
+ */
+class InternalServerError extends HttpError {}
+
+HttpError.ERRORS_BY_STATUS = {
+  401: UnauthorizedError,
+  500: InternalServerError,
+};
+
+/**
+ * Thrown when the node can not be reached or does not respond, eg. connection refused or timeout.
+ * The request config of the HTTP client is not kept since it has the credentials and the raw params.
+ */
+class NetworkError extends Vweb3Error {
+  /**
+   * Constructor.
+   * @param {string} message Error message of the HTTP client.
+   * @param {object} details Request details.
+   *    code: system error code, eg. ECONNREFUSED, or ECONNABORTED for a timeout
+   *    method: RPC method of the request
+   *    params: RPC params of the request, secrets are redacted
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.code = details.code;
+    this.method = details.method;
+    this.params = redactParams(details.method, details.params);
+  }
+}
+
+module.exports = {
+  Vweb3Error,
+  TimeoutError,
+  ContractExecutionError,
+  AddressError,
+  RpcError,
+  WalletLockedError,
+  InsufficientFundsError,
+  InvalidAddressError,
+  HttpError,
+  UnauthorizedError,
+  InternalServerError,
+  NetworkError,
+};
@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const { each, every, filter, isArray, isFinite, isUndefined, pickBy, range, some } = require('lodash');
+
+const Utils = require('./utils');
+const Encoder = require('./formatters/encoder');
+const Decoder = require('./formatters/decoder');
+
+const DEFAULT_POLL_INTERVAL = 5000;
+const DEFAULT_REORG_DEPTH = 12;
+
+/**
+ * Compares a decoded event arg to a filter value. Hex values are compared without the hex prefix.
+ * @param {any} arg The decoded event arg.
+ * @param {any} value The filter value.
+ * @return {bool} If the arg matches the value.
+ */
+const matchesValue = (arg, value) =>
+  Utils.trimHexPrefix(String(arg)).toLowerCase() === Utils.trimHexPrefix(String(value)).toLowerCase();
+
+class EventSubscription extends EventEmitter {
+  /**
+   * Subscribes to the events of a contract by polling getblockcount and searchlogs.
+   * If the provider emits 'block' notifications, eg. a ZmqProvider, it also polls on every new block.
+   * Blocks within the reorg depth are re-checked with getblockhash on every poll. Events of blocks which were
+   * reorganized out of the chain are emitted again as 'changed' with removed: true.
+   * Emits 'data' for every new event, 'changed' for removed events and 'error' if a poll fails.
+   * @param {Vweb3Provider} provider Vweb3 compatible provider.
+   * @param {string} address Address of the contract.
+   * @param {array} abi ABI of the contract.
+   * @param {string} eventName Name of the event to subscribe to.
+   * @param {object} options Subscription options.
+   *    fromBlock: first block to search (default: the current block count)
+   *    filter: object of arg names to a value or an array of values that the event args should match
+   *    pollInterval: milliseconds between polls (default: 5000)
+   *    reorgDepth: number of recent blocks to re-check for reorgs (default: 12)
+   */
+  constructor(provider, address, abi, eventName, options = {}) {
+    super();
+
+    const {
+      fromBlock,
+      filter: argsFilter = {},
+      pollInterval = DEFAULT_POLL_INTERVAL,
+      reorgDepth = DEFAULT_REORG_DEPTH,
+    } = options;
+    if (!isUndefined(fromBlock) && !isFinite(fromBlock)) {
+      throw Error('fromBlock must be a number.');
+    }
+    if (!isFinite(pollInterval) || !isFinite(reorgDepth)) {
+      throw Error('pollInterval and reorgDepth must be numbers.');
+    }
+
+    const eventAbi = filter(abi, { type: 'event', name: eventName })[0];
+    if (!eventAbi) {
+      throw Error(`Could not find event ${eventName} in the ABI.`);
+    }
+
+    this.provider = provider;
+    this.address = Utils.trimHexPrefix(address);
+    this.abi = [eventAbi];
+    this.eventName = eventName;
+    this.topic = Encoder.objToHash(eventAbi, false);
+    this.filter = argsFilter;
+    this.pollInterval = pollInterval;
+    this.reorgDepth = reorgDepth;
+    this.nextBlock = fromBlock;
+    this.blockHashes = {}; // Recent block hashes by height
+    this.events = []; // Emitted events of the recent blocks
+    this.stopped = false;
+    this.polling = false;
+    this.pollAgain = false;
+
+    // Poll as soon as a new block is pushed by the provider
+    this.onBlock = () => {
+      if (this.polling) {
+        this.pollAgain = true;
+      } else {
+        clearTimeout(this.timer);
+        this.poll();
+      }
+    };
+    if (typeof provider.on === 'function') {
+      provider.on('block', this.onBlock);
+    }
+
+    this.timer = setTimeout(() => this.poll(), 0);
+  }
+
+  /**
+   * Stops polling. No more events are emitted afterwards.
+   */
+  unsubscribe() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (typeof this.provider.removeListener === 'function') {
+      this.provider.removeListener('block', this.onBlock);
+    }
+    this.emit('end');
+  }
+
+  /**
+   * Runs one poll and schedules the next one.
+   * @return {Promise} Resolves once the poll is done.
+   */
+  async poll() {
+    this.polling = true;
+    try {
+      const blockCount = await this.provider.rawCall('getblockcount');
+      if (isUndefined(this.nextBlock)) {
+        this.nextBlock = blockCount;
+      }
+
+      await this.checkReorg(blockCount);
+      if (!this.stopped && blockCount >= this.nextBlock) {
+        await this.storeBlockHashes(blockCount);
+        await this.fetchEvents(this.nextBlock, blockCount);
+        this.nextBlock = blockCount + 1;
+      }
+    } catch (err) {
+      if (!this.stopped && this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+    }
+
+    this.polling = false;
+    if (this.stopped) {
+      return;
+    }
+    if (this.pollAgain) {
+      this.pollAgain = false;
+      this.poll();
+    } else {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  /**
+   * Compares the stored block hashes to the chain, starting from the most recent one.
+   * Removes the events of the reorganized blocks and rewinds to the first reorganized block.
+   * @param {number} blockCount The current block count.
+   * @return {Promise} Resolves once the check is done.
+   */
+  async checkReorg(blockCount) {
+    const heights = Object.keys(this.blockHashes).map(Number).sort((a, b) => b - a);
+
+    const findForkHeight = async (index, forkHeight) => {
+      if (index >= heights.length) {
+        return forkHeight;
+      }
+
+      const height = heights[index];
+      if (height <= blockCount) {
+        const hash = await this.provider.rawCall('getblockhash', [height]);
+        if (hash === this.blockHashes[height]) {
+          return forkHeight;
+        }
+      }
+      return findForkHeight(index + 1, height);
+    };
+
+    const forkHeight = await findForkHeight(0, undefined);
+    if (isUndefined(forkHeight) || this.stopped) {
+      return;
+    }
+
+    each(heights, (height) => {
+      if (height >= forkHeight) {
+        delete this.blockHashes[height];
+      }
+    });
+    const removed = filter(this.events, event => event.blockNumber >= forkHeight);
+    this.events = filter(this.events, event => event.blockNumber < forkHeight);
+    each(removed, event => this.emit('changed', Object.assign({}, event, { removed: true })));
+    this.nextBlock = Math.min(this.nextBlock, forkHeight);
+  }
+
+  /**
+   * Searches the logs of the contract event in the block range and emits the ones that match the filter.
+   * @param {number} fromBlock Starting block to search.
+   * @param {number} toBlock Ending block to search.
+   * @return {Promise} Resolves once the events are emitted.
+   */
+  async fetchEvents(fromBlock, toBlock) {
+    const receipts = await this.provider.rawCall('searchlogs', [
+      fromBlock,
+      toBlock,
+      { addresses: [this.address] },
+      { topics: [this.topic] },
+    ]);
+
+    each(receipts, (receipt) => {
+      // Skip the logs of another chain, they are fetched again once the reorg is detected on the next poll
+      const storedHash = this.blockHashes[receipt.blockNumber];
+      if (!isUndefined(storedHash) && storedHash !== receipt.blockHash) {
+        return;
+      }
+
+      const logs = Decoder.decodeReceiptLogs(receipt.log, this.abi, this.address);
+      each(logs, (log) => {
+        if (this.stopped || log.event !== this.eventName || !this.matchesFilter(log.args)) {
+          return;
+        }
+
+        const event = Object.assign({}, log, {
+          blockHash: receipt.blockHash,
+          blockNumber: receipt.blockNumber,
+          transactionHash: receipt.transactionHash,
+          transactionIndex: receipt.transactionIndex,
+          removed: false,
+        });
+        this.events.push(event);
+        this.emit('data', event);
+      });
+    });
+  }
+
+  /**
+   * Stores the hashes of the new blocks within the reorg depth and forgets the older ones.
+   * @param {number} blockCount The current block count.
+   * @return {Promise} Resolves once the hashes are stored.
+   */
+  async storeBlockHashes(blockCount) {
+    const minHeight = (blockCount - this.reorgDepth) + 1;
+    const heights = range(Math.max(this.nextBlock, minHeight), blockCount + 1);
+    const hashes = await Promise.all(heights.map(height => this.provider.rawCall('getblockhash', [height])));
+    each(heights, (height, index) => {
+      this.blockHashes[height] = hashes[index];
+    });
+
+    this.blockHashes = pickBy(this.blockHashes, (hash, height) => Number(height) >= minHeight);
+    this.events = filter(this.events, event => event.blockNumber >= minHeight);
+  }
+
+  /**
+   * Checks the decoded args against the filter. An array of filter values matches any of the values.
+   * @param {object} args The decoded event args.
+   * @return {bool} If the args match the filter.
+   */
+  matchesFilter(args) {
+    return every(this.filter, (value, name) => {
+      const values = isArray(value) ? value : [value];
+      return some(values, item => matchesValue(args[name], item));
+    });
+  }
+
+  /**
+   * Iterates the 'data' events with for await...of. Rejects on 'error' and ends on unsubscribe().
+   * @return {object} The async iterator.
+   */
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    const waiting = [];
+    let error;
+    let done = false;
+
+    const onData = (event) => {
+      if (waiting.length > 0) {
+        waiting.shift().resolve({ value: event, done: false });
+      } else {
+        queue.push(event);
+      }
+    };
+    const onError = (err) => {
+      if (waiting.length > 0) {
+        each(waiting.splice(0), promise => promise.reject(err));
+      } else {
+        error = err;
+      }
+    };
+    const onEnd = () => {
+      done = true;
+      each(waiting.splice(0), promise => promise.resolve({ value: undefined, done: true }));
+    };
+    this.on('data', onData);
+    this.on('error', onError);
+    this.once('end', onEnd);
+
+    const cleanUp = () => {
+      this.removeListener('data', onData);
+      this.removeListener('error', onError);
+      this.removeListener('end', onEnd);
+    };
+
+    return {
+      next: () => {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (error) {
+          const err = error;
+          error = undefined;
+          return Promise.reject(err);
+        }
+        if (done) {
+          cleanUp();
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        done = true;
+        cleanUp();
+        if (!this.stopped) {
+          this.unsubscribe();
+        }
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
+
+module.exports = EventSubscription;
@@ -0,0 +1,97 @@
+const _ = require('lodash');
+
+const Constants = require('../constants');
+
+const BYTES_PER_SLOT = 32;
+
+class AbiType {
+  /**
+   * Parses an ABI input into a type tree which describes how the value is encoded.
+   * Arrays can be nested to any depth, eg. uint256[2][] is a dynamic array of uint256[2].
+   *    baseType: one of address, bool, bytes, int, string, tuple, uint or array
+   *    size: bit size of int/uint or byte size of fixed bytes (undefined for dynamic bytes)
+   *    arrayLength: number of items of a fixed array or -1 for a dynamic array
+   *    element: parsed type of the array items
+   *    components: parsed types of the tuple components
+   *    dynamic: if the value is encoded in the tail of its enclosing data
+   *    headSize: number of bytes the value occupies in the head of its enclosing data
+   * @param {object|string} input The ABI input object or a type string.
+   * @return {object} The parsed type.
+   */
+  static parse(input) {
+    const abiInput = _.isString(input) ? { type: input } : input;
+    if (!abiInput || !_.isString(abiInput.type) || _.isEmpty(abiInput.type)) {
+      throw Error('type should be a non-empty String.');
+    }
+
+    const { name, type, components } = abiInput;
+
+    const arrayMatch = type.match(Constants.REGEX_ARRAY_SUFFIX);
+    if (arrayMatch) {
+      const element = this.parse({ type: type.slice(0, arrayMatch.index), components });
+      const arrayLength = arrayMatch[1] === '' ? -1 : _.toNumber(arrayMatch[1]);
+      if (arrayLength === 0) {
+        throw Error(`Invalid type: ${type}. Fixed arrays should have at least 1 item.`);
+      }
+
+      const dynamic = arrayLength === -1 || element.dynamic;
+      return {
+        name,
+        type,
+        baseType: Constants.ARRAY,
+        arrayLength,
+        element,
+        dynamic,
+        headSize: dynamic ? BYTES_PER_SLOT : arrayLength * element.headSize,
+      };
+    }
+
+    if (type === Constants.TUPLE) {
+      if (!_.isArray(components)) {
+        throw Error('components should be defined for tuple types.');
+      }
+
+      const parsedComponents = _.map(components, component => this.parse(component));
+      const dynamic = _.some(parsedComponents, 'dynamic');
+      return {
+        name,
+        type,
+        baseType: Constants.TUPLE,
+        components: parsedComponents,
+        dynamic,
+        headSize: dynamic ? BYTES_PER_SLOT : _.sumBy(parsedComponents, 'headSize'),
+      };
+    }
+
+    const match = type.match(Constants.REGEX_ELEMENTARY_TYPE);
+    if (!match) {
+      throw Error(`Invalid type: ${type}`);
+    }
+
+    const baseType = match[1] || match[3];
+    let size;
+    if (baseType === Constants.UINT || baseType === Constants.INT) {
+      size = match[2] ? _.toNumber(match[2]) : 256;
+      if (size < 8 || size > 256 || size % 8 !== 0) {
+        throw Error(`Invalid type: ${type}. Size should be a multiple of 8 between 8 and 256.`);
+      }
+    } else if (match[2]) {
+      size = _.toNumber(match[2]);
+      if (size < 1 || size > 32) {
+        throw Error(`Invalid type: ${type}. Size should be between 1 and 32.`);
+      }
+    }
+
+    const dynamic = baseType === Constants.STRING || (baseType === Constants.BYTES && !size);
+    return {
+      name,
+      type,
+      baseType,
+      size,
+      dynamic,
+      headSize: BYTES_PER_SLOT,
+    };
+  }
+}
+
+module.exports = AbiType;
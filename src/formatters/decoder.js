@@ -1,44 +1,39 @@
-const { isEmpty, isUndefined, each, find, filter, assign, map } = require('lodash');
+const { isEmpty, isUndefined, isPlainObject, each, find, filter, some, assign, map, omit, times } = require('lodash');
 const Web3Utils = require('web3-utils');
 const EthjsAbi = require('ethjs-abi');
-const crypto = require('crypto');
-const bs58 = require('bs58');
+const BN = require('bn.js');
 
 const Encoder = require('./encoder');
+const AbiType = require('./abi-type');
 const Utils = require('../utils');
+const Constants = require('../constants');
+const Networks = require('../networks');
+const Address = require('../address');
 
-const MainnetNetworkByte = '46';
-const TestnetNetworkByte = '84';
+const BYTES_PER_SLOT = 32;
+const SELECTOR_LENGTH = 8;
+const ERROR_STRING_SELECTOR = '08c379a0';
+const ERROR_STRING_INPUTS = [{ name: 'reason', type: 'string' }];
 
 class Decoder {
-  static toVIPSTARCOINAddress(hexAddress, isMainnet = false) {
+  /**
+   * Converts a hex address to a P2PKH VIPSTARCOIN address.
+   * @param {string} hexAddress The 20 bytes hex address.
+   * @param {boolean|string|object} network Network name or object, or true for mainnet and false for testnet.
+   * @return {string} The VIPSTARCOIN address.
+   */
+  static toVIPSTARCOINAddress(hexAddress, network = Networks.testnet) {
     if (hexAddress === undefined || isEmpty(hexAddress)) {
       throw new Error('hexAddress should not be undefined or empty');
     }
     if (!Web3Utils.isHex(hexAddress)) {
       throw new Error('Invalid hex address');
     }
-    // reference: https://gobittest.appspot.com/Address
-    let vAddress = hexAddress;
-    // Add network byte
-    if (isMainnet) {
-      vAddress = MainnetNetworkByte + vAddress;
-    } else {
-      vAddress = TestnetNetworkByte + vAddress;
+    let params = network;
+    if (typeof network === 'boolean') {
+      params = network ? Networks.mainnet : Networks.testnet;
     }
-
-    const vAddressBuffer = Buffer.from(vAddress, 'hex');
-    // Double SHA256 hash
-    const hash1 = crypto.createHash('sha256').update(vAddressBuffer).digest('Hex');
-    const hash1Buffer = Buffer.from(hash1, 'hex');
-    const hash2 = crypto.createHash('sha256').update(hash1Buffer).digest('Hex');
-
-    // get first 4 bytes
-    vAddress += hash2.slice(0, 8);
-
-    // base58 encode
-    const address = bs58.encode(Buffer.from(vAddress, 'hex'));
-    return address;
+    return Address.fromHex(hexAddress, params);
   }
 
   static removeHexPrefix(value) {
@@ -47,10 +42,12 @@ class Decoder {
     }
 
     let v = value;
-    if (v instanceof Array) {
-      each(v, (arrayItem, index) => {
-        if (Web3Utils.isHex(arrayItem)) {
-          v[index] = Utils.trimHexPrefix(arrayItem);
+    if (v instanceof Array || isPlainObject(v)) {
+      each(v, (item, key) => {
+        if (item instanceof Array || isPlainObject(item)) {
+          v[key] = Decoder.removeHexPrefix(item);
+        } else if (Web3Utils.isHex(item)) {
+          v[key] = Utils.trimHexPrefix(item);
         }
       });
     } else if (Web3Utils.isHex(value)) {
@@ -60,6 +57,178 @@ class Decoder {
     return v;
   }
 
+  /**
+   * Reads a 32 bytes slot as a number, ie. a length or an offset.
+   * @param {Buffer} data The encoded data.
+   * @param {number} offset The byte offset of the slot.
+   * @return {number} The slot value.
+   */
+  static readSlotNumber(data, offset) {
+    if (data.length < offset + BYTES_PER_SLOT) {
+      throw Error(`Invalid data: expected a 32 bytes slot at offset ${offset}.`);
+    }
+    return new BN(data.slice(offset, offset + BYTES_PER_SLOT)).toNumber();
+  }
+
+  /**
+   * Decodes a value of a parsed type at the given offset.
+   * Tuples are decoded to objects keyed by component name (or index if unnamed).
+   * @param {object} abiType The type parsed by AbiType.parse().
+   * @param {Buffer} data The encoded data.
+   * @param {number} offset The byte offset where the value starts.
+   * @return {any} The decoded value.
+   */
+  static decodeValue(abiType, data, offset) {
+    const { baseType, element, components } = abiType;
+
+    if (baseType === Constants.ARRAY) {
+      if (abiType.arrayLength === -1) {
+        const length = Decoder.readSlotNumber(data, offset);
+        return Decoder.decodeSequence(times(length, () => element), data, offset + BYTES_PER_SLOT);
+      }
+      return Decoder.decodeSequence(times(abiType.arrayLength, () => element), data, offset);
+    }
+
+    if (baseType === Constants.TUPLE) {
+      const values = Decoder.decodeSequence(components, data, offset);
+      const tuple = {};
+      each(components, (component, index) => {
+        tuple[component.name || index] = values[index];
+      });
+      return tuple;
+    }
+
+    if (abiType.dynamic) { // string or bytes
+      const length = Decoder.readSlotNumber(data, offset);
+      const bytes = data.slice(offset + BYTES_PER_SLOT, offset + BYTES_PER_SLOT + length);
+      return baseType === Constants.STRING ? bytes.toString('utf8') : `0x${bytes.toString('hex')}`;
+    }
+
+    return EthjsAbi.decodeParams([abiType.type], data.slice(offset, offset + BYTES_PER_SLOT))[0];
+  }
+
+  /**
+   * Decodes a list of values by their parsed types. Dynamic values are read from the offset stored in the head.
+   * @param {array} abiTypes The types parsed by AbiType.parse().
+   * @param {Buffer} data The encoded data.
+   * @param {number} offset The byte offset where the head starts.
+   * @return {array} The decoded values.
+   */
+  static decodeSequence(abiTypes, data, offset) {
+    let headLoc = offset;
+    return map(abiTypes, (abiType) => {
+      let value;
+      if (abiType.dynamic) {
+        const dataLoc = Decoder.readSlotNumber(data, headLoc);
+        value = Decoder.decodeValue(abiType, data, offset + dataLoc);
+      } else {
+        value = Decoder.decodeValue(abiType, data, headLoc);
+      }
+      headLoc += abiType.headSize;
+      return value;
+    });
+  }
+
+  /**
+   * Decodes a list of values by their ABI inputs.
+   * @param {array} inputs The ABI input objects.
+   * @param {string|Buffer} data The encoded hex string or Buffer.
+   * @return {array} The decoded values.
+   */
+  static decodeParams(inputs, data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(Utils.trimHexPrefix(data), 'hex');
+    return Decoder.decodeSequence(map(inputs, input => AbiType.parse(input)), buffer, 0);
+  }
+
+  /**
+   * Decodes hex data into an object keyed by both the index and the name of each ABI input.
+   * @param {array} inputs The ABI input objects.
+   * @param {string} hex The encoded hex string.
+   * @return {object} The decoded values.
+   */
+  static decodeNamedParams(inputs, hex) {
+    const values = Decoder.decodeParams(inputs, hex);
+    const result = {};
+    each(inputs, (input, index) => {
+      result[index] = values[index];
+      if (input.name) {
+        result[input.name] = values[index];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Decodes a log item of an event.
+   * Indexed arrays, tuples, strings and bytes are only stored as their hash so the topic is returned instead.
+   * @param {object} eventAbi The ABI object of the event.
+   * @param {object} log The log item with hex prefixed data and topics.
+   * @return {object} The decoded event.
+   */
+  static decodeEvent(eventAbi, log) {
+    const decoded = Decoder.decodeNamedParams(filter(eventAbi.inputs, input => !input.indexed), log.data);
+
+    const topicOffset = eventAbi.anonymous ? 0 : 1;
+    each(filter(eventAbi.inputs, 'indexed'), (input, index) => {
+      const topic = log.topics[index + topicOffset];
+      const abiType = AbiType.parse(input);
+      const isHashed = abiType.dynamic || abiType.baseType === Constants.ARRAY || abiType.baseType === Constants.TUPLE;
+      decoded[input.name] = isHashed
+        ? topic
+        : Decoder.decodeValue(abiType, Buffer.from(Utils.trimHexPrefix(topic), 'hex'), 0);
+    });
+
+    return assign(decoded, { _eventName: eventAbi.name });
+  }
+
+  /**
+   * Decodes the log entries of a transaction receipt that belong to the contract ABI.
+   * Logs of other contracts or of events which are not in the ABI are returned untouched.
+   * @param {array} logs The log entries of a gettransactionreceipt result.
+   * @param {array} abi The ABI of the contract.
+   * @param {string} address Only decode the logs emitted by this contract address. Decodes all logs if undefined.
+   * @param {bool} removeHexPrefix Flag to indicate whether to remove the hex prefix (0x) from hex values.
+   * @return {array} The logs with the decoded ones formatted as { event, args, address, logIndex }.
+   */
+  static decodeReceiptLogs(logs, abi, address, removeHexPrefix = true) {
+    const eventAbis = {};
+    each(filter(abi, item => item.type === 'event' && !item.anonymous), (eventAbi) => {
+      eventAbis[Encoder.objToHash(eventAbi, false)] = eventAbi;
+    });
+
+    return map(logs, (log, logIndex) => {
+      if (address && Utils.trimHexPrefix(log.address) !== Utils.trimHexPrefix(address)) {
+        return log;
+      }
+
+      const eventAbi = isEmpty(log.topics) ? undefined : eventAbis[Utils.trimHexPrefix(log.topics[0])];
+      if (isUndefined(eventAbi)) {
+        return log;
+      }
+
+      let args;
+      try {
+        args = omit(Decoder.decodeEvent(eventAbi, log), '_eventName');
+      } catch (err) {
+        console.warn(err.message);
+        return log;
+      }
+
+      if (removeHexPrefix) {
+        each(Object.keys(args), (key) => {
+          args[key] = Decoder.removeHexPrefix(args[key]);
+        });
+      }
+
+      return {
+        event: eventAbi.name,
+        args,
+        address: log.address,
+        logIndex,
+      };
+    });
+  }
+
   /**
    * Formats the output of searchlog by decoding eventName, indexed, and unindexed params
    * @param {object} rawOutput Raw seachlog output
@@ -110,7 +279,7 @@ class Decoder {
 
             let decodedLog;
             try {
-              decodedLog = EthjsAbi.decodeLogItem(methodAbi, item);
+              decodedLog = Decoder.decodeEvent(methodAbi, item);
             } catch (err) { // catch throws in decodeLogItem
               console.warn(err.message);
               return;
@@ -135,14 +304,51 @@ class Decoder {
   }
 
   /**
-   * Decodes the output of a callcontract and puts it in executionResult.formattedOutput
+   * Decodes the output of a reverted execution.
+   * Error(string) returns the revert reason, custom errors of the ABI return the error name and args.
+   * @param {string} output The hex output of the execution.
+   * @param {array} abi The ABI of the contract with the custom errors.
+   * @return {object} The revert as { reason } or { reason, error: { name, signature, args } }, undefined if unknown.
+   */
+  static decodeRevert(output, abi) {
+    const hex = Utils.trimHexPrefix(output || '');
+    const selector = hex.slice(0, SELECTOR_LENGTH);
+    const data = hex.slice(SELECTOR_LENGTH);
+
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        return { reason: Decoder.decodeParams(ERROR_STRING_INPUTS, data)[0] };
+      }
+
+      const errorAbi = find(abi, item => item.type === 'error' && Encoder.objToHash(item, true) === selector);
+      if (errorAbi) {
+        const signature = Encoder.methodSignature(errorAbi);
+        return {
+          reason: signature,
+          error: {
+            name: errorAbi.name,
+            signature,
+            args: Decoder.removeHexPrefix(Decoder.decodeNamedParams(errorAbi.inputs, data)),
+          },
+        };
+      }
+    } catch (err) {
+      console.warn(err.message);
+    }
+    return undefined;
+  }
+
+  /**
+   * Decodes the output of a callcontract and puts it in executionResult.formattedOutput.
+   * If the method is not defined in the ABI, the output is returned unchanged.
    * @param {object} rawOutput Raw output of callcontract.
    * @param {object} contractABI The ABI of the contract that was called.
-   * @param {string} methodName The name of the method that was called.
+   * @param {string} methodName The name or signature of the method that was called.
    * @param {bool} removeHexPrefix Flag to indicate whether to remove the hex prefix (0x) from hex values.
+   * @param {array} methodArgs The args of the call. Picks the overload if methodName is not a signature.
    * @return {object} Decoded callcontract output.
    */
-  static decodeCall(rawOutput, contractABI, methodName, removeHexPrefix = true) {
+  static decodeCall(rawOutput, contractABI, methodName, removeHexPrefix = true, methodArgs) {
     if (!rawOutput) {
       throw Error('rawOutput is undefined.');
     }
@@ -154,12 +360,16 @@ class Decoder {
     }
 
     const output = rawOutput;
-    const methodABI = find(contractABI, { name: methodName });
-    if (methodABI && 'executionResult' in output && 'output' in output.executionResult) {
-      const formattedOutput = EthjsAbi.decodeMethod(
-        methodABI,
-        Utils.appendHexPrefix(output.executionResult.output),
-      );
+    const signature = methodName.replace(/\s/g, '');
+    const isDefined = some(contractABI, item => (!item.type || item.type === 'function')
+      && (item.name === methodName || Encoder.methodSignature(item) === signature));
+    if (!isDefined) {
+      return output;
+    }
+
+    const methodABI = Encoder.findMethod(contractABI, methodName, methodArgs);
+    if ('executionResult' in output && 'output' in output.executionResult) {
+      const formattedOutput = Decoder.decodeNamedParams(methodABI.outputs, output.executionResult.output);
 
       if (removeHexPrefix) {
         each(Object.keys(formattedOutput), (key) => {
@@ -1,10 +1,11 @@
 const _ = require('lodash');
 const Web3Utils = require('web3-utils');
 const BigNumber = require('bignumber.js');
-const bs58 = require('bs58');
 
+const AbiType = require('./abi-type');
 const Utils = require('../utils');
 const Constants = require('../constants');
+const Address = require('../address');
 
 class Encoder {
   /**
@@ -24,7 +25,7 @@ class Encoder {
     const { name } = obj;
     let params = '';
     for (let i = 0; i < obj.inputs.length; i++) {
-      params = params.concat(obj.inputs[i].type);
+      params = params.concat(this.canonicalType(obj.inputs[i]));
 
       if (i < obj.inputs.length - 1) {
         params = params.concat(',');
@@ -39,12 +40,29 @@ class Encoder {
     return Web3Utils.sha3(hash).slice(2);
   }
 
+  /**
+   * Returns the type of an ABI input as used in signatures. Tuples are expanded to their component types.
+   * eg. tuple[] with components uint256 and address => (uint256,address)[]
+   * @param {object} input The ABI input object.
+   * @return {string} The canonical type.
+   */
+  static canonicalType(input) {
+    const { type, components } = input;
+    if (!_.startsWith(type, Constants.TUPLE)) {
+      return type;
+    }
+
+    const componentTypes = _.map(components, component => this.canonicalType(component));
+    return `(${componentTypes.join(',')})${type.slice(Constants.TUPLE.length)}`;
+  }
+
   /**
    * Converts a VIPSTARCOIN or hex address to a padded hex string.
    * @param {string} address The VIPSTARCOIN/hex address to convert.
+   * @param {string|object} network Network name or object the VIPSTARCOIN address must belong to. Not checked if undefined.
    * @return {string} The 32 bytes padded-left hex string.
    */
-  static addressToHex(address) {
+  static addressToHex(address, network) {
     if (!address) {
       throw new Error('address should not be undefined');
     }
@@ -55,12 +73,12 @@ class Encoder {
     let hexAddr;
     if (Web3Utils.isHex(addr)) {
       hexAddr = addr;
+    } else if (_.isUndefined(network)) {
+      // Only verify the checksum so addresses of other chains can still be encoded
+      hexAddr = Address.decode(addr).hex;
     } else {
-      const bytes = bs58.decode(addr);
-      hexAddr = bytes.toString('hex');
-      hexAddr = hexAddr.slice(2, 42); // Removes first byte (version) & last 4 bytes (checksum)
+      hexAddr = Address.toHex(addr, network);
     }
-
     return Web3Utils.padLeft(hexAddr, Constants.MAX_HEX_CHARS_PER_BYTE);
   }
 
@@ -178,6 +196,56 @@ class Encoder {
     return array.join('');
   }
 
+  /**
+   * Converts a dynamic bytes value to its length-prefixed hex string.
+   * Accepts a hex string (with or without the 0x hex prefix) or a Buffer.
+   * @param {string|Buffer} value The bytes to convert.
+   * @return {string} The 32 bytes length followed by the padded-right data.
+   */
+  static dynamicBytesToHex(value) {
+    if (_.isUndefined(value)) {
+      throw new Error('value should not be undefined');
+    }
+
+    let hexData;
+    if (Buffer.isBuffer(value)) {
+      hexData = value.toString('hex');
+    } else if (_.isString(value) && Web3Utils.isHex(value)) {
+      hexData = Utils.trimHexPrefix(value);
+    } else {
+      throw new TypeError('value should be a hex string or a Buffer');
+    }
+    if (hexData.length % 2 !== 0) {
+      throw new TypeError('value should have an even number of hex chars');
+    }
+
+    return this.lengthPrefixedHex(hexData);
+  }
+
+  /**
+   * Converts a dynamic string to its length-prefixed, utf8 encoded hex string.
+   * @param {string} string The string to convert.
+   * @return {string} The 32 bytes length followed by the padded-right data.
+   */
+  static dynamicStringToHex(string) {
+    if (!_.isString(string)) {
+      throw new Error('string should be a String');
+    }
+
+    return this.lengthPrefixedHex(Buffer.from(string, 'utf8').toString('hex'));
+  }
+
+  /**
+   * Prepends the byte length to a hex string and pads it right to a multiple of 32 bytes.
+   * @param {string} hexData The hex string without the hex prefix.
+   * @return {string} The length-prefixed hex string.
+   */
+  static lengthPrefixedHex(hexData) {
+    const numOfBytes = hexData.length / 2;
+    const paddedLen = Math.ceil(hexData.length / Constants.MAX_HEX_CHARS_PER_BYTE) * Constants.MAX_HEX_CHARS_PER_BYTE;
+    return this.uintToHex(numOfBytes) + _.padEnd(hexData, paddedLen, '0');
+  }
+
   /**
    * Pads a hex string padded-left to 32 bytes.
    * @param {string} hexStr The hex string to pad.
@@ -196,79 +264,273 @@ class Encoder {
   }
 
   /**
-   * Encodes a parameter to hex based on its type.
-   * @param {string} type The type of the value.
+   * Converts a tuple value to an array ordered by its components.
+   * Accepts the values either positionally in an array or by component name in an object.
+   * @param {array} components The ABI components of the tuple.
+   * @param {array|object} value The tuple value.
+   * @return {array} The component values.
+   */
+  static tupleToArray(components, value) {
+    if (_.isArray(value)) {
+      if (value.length !== components.length) {
+        throw Error('Number of tuple values supplied does not match ABI components.');
+      }
+      return value;
+    }
+    if (!_.isPlainObject(value)) {
+      throw Error('tuple value should be an Array or an Object.');
+    }
+
+    return _.map(components, (component, index) => {
+      const key = component.name || index;
+      if (!_.has(value, key)) {
+        throw Error(`${key} is undefined in tuple value.`);
+      }
+      return value[key];
+    });
+  }
+
+  /**
+   * Encodes a parameter to hex based on its type. Dynamic values are returned without their offset.
+   * @param {string|object} type The type of the value or its ABI input object.
    * @param {any} value Value to convert to hex.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
    * @return {string} The value converted to hex string.
    */
-  static encodeParam(type, value) {
-    let hex = '';
-    if (type.match(Constants.ADDRESS)) {
-      if (value instanceof Array) {
-        _.each(value, (addr) => {
-          hex += this.addressToHex(addr);
-        });
-      } else {
-        hex = this.addressToHex(value);
+  static encodeParam(type, value, network) {
+    return this.encodeValue(AbiType.parse(type), value, network);
+  }
+
+  /**
+   * Encodes a value to hex based on its parsed type.
+   * @param {object} abiType The type parsed by AbiType.parse().
+   * @param {any} value Value to convert to hex.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
+   * @return {string} The value converted to hex string.
+   */
+  static encodeValue(abiType, value, network) {
+    switch (abiType.baseType) {
+      case Constants.ARRAY:
+        return this.encodeArray(abiType, value, network);
+      case Constants.TUPLE:
+        return this.encodeSequence(abiType.components, this.tupleToArray(abiType.components, value), network);
+      case Constants.ADDRESS:
+        return this.addressToHex(value, network);
+      case Constants.BOOL:
+        return this.boolToHex(value);
+      case Constants.INT:
+        return this.intToHex(value);
+      case Constants.UINT:
+        return this.uintToHex(value);
+      case Constants.STRING:
+        return this.dynamicStringToHex(value);
+      case Constants.BYTES:
+        if (abiType.size) { // fixed bytes, ie. bytes32
+          return this.stringToHex(value, Constants.MAX_HEX_CHARS_PER_BYTE);
+        }
+        return this.dynamicBytesToHex(value);
+      default:
+        throw Error(`Unimplemented type: ${abiType.type}`);
+    }
+  }
+
+  /**
+   * Encodes an array based on its parsed type. Dynamic arrays are prefixed with their length.
+   * @param {object} abiType The array type parsed by AbiType.parse().
+   * @param {array} value Array to convert to hex.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
+   * @return {string} The array converted to hex string.
+   */
+  static encodeArray(abiType, value, network) {
+    const { type, element, arrayLength } = abiType;
+
+    // Fixed bytes arrays also accept a single string or fewer items which are padded-right, ie. bytes32[10]
+    if (arrayLength > 0 && element.baseType === Constants.BYTES && element.size) {
+      if (!_.isArray(value)) {
+        return this.stringToHex(value, Constants.MAX_HEX_CHARS_PER_BYTE * arrayLength);
       }
-    } else if (type.match(Constants.BOOL)) {
-      if (value instanceof Array) {
-        _.each(value, (bool) => {
-          hex += this.boolToHex(bool);
-        });
-      } else {
-        hex = this.boolToHex(value);
+      if (value.length <= arrayLength) {
+        return this.stringArrayToHex(value, arrayLength);
       }
-    } else if (type.match(Constants.REGEX_INT)) { // match order matters here, match int before uint
-      if (value instanceof Array) {
-        _.each(value, (int) => {
-          hex += this.intToHex(int);
-        });
+    }
+
+    if (!_.isArray(value)) {
+      throw Error(`${type} value should be an Array.`);
+    }
+
+    const isDynamicArray = arrayLength === -1;
+    const length = isDynamicArray ? value.length : arrayLength;
+    if (value.length !== length) {
+      throw Error(`${type} value should have ${length} items.`);
+    }
+
+    const hex = this.encodeSequence(_.times(length, _.constant(element)), value, network);
+    return isDynamicArray ? this.uintToHex(length) + hex : hex;
+  }
+
+  /**
+   * Encodes a list of values by their parsed types. Static values are placed in the head and dynamic values
+   * are appended to the tail with their offset placed in the head.
+   * @param {array} abiTypes The types parsed by AbiType.parse().
+   * @param {array} values Values to convert to hex.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
+   * @return {string} The values converted to hex string.
+   */
+  static encodeSequence(abiTypes, values, network) {
+    // Dynamic data starts after the head
+    let dataLoc = _.sumBy(abiTypes, 'headSize');
+
+    let head = '';
+    let tail = '';
+    _.each(abiTypes, (abiType, index) => {
+      const hex = this.encodeValue(abiType, values[index], network);
+      if (abiType.dynamic) {
+        head += this.uintToHex(dataLoc);
+        tail += hex;
+        dataLoc += hex.length / 2;
       } else {
-        hex = this.intToHex(value);
+        head += hex;
       }
-    } else if (type.match(Constants.REGEX_UINT)) {
-      if (value instanceof Array) {
-        _.each(value, (uint) => {
-          hex += this.uintToHex(uint);
-        });
-      } else {
-        hex = this.uintToHex(value);
+    });
+
+    return head + tail;
+  }
+
+  /**
+   * Encodes a list of values by their ABI inputs.
+   * @param {array} inputs The ABI input objects.
+   * @param {array} values Values to convert to hex.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
+   * @return {string} The values converted to hex string.
+   */
+  static encodeParams(inputs, values, network) {
+    if (!_.isArray(values) || values.length !== inputs.length) {
+      throw Error('Number of values supplied does not match ABI inputs.');
+    }
+
+    return this.encodeSequence(_.map(inputs, input => AbiType.parse(input)), values, network);
+  }
+
+  /**
+   * Checks if a value can be encoded as a parsed type. Used to pick between overloaded methods.
+   * @param {object} abiType The type parsed by AbiType.parse().
+   * @param {any} value The value to check.
+   * @return {boolean} If the value matches the type.
+   */
+  static isValueOfType(abiType, value) {
+    switch (abiType.baseType) {
+      case Constants.ARRAY: {
+        const { element, arrayLength } = abiType;
+        if (arrayLength > 0 && element.baseType === Constants.BYTES && element.size) {
+          // Fixed bytes arrays also accept a single string or fewer items, ie. bytes32[10]
+          return _.isString(value) || (_.isArray(value) && value.length <= arrayLength && _.every(value, _.isString));
+        }
+        return _.isArray(value)
+          && (arrayLength === -1 || value.length === arrayLength)
+          && _.every(value, item => this.isValueOfType(element, item));
       }
-    } else if (type.match(Constants.REGEX_BYTES)) { // fixed bytes, ie. bytes32
-      hex = this.stringToHex(value, Constants.MAX_HEX_CHARS_PER_BYTE);
-    } else if (type.match(Constants.REGEX_STATIC_BYTES_ARRAY)) { // fixed bytes array, ie. bytes32[10]
-      const arrCapacity = _.toNumber(type.match(Constants.REGEX_NUMBER)[1]);
-      if (value instanceof Array) {
-        hex = this.stringArrayToHex(value, arrCapacity);
-      } else {
-        hex = this.stringToHex(value, Constants.MAX_HEX_CHARS_PER_BYTE * arrCapacity);
+      case Constants.TUPLE: {
+        const { components } = abiType;
+        if (_.isArray(value)) {
+          return value.length === components.length
+            && _.every(components, (component, index) => this.isValueOfType(component, value[index]));
+        }
+        return _.isPlainObject(value)
+          && _.every(components, component => this.isValueOfType(component, value[component.name]));
       }
-    } else {
-      console.error(`Unimplemented type: ${type}`);
+      case Constants.ADDRESS:
+        return _.isString(value) && Constants.REGEX_ADDRESS.test(Utils.trimHexPrefix(value));
+      case Constants.BOOL:
+        return _.isBoolean(value);
+      case Constants.INT:
+      case Constants.UINT: {
+        if (_.isNumber(value)) {
+          return _.isFinite(value) && (abiType.baseType === Constants.INT || value >= 0);
+        }
+        if (_.isString(value)) {
+          return Web3Utils.isHexStrict(value) || /^-?\d+$/.test(value);
+        }
+        return Web3Utils.isBN(value) || BigNumber.isBigNumber(value);
+      }
+      case Constants.STRING:
+        return _.isString(value);
+      case Constants.BYTES:
+        if (abiType.size) {
+          return _.isString(value);
+        }
+        return Buffer.isBuffer(value) || (_.isString(value) && Web3Utils.isHex(value));
+      default:
+        return false;
     }
+  }
 
-    return hex;
+  /**
+   * Builds the signature of an ABI function, ie. transfer(address,uint256).
+   * @param {object} methodObj The ABI function object.
+   * @return {string} The function signature.
+   */
+  static methodSignature(methodObj) {
+    return `${methodObj.name}(${_.map(methodObj.inputs, input => this.canonicalType(input)).join(',')})`;
   }
 
   /**
-   * Validates arguments by ABI schema and throws errors if mismatch.
+   * Finds an ABI function by name or by full signature, ie. transfer(address,uint256,bytes).
+   * Overloaded functions are picked by the number of args and then by their types.
+   * Throws if the function is not defined or if more than one overload matches the args.
    * @param {object} abi ABI of the contract.
-   * @param {string} methodName The method name.
-   * @param {array} methodArgs The method arguments.
-   * @return {boolean} If valid methodName and methodArgs.
+   * @param {string} methodName The method name or signature.
+   * @param {array} args The method arguments. Omit to resolve by name or signature only.
+   * @return {object} The ABI function object.
    */
-  static validateMethodAndArgs(abi, methodName, args = []) {
-    const methodObj = _.find(abi, { name: methodName });
+  static findMethod(abi, methodName, args) {
     if (!abi) {
       throw Error('abi should not be undefined.');
     }
     if (!methodName) {
       throw Error('methodName should not be undefined.');
     }
-    if (!methodObj) {
+
+    const functions = _.filter(abi, item => !item.type || item.type === 'function');
+    const isSignature = methodName.indexOf('(') !== -1;
+    const signature = methodName.replace(/\s/g, '');
+    const candidates = isSignature
+      ? _.filter(functions, item => this.methodSignature(item) === signature)
+      : _.filter(functions, { name: methodName });
+    if (candidates.length === 0) {
       throw Error(`Method ${methodName} not defined in ABI.`);
     }
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    let matches = candidates;
+    if (_.isArray(args)) {
+      matches = _.filter(matches, item => item.inputs.length === args.length);
+      if (matches.length === 0) {
+        throw Error('Number of arguments supplied does not match ABI method args.');
+      }
+      if (matches.length > 1) {
+        matches = _.filter(matches, item =>
+          _.every(item.inputs, (input, index) => this.isValueOfType(AbiType.parse(input), args[index])));
+      }
+    }
+    if (matches.length === 1) {
+      return matches[0];
+    }
+
+    const signatures = _.map(matches.length > 0 ? matches : candidates, item => this.methodSignature(item));
+    throw Error(`Method ${methodName} is ambiguous. Use one of the signatures: ${signatures.join(', ')}`);
+  }
+
+  /**
+   * Validates arguments by ABI schema and throws errors if mismatch.
+   * @param {object} abi ABI of the contract.
+   * @param {string} methodName The method name.
+   * @param {array} methodArgs The method arguments.
+   * @return {boolean} If valid methodName and methodArgs.
+   */
+  static validateMethodAndArgs(abi, methodName, args = []) {
+    const methodObj = this.findMethod(abi, methodName, args);
     if (methodObj.inputs.length !== args.length) {
       throw Error('Number of arguments supplied does not match ABI method args.');
     }
@@ -281,84 +543,46 @@ class Encoder {
    * @param {object} abi ABI of the contract.
    * @param {string} methodObj Method name of the function.
    * @param {array} args Arguments for the method.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
    * @return Hex string of all the encoded args.
    */
-  static constructData(abi, methodName, args = []) {
+  static constructData(abi, methodName, args = [], network) {
     if (!this.validateMethodAndArgs(abi, methodName, args)) {
       throw Error('Invalid params to construct data.');
     }
 
     // Get the method obj from JSON
-    const methodObj = _.find(abi, { name: methodName });
-    if (!methodObj) {
-      throw Error('Could not find method in ABI.');
-    }
+    const methodObj = this.findMethod(abi, methodName, args);
 
     // Get function hash
     const funcHash = this.objToHash(methodObj, true);
 
-    // Create an array of data hex strings which will be combined at the end
-    const numOfParams = methodObj.inputs.length;
-    const dataHexArr = _.times(numOfParams, _.constant(null));
-
-    // Calculate start byte for dynamic data
-    let dataLoc = 0;
-    _.each(methodObj.inputs, (item) => {
-      const { type } = item;
-      if (type.match(Constants.REGEX_STATIC_ARRAY)) {
-        // treat each static array as an individual slot for dynamic data location purposes
-        const arrCap = _.toNumber(type.match(Constants.REGEX_NUMBER)[1]);
-        dataLoc += arrCap;
-      } else {
-        dataLoc += 1;
-      }
-    });
+    return funcHash + this.encodeParams(methodObj.inputs, args, network);
+  }
 
-    _.each(methodObj.inputs, (item, index) => {
-      const { type } = item;
-      let hex;
-
-      if (type === Constants.BYTES) {
-        throw Error('dynamics bytes conversion not implemented.');
-      } else if (type === Constants.STRING) {
-        throw Error('dynamic string conversion not implemented.');
-      } else if (type.match(Constants.REGEX_DYNAMIC_ARRAY)) { // dynamic types
-        let data = '';
-
-        // set location of dynamic data
-        const startBytesLoc = dataLoc * 32;
-        hex = this.uintToHex(startBytesLoc);
-        dataHexArr[index] = hex;
-
-        // construct data
-        // add length of dynamic data set
-        const numOfDynItems = args[index].length;
-        data += this.uintToHex(numOfDynItems);
-
-        // add each hex converted item
-        _.each(args[index], (dynItem) => {
-          data += this.encodeParam(type, dynItem);
-        });
-
-        // add the dynamic data to the end
-        dataHexArr.push(data);
-
-        // increment starting data location
-        // +1 for the length of data set
-        dataLoc += numOfDynItems + 1;
-      } else if (type === Constants.ADDRESS
-        || type === Constants.BOOL
-        || type.match(Constants.REGEX_UINT)
-        || type.match(Constants.REGEX_INT)
-        || type.match(Constants.REGEX_BYTES)
-        || type.match(Constants.REGEX_STATIC_ARRAY)) { // static types
-        dataHexArr[index] = this.encodeParam(type, args[index]);
-      } else {
-        console.error(`Found unknown type: ${type}`);
-      }
-    });
+  /**
+   * Constructs the data hex string needed for a createcontract.
+   * @param {object} abi ABI of the contract.
+   * @param {string} bytecode Compiled bytecode of the contract.
+   * @param {array} args Arguments for the constructor.
+   * @param {string|object} network Network the VIPSTARCOIN addresses must belong to. Not checked if undefined.
+   * @return Hex string of the bytecode followed by the encoded constructor args.
+   */
+  static constructDeployData(abi, bytecode, args = [], network) {
+    if (!abi) {
+      throw Error('abi should not be undefined.');
+    }
+    if (!bytecode || !Web3Utils.isHex(bytecode)) {
+      throw Error('bytecode should be a hex string.');
+    }
+
+    const constructorObj = _.find(abi, { type: 'constructor' });
+    const inputs = constructorObj ? constructorObj.inputs : [];
+    if (inputs.length !== args.length) {
+      throw Error('Number of arguments supplied does not match ABI constructor args.');
+    }
 
-    return funcHash + dataHexArr.join('');
+    return Utils.trimHexPrefix(bytecode) + this.encodeParams(inputs, args, network);
   }
 }
 
@@ -0,0 +1,140 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const AbiType = require('../abi-type');
+
+const { assert } = chai;
+
+describe('AbiType', () => {
+  describe('parse()', () => {
+    it('parses elementary types', () => {
+      let parsed = AbiType.parse('uint8');
+      assert.equal(parsed.baseType, 'uint');
+      assert.equal(parsed.size, 8);
+      assert.isFalse(parsed.dynamic);
+      assert.equal(parsed.headSize, 32);
+
+      parsed = AbiType.parse('int');
+      assert.equal(parsed.baseType, 'int');
+      assert.equal(parsed.size, 256);
+
+      parsed = AbiType.parse('bytes32');
+      assert.equal(parsed.baseType, 'bytes');
+      assert.equal(parsed.size, 32);
+      assert.isFalse(parsed.dynamic);
+
+      parsed = AbiType.parse('address');
+      assert.equal(parsed.baseType, 'address');
+      assert.isFalse(parsed.dynamic);
+
+      parsed = AbiType.parse('bool');
+      assert.equal(parsed.baseType, 'bool');
+      assert.isFalse(parsed.dynamic);
+    });
+
+    it('parses dynamic bytes and string types', () => {
+      let parsed = AbiType.parse('bytes');
+      assert.equal(parsed.baseType, 'bytes');
+      assert.isUndefined(parsed.size);
+      assert.isTrue(parsed.dynamic);
+
+      parsed = AbiType.parse('string');
+      assert.equal(parsed.baseType, 'string');
+      assert.isTrue(parsed.dynamic);
+    });
+
+    it('parses an ABI input object', () => {
+      const parsed = AbiType.parse({ name: '_amount', type: 'uint256' });
+      assert.equal(parsed.name, '_amount');
+      assert.equal(parsed.type, 'uint256');
+    });
+
+    it('parses static arrays', () => {
+      const parsed = AbiType.parse('uint256[3]');
+      assert.equal(parsed.baseType, 'array');
+      assert.equal(parsed.arrayLength, 3);
+      assert.equal(parsed.element.type, 'uint256');
+      assert.isFalse(parsed.dynamic);
+      assert.equal(parsed.headSize, 96);
+    });
+
+    it('parses dynamic arrays', () => {
+      const parsed = AbiType.parse('address[]');
+      assert.equal(parsed.baseType, 'array');
+      assert.equal(parsed.arrayLength, -1);
+      assert.equal(parsed.element.type, 'address');
+      assert.isTrue(parsed.dynamic);
+      assert.equal(parsed.headSize, 32);
+    });
+
+    it('parses nested arrays from the outermost dimension', () => {
+      let parsed = AbiType.parse('address[2][]');
+      assert.equal(parsed.arrayLength, -1);
+      assert.equal(parsed.element.type, 'address[2]');
+      assert.equal(parsed.element.arrayLength, 2);
+      assert.equal(parsed.element.element.type, 'address');
+
+      parsed = AbiType.parse('uint8[][3]');
+      assert.equal(parsed.arrayLength, 3);
+      assert.isTrue(parsed.dynamic);
+      assert.equal(parsed.element.arrayLength, -1);
+
+      parsed = AbiType.parse('uint8[2][3]');
+      assert.isFalse(parsed.dynamic);
+      assert.equal(parsed.headSize, 192);
+    });
+
+    it('parses static arrays of dynamic elements as dynamic', () => {
+      const parsed = AbiType.parse('string[2]');
+      assert.equal(parsed.arrayLength, 2);
+      assert.isTrue(parsed.dynamic);
+      assert.equal(parsed.headSize, 32);
+    });
+
+    it('parses tuples and their components', () => {
+      let parsed = AbiType.parse({
+        name: '_point',
+        type: 'tuple',
+        components: [
+          { name: 'x', type: 'uint256' },
+          { name: 'y', type: 'bool' },
+        ],
+      });
+      assert.equal(parsed.baseType, 'tuple');
+      assert.lengthOf(parsed.components, 2);
+      assert.equal(parsed.components[0].name, 'x');
+      assert.isFalse(parsed.dynamic);
+      assert.equal(parsed.headSize, 64);
+
+      parsed = AbiType.parse({
+        name: '_people',
+        type: 'tuple[2]',
+        components: [
+          { name: 'id', type: 'uint256' },
+          { name: 'name', type: 'string' },
+        ],
+      });
+      assert.equal(parsed.arrayLength, 2);
+      assert.equal(parsed.element.baseType, 'tuple');
+      assert.isTrue(parsed.element.dynamic);
+      assert.isTrue(parsed.dynamic);
+    });
+
+    it('throws if the type is invalid', () => {
+      assert.throws(() => AbiType.parse(), Error);
+      assert.throws(() => AbiType.parse(''), Error);
+      assert.throws(() => AbiType.parse('uint7'), Error);
+      assert.throws(() => AbiType.parse('uint264'), Error);
+      assert.throws(() => AbiType.parse('bytes0'), Error);
+      assert.throws(() => AbiType.parse('bytes33'), Error);
+      assert.throws(() => AbiType.parse('uint256[0]'), Error);
+      assert.throws(() => AbiType.parse('uint256[a]'), Error);
+      assert.throws(() => AbiType.parse('mapping'), Error);
+    });
+
+    it('throws if a tuple has no components', () => {
+      assert.throws(() => AbiType.parse({ name: '_point', type: 'tuple' }), Error);
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -3,6 +3,7 @@ const chai = require('chai');
 
 const ContractMetadata = require('../../../test/data/contract_metadata');
 const Decoder = require('../decoder');
+const Encoder = require('../encoder');
 
 const { assert, expect } = chai;
 
@@ -40,6 +41,84 @@ describe('Decoder', () => {
       const expected = [hexArray[0].slice(2), hexArray[1].slice(2)];
       assert.deepEqual(Decoder.removeHexPrefix(hexArray), expected);
     });
+
+    it('returns the nested array and object values without hex prefixes', () => {
+      const value = {
+        owner: '0x17e7888aa7412a735f336d2f6d784caefabb6fa3',
+        items: [['0x1234'], { data: '0xabcd' }],
+      };
+      assert.deepEqual(Decoder.removeHexPrefix(value), {
+        owner: '17e7888aa7412a735f336d2f6d784caefabb6fa3',
+        items: [['1234'], { data: 'abcd' }],
+      });
+    });
+  });
+
+  describe('decodeReceiptLogs()', () => {
+    const abi = [{
+      anonymous: false,
+      inputs: [
+        { indexed: true, name: '_owner', type: 'address' },
+        {
+          indexed: false,
+          name: '_person',
+          type: 'tuple',
+          components: [
+            { name: 'id', type: 'uint256' },
+            { name: 'name', type: 'string' },
+          ],
+        },
+      ],
+      name: 'PersonAdded',
+      type: 'event',
+    }];
+    const address = '979487ee8c643621d2e3950dbe60edc610d7569a';
+    const personAddedLog = {
+      address,
+      topics: [
+        'd4985ce010314d571469cdba97d0f796418c72d96225683fca0da09feee7c32a',
+        '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+      ],
+      data: '0000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000500000000000000000000000000000000000000000000000000000000000000400000000000000000000000000000000000000000000000000000000000000005416c696365000000000000000000000000000000000000000000000000000000',
+    };
+    const unknownEventLog = {
+      address,
+      topics: ['1234567890123456789012345678901234567890123456789012345678901234'],
+      data: '',
+    };
+    const otherContractLog = Object.assign({}, personAddedLog, { address: 'f6177bc9812eeb531907621af6641a41133dea9e' });
+
+    it('returns the decoded events of the ABI', () => {
+      const logs = Decoder.decodeReceiptLogs([personAddedLog], abi, address);
+      assert.lengthOf(logs, 1);
+      assert.equal(logs[0].event, 'PersonAdded');
+      assert.equal(logs[0].address, address);
+      assert.equal(logs[0].logIndex, 0);
+      assert.equal(logs[0].args._owner, '17e7888aa7412a735f336d2f6d784caefabb6fa3');
+      assert.equal(logs[0].args._person.id.toNumber(), 5);
+      assert.equal(logs[0].args._person.name, 'Alice');
+      assert.isUndefined(logs[0].args._eventName);
+    });
+
+    it('keeps the hex prefix if removeHexPrefix is false', () => {
+      const logs = Decoder.decodeReceiptLogs([personAddedLog], abi, address, false);
+      assert.equal(logs[0].args._owner, '0x17e7888aa7412a735f336d2f6d784caefabb6fa3');
+    });
+
+    it('passes through the logs of unknown events and other contracts untouched', () => {
+      const logs = Decoder.decodeReceiptLogs([unknownEventLog, otherContractLog, personAddedLog], abi, address);
+      assert.lengthOf(logs, 3);
+      assert.equal(logs[0], unknownEventLog);
+      assert.equal(logs[1], otherContractLog);
+      assert.equal(logs[2].event, 'PersonAdded');
+      assert.equal(logs[2].logIndex, 2);
+    });
+
+    it('decodes the logs of any address if address is undefined', () => {
+      const logs = Decoder.decodeReceiptLogs([otherContractLog], abi);
+      assert.equal(logs[0].event, 'PersonAdded');
+      assert.equal(logs[0].address, 'f6177bc9812eeb531907621af6641a41133dea9e');
+    });
   });
 
   describe('decodeCall()', () => {
@@ -147,6 +226,110 @@ describe('Decoder', () => {
       assert.equal(decoded.executionResult.formattedOutput[0], '17e7888aa7412a735f336d2f6d784caefabb6fa3');
     });
 
+    it('returns the formatted call output for tuples as named objects', () => {
+      const abi = [{
+        constant: true,
+        inputs: [],
+        name: 'getPeople',
+        outputs: [
+          {
+            name: 'owner',
+            type: 'tuple',
+            components: [
+              { name: 'id', type: 'uint256' },
+              { name: 'addr', type: 'address' },
+            ],
+          },
+          {
+            name: 'people',
+            type: 'tuple[]',
+            components: [
+              { name: 'id', type: 'uint256' },
+              { name: 'name', type: 'string' },
+            ],
+          },
+        ],
+        payable: false,
+        stateMutability: 'view',
+        type: 'function',
+      }];
+      rawOutput = {
+        address: 'dacd16bde8ff9f7689cb8d3363324c77fbb80950',
+        executionResult: {
+          gasUsed: 25312,
+          excepted: 'None',
+          newAddress: 'dacd16bde8ff9f7689cb8d3363324c77fbb80950',
+          output: '0000000000000000000000000000000000000000000000000000000000000001'
+            + '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3'
+            + '0000000000000000000000000000000000000000000000000000000000000060'
+            + '0000000000000000000000000000000000000000000000000000000000000001'
+            + '0000000000000000000000000000000000000000000000000000000000000020'
+            + '0000000000000000000000000000000000000000000000000000000000000005'
+            + '0000000000000000000000000000000000000000000000000000000000000040'
+            + '0000000000000000000000000000000000000000000000000000000000000005'
+            + '416c696365000000000000000000000000000000000000000000000000000000',
+          codeDeposit: 0,
+          gasRefunded: 0,
+          depositSize: 0,
+          gasForDeposit: 0,
+        },
+      };
+
+      const decoded = Decoder.decodeCall(rawOutput, abi, 'getPeople', true);
+      const { formattedOutput } = decoded.executionResult;
+      assert.equal(formattedOutput.owner.id.toNumber(), 1);
+      assert.equal(formattedOutput.owner.addr, '17e7888aa7412a735f336d2f6d784caefabb6fa3');
+      assert.equal(formattedOutput[0], formattedOutput.owner);
+      assert.lengthOf(formattedOutput.people, 1);
+      assert.equal(formattedOutput.people[0].id.toNumber(), 5);
+      assert.equal(formattedOutput.people[0].name, 'Alice');
+    });
+
+    it('returns the formatted call output of an overloaded method by signature', () => {
+      const abi = [
+        { type: 'function', name: 'balanceOf', inputs: [{ name: '_owner', type: 'address' }], outputs: [{ name: 'balance', type: 'uint256' }], constant: true },
+        { type: 'function', name: 'balanceOf', inputs: [{ name: '_owner', type: 'address' }, { name: '_id', type: 'uint256' }], outputs: [{ name: 'owned', type: 'bool' }], constant: true },
+      ];
+      const callOutput = {
+        executionResult: {
+          excepted: 'None',
+          output: '0000000000000000000000000000000000000000000000000000000000000001',
+        },
+      };
+
+      const decoded = Decoder.decodeCall(callOutput, abi, 'balanceOf(address,uint256)', true);
+      assert.strictEqual(decoded.executionResult.formattedOutput.owned, true);
+      expect(() => Decoder.decodeCall(callOutput, abi, 'balanceOf', true)).to.throw(/ambiguous/);
+    });
+
+    it('returns the formatted call output of an overloaded method by its args', () => {
+      const abi = [
+        { type: 'function', name: 'balanceOf', inputs: [{ name: '_owner', type: 'address' }], outputs: [{ name: 'balance', type: 'uint256' }], constant: true },
+        { type: 'function', name: 'balanceOf', inputs: [{ name: '_owner', type: 'address' }, { name: '_id', type: 'uint256' }], outputs: [{ name: 'owned', type: 'bool' }], constant: true },
+      ];
+      const callOutput = {
+        executionResult: {
+          excepted: 'None',
+          output: '0000000000000000000000000000000000000000000000000000000000000001',
+        },
+      };
+
+      const decoded = Decoder.decodeCall(callOutput, abi, 'balanceOf', true, ['0x17e7888aa7412a735f336d2f6d784caefabb6fa3', 1]);
+      assert.strictEqual(decoded.executionResult.formattedOutput.owned, true);
+    });
+
+    it('returns the call output unchanged if the method is not defined in the ABI', () => {
+      const callOutput = () => ({
+        executionResult: {
+          excepted: 'None',
+          output: '0000000000000000000000000000000000000000000000000000000000000001',
+        },
+      });
+
+      assert.deepEqual(Decoder.decodeCall(callOutput(), ContractMetadata.BodhiToken.abi, 'notDefined', true), callOutput());
+      assert.deepEqual(Decoder.decodeCall(callOutput(), [], 'notDefined(uint256)', true), callOutput());
+    });
+
     it('throws if rawOutput, contractABI, or methodName is undefined', () => {
       expect(() => Decoder.decodeCall(undefined, ContractMetadata.BodhiToken.abi, 'tokenTotalSupply')).to.throw();
       expect(() => Decoder.decodeCall(rawOutput, undefined, 'tokenTotalSupply')).to.throw();
@@ -154,6 +337,37 @@ describe('Decoder', () => {
     });
   });
 
+  describe('decodeRevert()', () => {
+    const errorAbi = {
+      type: 'error',
+      name: 'InsufficientBalance',
+      inputs: [{ name: 'available', type: 'uint256' }, { name: 'required', type: 'uint256' }],
+    };
+    const abi = ContractMetadata.BodhiToken.abi.concat([errorAbi]);
+
+    it('decodes the reason of Error(string)', () => {
+      const output = `08c379a0${Encoder.encodeParams([{ type: 'string' }], ['Not the owner'])}`;
+      assert.deepEqual(Decoder.decodeRevert(output, abi), { reason: 'Not the owner' });
+      assert.deepEqual(Decoder.decodeRevert(`0x${output}`, []), { reason: 'Not the owner' });
+    });
+
+    it('decodes the custom errors of the ABI', () => {
+      const output = Encoder.objToHash(errorAbi, true) + Encoder.encodeParams(errorAbi.inputs, [5, 10]);
+      const revert = Decoder.decodeRevert(output, abi);
+      assert.equal(revert.reason, 'InsufficientBalance(uint256,uint256)');
+      assert.equal(revert.error.name, 'InsufficientBalance');
+      assert.equal(revert.error.signature, 'InsufficientBalance(uint256,uint256)');
+      assert.equal(revert.error.args.available.toString(), '5');
+      assert.equal(revert.error.args.required.toString(), '10');
+    });
+
+    it('returns undefined if the output is empty or unknown', () => {
+      assert.isUndefined(Decoder.decodeRevert('', abi));
+      assert.isUndefined(Decoder.decodeRevert(undefined, abi));
+      assert.isUndefined(Decoder.decodeRevert('12345678', abi));
+    });
+  });
+
   describe('decodeSearchLog()', () => {
     const rawOutput = [
       {
@@ -245,6 +459,54 @@ describe('Decoder', () => {
       assert.equal(log1._resultSettingEndBlock, 0xc4e0);
     });
 
+    it('returns the formatted searchlog output for tuple events', () => {
+      const metadata = {
+        Registry: {
+          abi: [{
+            anonymous: false,
+            inputs: [
+              { indexed: true, name: '_owner', type: 'address' },
+              {
+                indexed: false,
+                name: '_person',
+                type: 'tuple',
+                components: [
+                  { name: 'id', type: 'uint256' },
+                  { name: 'name', type: 'string' },
+                ],
+              },
+            ],
+            name: 'PersonAdded',
+            type: 'event',
+          }],
+        },
+      };
+      const tupleOutput = [
+        {
+          blockHash: 'b714317e141e29c9ccf7d051c55ba578cd1adf4239a968db0207673dfe911c66',
+          blockNumber: 45038,
+          transactionHash: '9ec8809f9d9ddd99011ab1fda176a6974d4839f298e299563844db37e008b41b',
+          log: [
+            {
+              address: '979487ee8c643621d2e3950dbe60edc610d7569a',
+              topics: [
+                'd4985ce010314d571469cdba97d0f796418c72d96225683fca0da09feee7c32a',
+                '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+              ],
+              data: '0000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000500000000000000000000000000000000000000000000000000000000000000400000000000000000000000000000000000000000000000000000000000000005416c696365000000000000000000000000000000000000000000000000000000',
+            },
+          ],
+        },
+      ];
+
+      const formatted = Decoder.decodeSearchLog(tupleOutput, metadata, true);
+      const log0 = formatted[0].log[0];
+      assert.equal(log0._eventName, 'PersonAdded');
+      assert.equal(log0._owner, '17e7888aa7412a735f336d2f6d784caefabb6fa3');
+      assert.equal(log0._person.id.toNumber(), 5);
+      assert.equal(log0._person.name, 'Alice');
+    });
+
     it('skips decoding for an invalid eventName', () => {
       const withdrawWinningsOutput = [
         {
@@ -4,6 +4,7 @@ const BN = require('bn.js');
 const BigNumber = require('bignumber.js');
 
 const Encoder = require('../encoder');
+const Decoder = require('../decoder');
 const ContractMetadata = require('../../../test/data/contract_metadata');
 
 const { assert } = chai;
@@ -139,6 +140,24 @@ describe('Encoder', () => {
       assert.equal(hash.length, 8);
     });
 
+    it('converts an obj with tuple inputs to hash string', () => {
+      const funcObj = {
+        inputs: [
+          {
+            name: '_person',
+            type: 'tuple',
+            components: [
+              { name: 'id', type: 'uint256' },
+              { name: 'name', type: 'string' },
+            ],
+          },
+        ],
+        name: 'addPerson',
+        type: 'function',
+      };
+      assert.equal(Encoder.objToHash(funcObj, true), '8addd336');
+    });
+
     it('throws if obj is undefined', () => {
       assert.throws(() => Encoder.objToHash(undefined, false), Error);
     });
@@ -148,6 +167,33 @@ describe('Encoder', () => {
     });
   });
 
+  describe('canonicalType()', () => {
+    it('returns the type of a non-tuple input', () => {
+      assert.equal(Encoder.canonicalType({ name: '_amount', type: 'uint256' }), 'uint256');
+      assert.equal(Encoder.canonicalType({ name: '_names', type: 'bytes32[10]' }), 'bytes32[10]');
+    });
+
+    it('expands tuples to their component types', () => {
+      const input = {
+        name: '_order',
+        type: 'tuple[]',
+        components: [
+          { name: 'owner', type: 'address' },
+          {
+            name: 'item',
+            type: 'tuple',
+            components: [
+              { name: 'id', type: 'uint256' },
+              { name: 'name', type: 'string' },
+            ],
+          },
+          { name: 'amounts', type: 'uint256[2]' },
+        ],
+      };
+      assert.equal(Encoder.canonicalType(input), '(address,(uint256,string),uint256[2])[]');
+    });
+  });
+
   describe('addressToHex()', () => {
     it('should convert a VIPSTARCOIN address', () => {
       assert.equal(
@@ -399,6 +445,70 @@ describe('Encoder', () => {
     });
   });
 
+  describe('dynamicBytesToHex()', () => {
+    it('should convert a hex string to length-prefixed hex', () => {
+      let hex = Encoder.dynamicBytesToHex('0x1234');
+      assert.equal(hex, '0000000000000000000000000000000000000000000000000000000000000002'
+        + '1234000000000000000000000000000000000000000000000000000000000000');
+
+      hex = Encoder.dynamicBytesToHex('1234');
+      assert.equal(hex, '0000000000000000000000000000000000000000000000000000000000000002'
+        + '1234000000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('should convert a Buffer to length-prefixed hex', () => {
+      const hex = Encoder.dynamicBytesToHex(Buffer.from('1234', 'hex'));
+      assert.equal(hex, '0000000000000000000000000000000000000000000000000000000000000002'
+        + '1234000000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('pads the data to a multiple of 32 bytes', () => {
+      const hex = Encoder.dynamicBytesToHex('0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123');
+      assert.equal(hex, '0000000000000000000000000000000000000000000000000000000000000022'
+        + '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'
+        + '0123000000000000000000000000000000000000000000000000000000000000');
+      assert.equal(hex.length, PADDED_BYTES * 3);
+    });
+
+    it('converts empty bytes to only the length', () => {
+      assert.equal(Encoder.dynamicBytesToHex('0x'), '0000000000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('throws if value is undefined', () => {
+      assert.throws(() => Encoder.dynamicBytesToHex(undefined), Error);
+      assert.throws(() => Encoder.dynamicBytesToHex(), Error);
+    });
+
+    it('throws if value is not hex or a Buffer', () => {
+      assert.throws(() => Encoder.dynamicBytesToHex('hello world'), Error);
+      assert.throws(() => Encoder.dynamicBytesToHex(12345), Error);
+      assert.throws(() => Encoder.dynamicBytesToHex('0x123'), Error);
+    });
+  });
+
+  describe('dynamicStringToHex()', () => {
+    it('should convert a string to length-prefixed hex', () => {
+      const hex = Encoder.dynamicStringToHex('Hello World');
+      assert.equal(hex, '000000000000000000000000000000000000000000000000000000000000000b'
+        + '48656c6c6f20576f726c64000000000000000000000000000000000000000000');
+    });
+
+    it('uses the utf8 byte length', () => {
+      const hex = Encoder.dynamicStringToHex('こんにちは');
+      assert.equal(hex, '000000000000000000000000000000000000000000000000000000000000000f'
+        + 'e38193e38293e381abe381a1e381af0000000000000000000000000000000000');
+    });
+
+    it('converts an empty string to only the length', () => {
+      assert.equal(Encoder.dynamicStringToHex(''), '0000000000000000000000000000000000000000000000000000000000000000');
+    });
+
+    it('throws if string is undefined or not a String', () => {
+      assert.throws(() => Encoder.dynamicStringToHex(undefined), Error);
+      assert.throws(() => Encoder.dynamicStringToHex(12345), Error);
+    });
+  });
+
   describe('padHexString()', () => {
     it('should pad an existing hex string', () => {
       let paddedStr = Encoder.padHexString('5f5e100');
@@ -420,6 +530,161 @@ describe('Encoder', () => {
     });
   });
 
+  describe('encodeParams()', () => {
+    it('encodes nested dynamic arrays and arrays of dynamic elements', () => {
+      const inputs = [{ name: '_a', type: 'uint256[][]' }, { name: '_b', type: 'string[]' }];
+      const dataHex = Encoder.encodeParams(inputs, [[[1, 2], [3]], ['one', 'two', 'three']]);
+
+      const expected = [
+        '0000000000000000000000000000000000000000000000000000000000000040',
+        '0000000000000000000000000000000000000000000000000000000000000140',
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '0000000000000000000000000000000000000000000000000000000000000040',
+        '00000000000000000000000000000000000000000000000000000000000000a0',
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '0000000000000000000000000000000000000000000000000000000000000001',
+        '0000000000000000000000000000000000000000000000000000000000000003',
+        '0000000000000000000000000000000000000000000000000000000000000003',
+        '0000000000000000000000000000000000000000000000000000000000000060',
+        '00000000000000000000000000000000000000000000000000000000000000a0',
+        '00000000000000000000000000000000000000000000000000000000000000e0',
+        '0000000000000000000000000000000000000000000000000000000000000003',
+        '6f6e650000000000000000000000000000000000000000000000000000000000',
+        '0000000000000000000000000000000000000000000000000000000000000003',
+        '74776f0000000000000000000000000000000000000000000000000000000000',
+        '0000000000000000000000000000000000000000000000000000000000000005',
+        '7468726565000000000000000000000000000000000000000000000000000000',
+      ];
+      assert.equal(dataHex, expected.join(''));
+    });
+
+    it('encodes dynamic arrays of static arrays in place', () => {
+      const inputs = [{ name: '_pairs', type: 'address[2][]' }];
+      const dataHex = Encoder.encodeParams(inputs, [[
+        ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy', 'qKoxAUEQ1Nj6anwes6ZjRGQ7aqdiyUeat8'],
+        ['qKoxAUEQ1Nj6anwes6ZjRGQ7aqdiyUeat8', 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy'],
+      ]]);
+
+      const expected = [
+        '0000000000000000000000000000000000000000000000000000000000000020',
+        '0000000000000000000000000000000000000000000000000000000000000002',
+        '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+        '00000000000000000000000018b1a0dc71e4de23c20dc4163f9696d2d9d63868',
+        '00000000000000000000000018b1a0dc71e4de23c20dc4163f9696d2d9d63868',
+        '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+      ];
+      assert.equal(dataHex, expected.join(''));
+    });
+
+    it('round-trips nested arrays through the decoder', () => {
+      const inputs = [
+        { name: '_a', type: 'uint256[][]' },
+        { name: '_b', type: 'address[2][]' },
+        { name: '_c', type: 'string[]' },
+        { name: '_d', type: 'bytes[2]' },
+        { name: '_e', type: 'int8[][2]' },
+        { name: '_f', type: 'bool[2][2]' },
+      ];
+      const values = [
+        [[1, 2], [], [3]],
+        [['0x17e7888aa7412a735f336d2f6d784caefabb6fa3', '0x18b1a0dc71e4de23c20dc4163f9696d2d9d63868']],
+        ['one', '', 'こんにちは'],
+        ['0x1234', '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef01'],
+        [[-1, 127], [-128]],
+        [[true, false], [false, true]],
+      ];
+      const decoded = Decoder.decodeParams(inputs, Encoder.encodeParams(inputs, values));
+
+      assert.deepEqual(decoded[0].map(arr => arr.map(num => num.toNumber())), values[0]);
+      assert.deepEqual(decoded[1], values[1]);
+      assert.deepEqual(decoded[2], values[2]);
+      assert.deepEqual(decoded[3], values[3]);
+      assert.deepEqual(decoded[4].map(arr => arr.map(num => num.toNumber())), values[4]);
+      assert.deepEqual(decoded[5], values[5]);
+    });
+
+    it('round-trips arrays of tuples with nested arrays through the decoder', () => {
+      const inputs = [{
+        name: '_orders',
+        type: 'tuple[]',
+        components: [
+          { name: 'ids', type: 'uint256[]' },
+          { name: 'tags', type: 'string[2]' },
+        ],
+      }];
+      const values = [[
+        { ids: [1, 2], tags: ['a', 'b'] },
+        { ids: [], tags: ['c', ''] },
+      ]];
+      const decoded = Decoder.decodeParams(inputs, Encoder.encodeParams(inputs, values));
+
+      assert.lengthOf(decoded[0], 2);
+      assert.deepEqual(decoded[0][0].ids.map(num => num.toNumber()), [1, 2]);
+      assert.deepEqual(decoded[0][0].tags, ['a', 'b']);
+      assert.deepEqual(decoded[0][1].ids, []);
+      assert.deepEqual(decoded[0][1].tags, ['c', '']);
+    });
+
+    it('throws if the number of values does not match the inputs', () => {
+      assert.throws(() => Encoder.encodeParams([{ name: '_a', type: 'uint256' }], []), Error);
+      assert.throws(() => Encoder.encodeParams([{ name: '_a', type: 'uint256' }], 1), Error);
+    });
+
+    it('throws if a nested array value is not an array', () => {
+      assert.throws(() => Encoder.encodeParams([{ name: '_a', type: 'uint256[][]' }], [[1, 2]]), Error);
+      assert.throws(() => Encoder.encodeParams([{ name: '_a', type: 'uint256[2][]' }], [[[1]]]), Error);
+    });
+  });
+
+  describe('findMethod()', () => {
+    const abi = [
+      { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+      { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }, { name: '_data', type: 'bytes' }], outputs: [{ name: '', type: 'bool' }] },
+      { type: 'function', name: 'set', inputs: [{ name: '_value', type: 'uint256' }], outputs: [] },
+      { type: 'function', name: 'set', inputs: [{ name: '_value', type: 'string' }], outputs: [] },
+      { type: 'function', name: 'set', inputs: [{ name: '_value', type: 'bytes' }], outputs: [] },
+      { type: 'event', name: 'Transfer', inputs: [{ indexed: true, name: '_from', type: 'address' }] },
+    ];
+    const address = '17e7888aa7412a735f336d2f6d784caefabb6fa3';
+
+    it('returns the method by name', () => {
+      assert.equal(Encoder.findMethod(ContractMetadata.EventFactory.abi, 'createTopic').name, 'createTopic');
+    });
+
+    it('returns the method by signature', () => {
+      assert.equal(Encoder.findMethod(abi, 'transfer(address,uint256,bytes)'), abi[1]);
+      assert.equal(Encoder.findMethod(abi, 'transfer(address, uint256)'), abi[0]);
+    });
+
+    it('returns the overload matching the number of args', () => {
+      assert.equal(Encoder.findMethod(abi, 'transfer', [address, 1]), abi[0]);
+      assert.equal(Encoder.findMethod(abi, 'transfer', [address, 1, '0xabcd']), abi[1]);
+    });
+
+    it('returns the overload matching the types of args', () => {
+      assert.equal(Encoder.findMethod(abi, 'set', [5]), abi[2]);
+      assert.equal(Encoder.findMethod(abi, 'set', [new BN(5)]), abi[2]);
+      assert.equal(Encoder.findMethod(abi, 'set', ['Hello World']), abi[3]);
+      assert.equal(Encoder.findMethod(abi, 'set', [Buffer.from('abcd', 'hex')]), abi[4]);
+    });
+
+    it('throws if the overload is ambiguous', () => {
+      assert.throws(() => Encoder.findMethod(abi, 'set'), 'Method set is ambiguous. Use one of the signatures: set(uint256), set(string), set(bytes)');
+      assert.throws(() => Encoder.findMethod(abi, 'set', ['0xabcd']), /ambiguous/);
+    });
+
+    it('throws if no overload has the number of args', () => {
+      assert.throws(() => Encoder.findMethod(abi, 'transfer', [address]), 'Number of arguments supplied does not match ABI method args.');
+    });
+
+    it('throws if the method is not a function in the ABI', () => {
+      assert.throws(() => Encoder.findMethod(abi, 'Transfer'), 'Method Transfer not defined in ABI.');
+      assert.throws(() => Encoder.findMethod(abi, 'transfer(address)'), 'Method transfer(address) not defined in ABI.');
+    });
+  });
+
   describe('validateMethodAndArgs()', () => {
     const { abi } = ContractMetadata.EventFactory;
     const args = ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy', 'Hello World', ['a', 'b', 'c'], 'c350', 'c738'];
@@ -932,7 +1197,250 @@ describe('Encoder', () => {
       assert.equal(dataHex, funcHash.concat(param));
     });
 
-    it('does not parse bytes if < 1 or > 32', () => {
+    it('converts dynamic string types', () => {
+      const methodObj = {
+        constant: true,
+        inputs: [
+          {
+            name: '_name',
+            type: 'string',
+          },
+        ],
+        name: 'test',
+        outputs: [],
+        payable: false,
+        stateMutability: 'view',
+        type: 'function',
+      };
+      const args = ['Hello World'];
+      const dataHex = Encoder.constructData([methodObj], 'test', args);
+
+      const funcHash = Encoder.objToHash(methodObj, true);
+      const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+      const dataLength = '000000000000000000000000000000000000000000000000000000000000000b';
+      const data = '48656c6c6f20576f726c64000000000000000000000000000000000000000000';
+      assert.equal(dataHex, funcHash.concat(dataLoc).concat(dataLength).concat(data));
+    });
+
+    it('converts dynamic bytes types', () => {
+      const methodObj = {
+        constant: true,
+        inputs: [
+          {
+            name: '_data',
+            type: 'bytes',
+          },
+        ],
+        name: 'test',
+        outputs: [],
+        payable: false,
+        stateMutability: 'view',
+        type: 'function',
+      };
+      const args = ['0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123'];
+      const dataHex = Encoder.constructData([methodObj], 'test', args);
+
+      const funcHash = Encoder.objToHash(methodObj, true);
+      const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+      const dataLength = '0000000000000000000000000000000000000000000000000000000000000022';
+      const data = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123000000000000000000000000000000000000000000000000000000000000';
+      assert.equal(dataHex, funcHash.concat(dataLoc).concat(dataLength).concat(data));
+    });
+
+    it('converts dynamic string and bytes types mixed with other types', () => {
+      const methodObj = {
+        constant: false,
+        inputs: [
+          {
+            name: '_first',
+            type: 'uint256',
+          },
+          {
+            name: '_second',
+            type: 'string',
+          },
+          {
+            name: '_third',
+            type: 'uint256[]',
+          },
+          {
+            name: '_fourth',
+            type: 'bytes',
+          },
+          {
+            name: '_fifth',
+            type: 'bool',
+          },
+        ],
+        name: 'test',
+        outputs: [],
+        payable: false,
+        stateMutability: 'nonpayable',
+        type: 'function',
+      };
+      const args = [5, 'こんにちは', [1, 2], '0x', true];
+      const dataHex = Encoder.constructData([methodObj], 'test', args);
+
+      const funcHash = Encoder.objToHash(methodObj, true);
+      const first = '0000000000000000000000000000000000000000000000000000000000000005';
+      const second = '00000000000000000000000000000000000000000000000000000000000000a0';
+      const third = '00000000000000000000000000000000000000000000000000000000000000e0';
+      const fourth = '0000000000000000000000000000000000000000000000000000000000000140';
+      const fifth = '0000000000000000000000000000000000000000000000000000000000000001';
+
+      const secondData = '000000000000000000000000000000000000000000000000000000000000000fe38193e38293e381abe381a1e381af0000000000000000000000000000000000';
+      const thirdData = '000000000000000000000000000000000000000000000000000000000000000200000000000000000000000000000000000000000000000000000000000000010000000000000000000000000000000000000000000000000000000000000002';
+      const fourthData = '0000000000000000000000000000000000000000000000000000000000000000';
+
+      assert.equal(
+        dataHex,
+        funcHash
+          .concat(first)
+          .concat(second)
+          .concat(third)
+          .concat(fourth)
+          .concat(fifth)
+          .concat(secondData)
+          .concat(thirdData)
+          .concat(fourthData),
+      );
+    });
+
+    describe('tuples', () => {
+      const pointComponents = [
+        { name: 'x', type: 'uint256' },
+        { name: 'y', type: 'bool' },
+      ];
+      const personComponents = [
+        { name: 'id', type: 'uint256' },
+        { name: 'name', type: 'string' },
+      ];
+      const getMethodObj = inputs => ({
+        constant: false,
+        inputs,
+        name: 'test',
+        outputs: [],
+        payable: false,
+        stateMutability: 'nonpayable',
+        type: 'function',
+      });
+
+      it('converts static tuples in place', () => {
+        const methodObj = getMethodObj([
+          { name: '_point', type: 'tuple', components: pointComponents },
+          { name: '_z', type: 'uint8' },
+        ]);
+        const funcHash = Encoder.objToHash(methodObj, true);
+        const expected = funcHash
+          .concat('0000000000000000000000000000000000000000000000000000000000000001')
+          .concat('0000000000000000000000000000000000000000000000000000000000000001')
+          .concat('0000000000000000000000000000000000000000000000000000000000000007');
+
+        assert.equal(Encoder.constructData([methodObj], 'test', [[1, true], 7]), expected);
+        assert.equal(Encoder.constructData([methodObj], 'test', [{ x: 1, y: true }, 7]), expected);
+      });
+
+      it('converts dynamic tuples', () => {
+        const methodObj = getMethodObj([{ name: '_person', type: 'tuple', components: personComponents }]);
+        const dataHex = Encoder.constructData([methodObj], 'test', [{ id: 1, name: 'ab' }]);
+
+        const funcHash = Encoder.objToHash(methodObj, true);
+        const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+        const id = '0000000000000000000000000000000000000000000000000000000000000001';
+        const nameLoc = '0000000000000000000000000000000000000000000000000000000000000040';
+        const nameLength = '0000000000000000000000000000000000000000000000000000000000000002';
+        const name = '6162000000000000000000000000000000000000000000000000000000000000';
+        assert.equal(dataHex, funcHash.concat(dataLoc).concat(id).concat(nameLoc).concat(nameLength)
+          .concat(name));
+      });
+
+      it('converts dynamic tuple arrays', () => {
+        const methodObj = getMethodObj([{ name: '_points', type: 'tuple[]', components: pointComponents }]);
+        const dataHex = Encoder.constructData([methodObj], 'test', [[[1, true], { x: 2, y: false }]]);
+
+        const funcHash = Encoder.objToHash(methodObj, true);
+        const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+        const length = '0000000000000000000000000000000000000000000000000000000000000002';
+        const point1 = '00000000000000000000000000000000000000000000000000000000000000010000000000000000000000000000000000000000000000000000000000000001';
+        const point2 = '00000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000';
+        assert.equal(dataHex, funcHash.concat(dataLoc).concat(length).concat(point1).concat(point2));
+      });
+
+      it('converts fixed tuple arrays with dynamic components', () => {
+        const methodObj = getMethodObj([{ name: '_people', type: 'tuple[2]', components: personComponents }]);
+        const dataHex = Encoder.constructData([methodObj], 'test', [[[1, 'a'], [2, 'b']]]);
+
+        const funcHash = Encoder.objToHash(methodObj, true);
+        const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+        const person1Loc = '0000000000000000000000000000000000000000000000000000000000000040';
+        const person2Loc = '00000000000000000000000000000000000000000000000000000000000000c0';
+        const person1 = '0000000000000000000000000000000000000000000000000000000000000001000000000000000000000000000000000000000000000000000000000000004000000000000000000000000000000000000000000000000000000000000000016100000000000000000000000000000000000000000000000000000000000000';
+        const person2 = '0000000000000000000000000000000000000000000000000000000000000002000000000000000000000000000000000000000000000000000000000000004000000000000000000000000000000000000000000000000000000000000000016200000000000000000000000000000000000000000000000000000000000000';
+        assert.equal(dataHex, funcHash.concat(dataLoc).concat(person1Loc).concat(person2Loc).concat(person1)
+          .concat(person2));
+      });
+
+      it('converts nested tuples', () => {
+        const methodObj = getMethodObj([{
+          name: '_outer',
+          type: 'tuple',
+          components: [
+            { name: 'owner', type: 'address' },
+            { name: 'inner', type: 'tuple', components: personComponents },
+            { name: 'points', type: 'tuple[]', components: pointComponents },
+          ],
+        }]);
+        const args = [{
+          owner: 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy',
+          inner: [5, 'x'],
+          points: [{ x: 3, y: true }],
+        }];
+        const dataHex = Encoder.constructData([methodObj], 'test', args);
+
+        const funcHash = Encoder.objToHash(methodObj, true);
+        const dataLoc = '0000000000000000000000000000000000000000000000000000000000000020';
+        const owner = '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3';
+        const innerLoc = '0000000000000000000000000000000000000000000000000000000000000060';
+        const pointsLoc = '00000000000000000000000000000000000000000000000000000000000000e0';
+        const inner = '0000000000000000000000000000000000000000000000000000000000000005000000000000000000000000000000000000000000000000000000000000004000000000000000000000000000000000000000000000000000000000000000017800000000000000000000000000000000000000000000000000000000000000';
+        const points = '000000000000000000000000000000000000000000000000000000000000000100000000000000000000000000000000000000000000000000000000000000030000000000000000000000000000000000000000000000000000000000000001';
+        assert.equal(dataHex, funcHash.concat(dataLoc).concat(owner).concat(innerLoc).concat(pointsLoc)
+          .concat(inner)
+          .concat(points));
+      });
+
+      it('throws if a tuple value is missing a component', () => {
+        const methodObj = getMethodObj([{ name: '_point', type: 'tuple', components: pointComponents }]);
+        assert.throws(() => Encoder.constructData([methodObj], 'test', [{ x: 1 }]), Error);
+        assert.throws(() => Encoder.constructData([methodObj], 'test', [[1]]), Error);
+        assert.throws(() => Encoder.constructData([methodObj], 'test', ['1']), Error);
+      });
+
+      it('throws if a fixed tuple array has the wrong number of items', () => {
+        const methodObj = getMethodObj([{ name: '_people', type: 'tuple[2]', components: personComponents }]);
+        assert.throws(() => Encoder.constructData([methodObj], 'test', [[[1, 'a']]]), Error);
+      });
+    });
+
+    it('throws if dynamic bytes arg is not hex', () => {
+      const methodObj = {
+        constant: true,
+        inputs: [
+          {
+            name: '_data',
+            type: 'bytes',
+          },
+        ],
+        name: 'test',
+        outputs: [],
+        payable: false,
+        stateMutability: 'view',
+        type: 'function',
+      };
+      assert.throws(() => Encoder.constructData([methodObj], 'test', ['hello world']), Error);
+    });
+
+    it('throws for bytes if < 1 or > 32', () => {
       let methodObj = {
         constant: true,
         inputs: [
@@ -948,10 +1456,7 @@ describe('Encoder', () => {
         type: 'function',
       };
       const args = ['hello'];
-      let dataHex = Encoder.constructData([methodObj], 'test', args);
-
-      let funcHash = Encoder.objToHash(methodObj, true);
-      assert.equal(dataHex, funcHash);
+      assert.throws(() => Encoder.constructData([methodObj], 'test', args), Error);
 
       methodObj = {
         constant: true,
@@ -967,10 +1472,7 @@ describe('Encoder', () => {
         stateMutability: 'view',
         type: 'function',
       };
-      dataHex = Encoder.constructData([methodObj], 'test', args);
-
-      funcHash = Encoder.objToHash(methodObj, true);
-      assert.equal(dataHex, funcHash);
+      assert.throws(() => Encoder.constructData([methodObj], 'test', args), Error);
     });
 
     it('throws if abi is undefined', () => {
@@ -983,5 +1485,50 @@ describe('Encoder', () => {
         ['a', 'b', 'c'], 'c350', 'c738']), Error);
     });
   });
+
+  describe('constructData() with overloaded methods', () => {
+    const abi = [
+      { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+      { type: 'function', name: 'transfer', inputs: [{ name: '_to', type: 'address' }, { name: '_value', type: 'uint256' }, { name: '_data', type: 'bytes' }], outputs: [{ name: '', type: 'bool' }] },
+    ];
+    const address = '17e7888aa7412a735f336d2f6d784caefabb6fa3';
+
+    it('uses the selector of the resolved overload', () => {
+      assert.equal(
+        Encoder.constructData(abi, 'transfer', [address, 1]),
+        'a9059cbb00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa30000000000000000000000000000000000000000000000000000000000000001',
+      );
+      assert.equal(Encoder.constructData(abi, 'transfer', [address, 1, '0xabcd']).slice(0, 8), 'be45fd62');
+      assert.equal(Encoder.constructData(abi, 'transfer(address,uint256,bytes)', [address, 1, '0xabcd']).slice(0, 8), 'be45fd62');
+    });
+  });
+
+  describe('constructDeployData()', () => {
+    const { abi } = ContractMetadata.EventFactory;
+
+    it('appends the encoded constructor args to the bytecode', () => {
+      const dataHex = Encoder.constructDeployData(abi, '0x6060', ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy']);
+      assert.equal(dataHex, '6060'.concat('00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3'));
+    });
+
+    it('returns the bytecode if there is no constructor', () => {
+      const dataHex = Encoder.constructDeployData(ContractMetadata.BodhiToken.abi, '6060');
+      assert.equal(dataHex, '6060');
+    });
+
+    it('throws if abi is undefined', () => {
+      assert.throws(() => Encoder.constructDeployData(undefined, '6060'), Error);
+    });
+
+    it('throws if bytecode is undefined or not hex', () => {
+      assert.throws(() => Encoder.constructDeployData(abi, undefined, ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy']), Error);
+      assert.throws(() => Encoder.constructDeployData(abi, 'hello', ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy']), Error);
+    });
+
+    it('throws if constructor args do not match args in ABI', () => {
+      assert.throws(() => Encoder.constructDeployData(abi, '6060'), Error);
+      assert.throws(() => Encoder.constructDeployData(ContractMetadata.BodhiToken.abi, '6060', [1]), Error);
+    });
+  });
 });
 /* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,359 @@
+const { isFinite, isString, isUndefined, find, values } = require('lodash');
+const { ec: EC } = require('elliptic');
+const BN = require('bn.js');
+const bip39 = require('bip39');
+
+const Networks = require('./networks');
+const KeyPair = require('./key-pair');
+const { hash160, hmacSha512, toBase58Check, fromBase58Check } = require('./utils/hash');
+
+const secp256k1 = new EC('secp256k1');
+
+const HARDENED_OFFSET = 0x80000000;
+const MASTER_SECRET = 'Bitcoin seed';
+const EXTENDED_KEY_LENGTH = 78;
+const MIN_SEED_LENGTH = 16;
+const MAX_SEED_LENGTH = 64;
+const BIP44_PURPOSE = 44;
+const REGEX_PATH = /^(m|\d+'?)(\/\d+'?)*$/;
+
+/**
+ * Serializes a 32 bits unsigned integer in big endian.
+ * @param {number} num The integer.
+ * @return {Buffer} The 4 bytes.
+ */
+const uint32 = (num) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(num, 0);
+  return buffer;
+};
+
+/**
+ * Gets the first known network whose BIP32 version bytes include the version.
+ * @param {number} version The version of an extended key.
+ * @return {object} The network, or undefined if unknown.
+ */
+const getNetworkByBip32Version = version => find(
+  values(Networks),
+  network => !!network.bip32 && (network.bip32.public === version || network.bip32.private === version),
+);
+
+/**
+ * BIP32 hierarchical deterministic wallet, derived from a BIP39 mnemonic or a seed.
+ * Keys are derived locally so secrets are never sent to a node, unlike the makekeypair RPC.
+ */
+class HDWallet {
+  /**
+   * Constructor. Use HDWallet.fromMnemonic(), HDWallet.fromSeed() or HDWallet.fromExtendedKey() instead.
+   * @param {object} node The node as { privateKey, publicKey, chainCode, depth, index, parentFingerprint }.
+   *    privateKey is undefined for neutered nodes.
+   * @param {string|object} network Network name or object of the node (default: 'testnet').
+   */
+  constructor(node, network = Networks.testnet) {
+    const {
+      privateKey,
+      publicKey,
+      chainCode,
+      depth = 0,
+      index = 0,
+      parentFingerprint = 0,
+    } = node;
+
+    this.network = Networks.getNetwork(network);
+    if (!this.network.bip32) {
+      throw Error(`${this.network.name} has no BIP32 version bytes.`);
+    }
+    this.keyPair = privateKey
+      ? KeyPair.fromPrivateKey(privateKey, { network: this.network })
+      : KeyPair.fromPublicKey(publicKey, { network: this.network });
+    this.chainCode = chainCode;
+    this.depth = depth;
+    this.index = index;
+    this.parentFingerprint = parentFingerprint;
+  }
+
+  /**
+   * Generates a random BIP39 mnemonic.
+   * @param {number} strength Entropy in bits, a multiple of 32 between 128 and 256 (default: 128, ie. 12 words).
+   * @return {string} The English mnemonic.
+   */
+  static generateMnemonic(strength = 128) {
+    if (!isFinite(strength) || strength % 32 !== 0 || strength < 128 || strength > 256) {
+      throw Error('strength must be a multiple of 32 between 128 and 256.');
+    }
+    return bip39.generateMnemonic(strength);
+  }
+
+  /**
+   * Validates the words and checksum of a BIP39 mnemonic.
+   * @param {string} mnemonic The English mnemonic.
+   * @return {boolean} If the mnemonic is valid.
+   */
+  static validateMnemonic(mnemonic) {
+    return isString(mnemonic) && bip39.validateMnemonic(mnemonic);
+  }
+
+  /**
+   * Creates the master node of a BIP39 mnemonic.
+   * @param {string} mnemonic The English mnemonic.
+   * @param {object} options Wallet options.
+   *    passphrase: BIP39 passphrase (default: '')
+   *    network: network name or object of the wallet (default: 'testnet')
+   * @return {HDWallet} The master node.
+   */
+  static fromMnemonic(mnemonic, options = {}) {
+    if (!HDWallet.validateMnemonic(mnemonic)) {
+      throw Error('mnemonic is not a valid BIP39 mnemonic.');
+    }
+
+    const { passphrase = '', network } = options;
+    return HDWallet.fromSeed(bip39.mnemonicToSeed(mnemonic, passphrase), network);
+  }
+
+  /**
+   * Creates the master node of a seed.
+   * @param {Buffer|string} seed The 16 to 64 bytes seed, as a Buffer or hex string.
+   * @param {string|object} network Network name or object of the wallet (default: 'testnet').
+   * @return {HDWallet} The master node.
+   */
+  static fromSeed(seed, network = Networks.testnet) {
+    const buffer = isString(seed) ? Buffer.from(seed.replace(/^0x/, ''), 'hex') : seed;
+    if (!Buffer.isBuffer(buffer) || buffer.length < MIN_SEED_LENGTH || buffer.length > MAX_SEED_LENGTH) {
+      throw Error(`seed must be between ${MIN_SEED_LENGTH} and ${MAX_SEED_LENGTH} bytes.`);
+    }
+
+    const hash = hmacSha512(MASTER_SECRET, buffer);
+    return new HDWallet({ privateKey: hash.slice(0, 32), chainCode: hash.slice(32) }, network);
+  }
+
+  /**
+   * Creates a node from an extended private or public key, eg. an xprv or tpub.
+   * @param {string} extendedKey The base58check extended key.
+   * @param {string|object} network Network name or object the key must belong to.
+   *    Detected from the version if undefined, testnet is returned for regtest keys.
+   * @return {HDWallet} The node.
+   */
+  static fromExtendedKey(extendedKey, network) {
+    const buffer = fromBase58Check(extendedKey);
+    if (buffer.length !== EXTENDED_KEY_LENGTH) {
+      throw Error(`extendedKey must be ${EXTENDED_KEY_LENGTH} bytes.`);
+    }
+
+    const version = buffer.readUInt32BE(0);
+    const params = isUndefined(network) ? getNetworkByBip32Version(version) : Networks.getNetwork(network);
+    if (!params || (version !== params.bip32.public && version !== params.bip32.private)) {
+      throw Error(`extendedKey is not a key of ${params ? params.name : 'a known network'}.`);
+    }
+
+    const isPrivate = version === params.bip32.private;
+    const key = buffer.slice(45);
+    if (isPrivate && key[0] !== 0) {
+      throw Error('extendedKey has an invalid private key.');
+    }
+
+    const node = {
+      depth: buffer[4],
+      parentFingerprint: buffer.readUInt32BE(5),
+      index: buffer.readUInt32BE(9),
+      chainCode: buffer.slice(13, 45),
+    };
+    if (node.depth === 0 && (node.parentFingerprint !== 0 || node.index !== 0)) {
+      throw Error('extendedKey is a master key with a parent.');
+    }
+    if (isPrivate) {
+      node.privateKey = key.slice(1);
+    } else {
+      node.publicKey = key;
+    }
+    return new HDWallet(node, params);
+  }
+
+  /**
+   * Builds a BIP44 path, ie. m/44'/coinType'/account'/change/index.
+   * @param {string|object} network Network name or object whose bip44CoinType is used.
+   * @param {object} options Path options.
+   *    account: hardened account number (default: 0)
+   *    change: 0 for receiving and 1 for change addresses (default: 0)
+   *    index: address index (default: 0)
+   * @return {string} The path.
+   */
+  static getBip44Path(network, options = {}) {
+    const { account = 0, change = 0, index = 0 } = options;
+    const { bip44CoinType } = Networks.getNetwork(network);
+    return `m/${BIP44_PURPOSE}'/${bip44CoinType}'/${account}'/${change}/${index}`;
+  }
+
+  /**
+   * Fingerprint of the node, ie. the first 4 bytes of the hash160 of its public key.
+   */
+  get fingerprint() {
+    return hash160(this.keyPair.publicKey).readUInt32BE(0);
+  }
+
+  /**
+   * If the node has no private key and can only derive non-hardened public children.
+   * @return {boolean} If the node is neutered.
+   */
+  isNeutered() {
+    return !this.keyPair.privateKey;
+  }
+
+  /**
+   * Returns the node without its private key.
+   * @return {HDWallet} The neutered node.
+   */
+  neutered() {
+    return new HDWallet({
+      publicKey: this.keyPair.publicKey,
+      chainCode: this.chainCode,
+      depth: this.depth,
+      index: this.index,
+      parentFingerprint: this.parentFingerprint,
+    }, this.network);
+  }
+
+  /**
+   * Derives a child node.
+   * @param {number} index Index of the child. Hardened if >= 0x80000000.
+   * @return {HDWallet} The child node. The next index is used if the index gives an invalid key, per BIP32.
+   */
+  derive(index) {
+    if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) {
+      throw Error('index must be a 32 bits unsigned integer.');
+    }
+
+    const isHardened = index >= HARDENED_OFFSET;
+    if (isHardened && this.isNeutered()) {
+      throw Error('Cannot derive a hardened child of a neutered node.');
+    }
+
+    const data = isHardened
+      ? Buffer.concat([Buffer.from([0]), this.keyPair.privateKey, uint32(index)])
+      : Buffer.concat([this.keyPair.publicKey, uint32(index)]);
+    const hash = hmacSha512(this.chainCode, data);
+    const tweak = new BN(hash.slice(0, 32));
+    const node = {
+      chainCode: hash.slice(32),
+      depth: this.depth + 1,
+      index,
+      parentFingerprint: this.fingerprint,
+    };
+
+    if (tweak.gte(secp256k1.curve.n)) {
+      return this.derive(index + 1);
+    }
+    if (this.isNeutered()) {
+      const point = secp256k1.keyFromPublic(this.keyPair.publicKey).getPublic().add(secp256k1.g.mul(tweak));
+      if (point.isInfinity()) {
+        return this.derive(index + 1);
+      }
+      node.publicKey = Buffer.from(point.encode('array', true));
+    } else {
+      const key = tweak.add(new BN(this.keyPair.privateKey)).umod(secp256k1.curve.n);
+      if (key.isZero()) {
+        return this.derive(index + 1);
+      }
+      node.privateKey = key.toArrayLike(Buffer, 'be', 32);
+    }
+    return new HDWallet(node, this.network);
+  }
+
+  /**
+   * Derives a hardened child node.
+   * @param {number} index Index of the child, below 0x80000000.
+   * @return {HDWallet} The child node.
+   */
+  deriveHardened(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw Error('index must be a 31 bits unsigned integer.');
+    }
+    return this.derive(index + HARDENED_OFFSET);
+  }
+
+  /**
+   * Derives a node along a path, eg. m/44'/1919'/0'/0/0. Paths without m are derived from this node.
+   * @param {string} path The path, ' marks hardened indexes.
+   * @return {HDWallet} The derived node.
+   */
+  derivePath(path) {
+    if (!isString(path) || !REGEX_PATH.test(path)) {
+      throw Error(`Invalid path: ${path}`);
+    }
+
+    const segments = path.split('/');
+    if (segments[0] === 'm') {
+      if (this.depth !== 0) {
+        throw Error('Cannot derive a path from m with a child node.');
+      }
+      segments.shift();
+    }
+    return segments.reduce((node, segment) => {
+      const index = parseInt(segment, 10);
+      return segment.endsWith('\'') ? node.deriveHardened(index) : node.derive(index);
+    }, this);
+  }
+
+  /**
+   * Derives the BIP44 node of an address of the network from the master node.
+   * @param {object} options See getBip44Path().
+   * @return {HDWallet} The derived node.
+   */
+  deriveBip44(options = {}) {
+    return this.derivePath(HDWallet.getBip44Path(this.network, options));
+  }
+
+  /**
+   * Exports the extended private key, eg. xprv, or the extended public key of neutered nodes, eg. xpub.
+   * @return {string} The base58check extended key.
+   */
+  toExtendedKey() {
+    const isPrivate = !this.isNeutered();
+    const key = isPrivate
+      ? Buffer.concat([Buffer.from([0]), this.keyPair.privateKey])
+      : this.keyPair.publicKey;
+    return toBase58Check(Buffer.concat([
+      uint32(isPrivate ? this.network.bip32.private : this.network.bip32.public),
+      Buffer.from([this.depth]),
+      uint32(this.parentFingerprint),
+      uint32(this.index),
+      this.chainCode,
+      key,
+    ]));
+  }
+
+  /**
+   * Exports the extended public key, eg. xpub.
+   * @return {string} The base58check extended public key.
+   */
+  toExtendedPublicKey() {
+    return this.neutered().toExtendedKey();
+  }
+
+  /**
+   * Exports the private key in WIF, to be imported with the importprivkey RPC.
+   * @return {string} The WIF private key.
+   */
+  toWIF() {
+    return this.keyPair.toWIF();
+  }
+
+  /**
+   * Gets the compressed public key.
+   * @return {string} The hex public key.
+   */
+  getPublicKey() {
+    return this.keyPair.getPublicKey();
+  }
+
+  /**
+   * Gets the P2PKH address of the node.
+   * @return {string} The VIPSTARCOIN address.
+   */
+  getAddress() {
+    return this.keyPair.getAddress();
+  }
+}
+
+HDWallet.HARDENED_OFFSET = HARDENED_OFFSET;
+
+module.exports = HDWallet;
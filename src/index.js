@@ -2,10 +2,65 @@ const Vweb3 = require('./vweb3');
 const Encoder = require('./formatters/encoder');
 const Decoder = require('./formatters/decoder');
 const Utils = require('./utils');
+const Networks = require('./networks');
+const Address = require('./address');
+const KeyPair = require('./key-pair');
+const HDWallet = require('./hd-wallet');
+const Script = require('./transactions/script');
+const Transaction = require('./transactions/transaction');
+const TransactionBuilder = require('./transactions/transaction-builder');
+const RawTransaction = require('./raw-transaction');
+const EventSubscription = require('./event-subscription');
+const { Cache, MemoryStore } = require('./cache');
+const HttpProvider = require('./providers/http-provider');
+const ZmqProvider = require('./providers/zmq-provider');
+const FallbackProvider = require('./providers/fallback-provider');
+const MockProvider = require('./providers/mock-provider');
+const {
+  Vweb3Error,
+  TimeoutError,
+  ContractExecutionError,
+  AddressError,
+  RpcError,
+  WalletLockedError,
+  InsufficientFundsError,
+  InvalidAddressError,
+  HttpError,
+  UnauthorizedError,
+  InternalServerError,
+  NetworkError,
+} = require('./errors');
 
 module.exports = {
   Vweb3,
   Encoder,
   Decoder,
   Utils,
+  Networks,
+  Address,
+  KeyPair,
+  HDWallet,
+  Script,
+  Transaction,
+  TransactionBuilder,
+  RawTransaction,
+  EventSubscription,
+  Cache,
+  MemoryStore,
+  HttpProvider,
+  ZmqProvider,
+  FallbackProvider,
+  MockProvider,
+  Vweb3Error,
+  TimeoutError,
+  ContractExecutionError,
+  AddressError,
+  RpcError,
+  WalletLockedError,
+  InsufficientFundsError,
+  InvalidAddressError,
+  HttpError,
+  UnauthorizedError,
+  InternalServerError,
+  NetworkError,
 };
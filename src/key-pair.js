@@ -0,0 +1,180 @@
+const { isString } = require('lodash');
+const { ec: EC } = require('elliptic');
+const BN = require('bn.js');
+
+const Networks = require('./networks');
+const Address = require('./address');
+const { hash160, toBase58Check, fromBase58Check } = require('./utils/hash');
+
+const secp256k1 = new EC('secp256k1');
+
+const PRIVATE_KEY_LENGTH = 32;
+const COMPRESSED_FLAG = 0x01;
+
+/**
+ * Checks if a buffer is a valid secp256k1 private key, ie. 32 bytes in [1, n - 1].
+ * @param {Buffer} privateKey The private key.
+ * @return {boolean} If the private key is valid.
+ */
+const isPrivateKey = (privateKey) => {
+  if (!Buffer.isBuffer(privateKey) || privateKey.length !== PRIVATE_KEY_LENGTH) {
+    return false;
+  }
+  const num = new BN(privateKey);
+  return !num.isZero() && num.lt(secp256k1.curve.n);
+};
+
+/**
+ * secp256k1 key pair of a VIPSTARCOIN address, held locally so secrets are never sent to a node.
+ */
+class KeyPair {
+  /**
+   * Constructor. Use KeyPair.fromPrivateKey(), KeyPair.fromPublicKey() or KeyPair.fromWIF() instead.
+   * @param {object} keys The keys as { privateKey, publicKey } Buffers. privateKey is undefined for public key pairs.
+   * @param {object} options Key pair options.
+   *    network: network name or object of the address and WIF (default: 'testnet')
+   *    compressed: if the public key is compressed (default: true)
+   */
+  constructor({ privateKey, publicKey }, options = {}) {
+    const { network = Networks.testnet, compressed = true } = options;
+
+    this.network = Networks.getNetwork(network);
+    this.compressed = compressed;
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+  }
+
+  /**
+   * Creates a key pair from a private key.
+   * @param {Buffer|string} privateKey The 32 bytes private key, as a Buffer or hex string.
+   * @param {object} options See the constructor.
+   * @return {KeyPair} The key pair.
+   */
+  static fromPrivateKey(privateKey, options = {}) {
+    const buffer = isString(privateKey) ? Buffer.from(privateKey.replace(/^0x/, ''), 'hex') : privateKey;
+    if (!isPrivateKey(buffer)) {
+      throw Error('privateKey must be a valid 32 bytes secp256k1 private key.');
+    }
+
+    const { compressed = true } = options;
+    const publicKey = Buffer.from(secp256k1.keyFromPrivate(buffer).getPublic(compressed, 'array'));
+    return new KeyPair({ privateKey: buffer, publicKey }, options);
+  }
+
+  /**
+   * Creates a key pair which can only derive the address, from a public key.
+   * @param {Buffer|string} publicKey The compressed or uncompressed public key, as a Buffer or hex string.
+   * @param {object} options See the constructor. compressed is taken from the public key.
+   * @return {KeyPair} The key pair.
+   */
+  static fromPublicKey(publicKey, options = {}) {
+    const buffer = isString(publicKey) ? Buffer.from(publicKey.replace(/^0x/, ''), 'hex') : publicKey;
+    try {
+      secp256k1.keyFromPublic(buffer).validate();
+    } catch (err) {
+      throw Error('publicKey must be a valid secp256k1 public key.');
+    }
+
+    const compressed = buffer.length === 33;
+    return new KeyPair({ publicKey: buffer }, Object.assign({}, options, { compressed }));
+  }
+
+  /**
+   * Creates a key pair from a WIF private key, like the dumpprivkey RPC returns.
+   * @param {string} wif The WIF private key.
+   * @param {string|object} network Network name or object the WIF must belong to (default: 'testnet').
+   * @return {KeyPair} The key pair.
+   */
+  static fromWIF(wif, network = Networks.testnet) {
+    const params = Networks.getNetwork(network);
+    const payload = fromBase58Check(wif);
+    if (payload[0] !== params.wif) {
+      throw Error(`WIF is not a private key of ${params.name}.`);
+    }
+
+    const compressed = payload.length === 2 + PRIVATE_KEY_LENGTH && payload[payload.length - 1] === COMPRESSED_FLAG;
+    if (!compressed && payload.length !== 1 + PRIVATE_KEY_LENGTH) {
+      throw Error('WIF has an invalid length.');
+    }
+    return KeyPair.fromPrivateKey(payload.slice(1, 1 + PRIVATE_KEY_LENGTH), { network: params, compressed });
+  }
+
+  /**
+   * Exports the private key in WIF, like the dumpprivkey RPC.
+   * @return {string} The WIF private key.
+   */
+  toWIF() {
+    if (!this.privateKey) {
+      throw Error('KeyPair has no private key.');
+    }
+
+    const suffix = this.compressed ? [COMPRESSED_FLAG] : [];
+    return toBase58Check(Buffer.concat([Buffer.from([this.network.wif]), this.privateKey, Buffer.from(suffix)]));
+  }
+
+  /**
+   * Gets the private key.
+   * @return {string} The hex private key.
+   */
+  getPrivateKey() {
+    if (!this.privateKey) {
+      throw Error('KeyPair has no private key.');
+    }
+    return this.privateKey.toString('hex');
+  }
+
+  /**
+   * Gets the public key.
+   * @return {string} The hex public key.
+   */
+  getPublicKey() {
+    return this.publicKey.toString('hex');
+  }
+
+  /**
+   * Gets the hash160 of the public key, ie. the hex address.
+   * @return {string} The 20 bytes hex hash.
+   */
+  getHash160() {
+    return hash160(this.publicKey).toString('hex');
+  }
+
+  /**
+   * Signs a hash with deterministic nonces (RFC 6979) and a low S, as required by the nodes.
+   * @param {Buffer} hash The 32 bytes hash, eg. the signature hash of a transaction input.
+   * @return {Buffer} The DER signature.
+   */
+  sign(hash) {
+    if (!this.privateKey) {
+      throw Error('KeyPair has no private key.');
+    }
+    if (!Buffer.isBuffer(hash) || hash.length !== 32) {
+      throw Error('hash must be a 32 bytes Buffer.');
+    }
+    return Buffer.from(secp256k1.sign(hash, this.privateKey, { canonical: true }).toDER());
+  }
+
+  /**
+   * Verifies a DER signature of a hash with the public key.
+   * @param {Buffer} hash The 32 bytes hash.
+   * @param {Buffer} signature The DER signature.
+   * @return {boolean} If the signature is valid.
+   */
+  verify(hash, signature) {
+    try {
+      return secp256k1.verify(hash, signature, this.publicKey);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets the P2PKH address of the public key.
+   * @return {string} The VIPSTARCOIN address.
+   */
+  getAddress() {
+    return Address.fromHex(this.getHash160(), this.network, Address.P2PKH);
+  }
+}
+
+module.exports = KeyPair;
@@ -0,0 +1,136 @@
+const { each, find, isFinite, isPlainObject, isString, values } = require('lodash');
+
+const VERSION_BYTE_FIELDS = ['pubKeyHash', 'scriptHash', 'wif'];
+
+/**
+ * Parameters of a network.
+ *    name: name of the network
+ *    chain: chain name returned by getblockchaininfo, eg. 'main'
+ *    pubKeyHash: version byte of P2PKH addresses
+ *    scriptHash: version byte of P2SH addresses
+ *    wif: version byte of WIF private keys
+ *    bip32: version bytes of extended keys as { public, private }
+ *    bip44CoinType: coin type of BIP44 paths
+ *    port: default P2P port
+ *    rpcPort: default RPC port
+ */
+const mainnet = Object.freeze({
+  name: 'mainnet',
+  chain: 'main',
+  pubKeyHash: 0x46,
+  scriptHash: 0x32,
+  wif: 0x80,
+  bip32: Object.freeze({ public: 0x0488b21e, private: 0x0488ade4 }),
+  bip44CoinType: 1919,
+  port: 31915,
+  rpcPort: 31916,
+});
+
+const testnet = Object.freeze({
+  name: 'testnet',
+  chain: 'test',
+  pubKeyHash: 0x84,
+  scriptHash: 0x6e,
+  wif: 0xef,
+  bip32: Object.freeze({ public: 0x043587cf, private: 0x04358394 }),
+  bip44CoinType: 1,
+  port: 32915,
+  rpcPort: 32916,
+});
+
+// Regtest uses the testnet version bytes
+const regtest = Object.freeze(Object.assign({}, testnet, {
+  name: 'regtest',
+  chain: 'regtest',
+  port: 23888,
+  rpcPort: 13889,
+}));
+
+const NETWORKS = { mainnet, testnet, regtest };
+
+/**
+ * Validates and freezes the parameters of a custom network.
+ * @param {object} params Parameters of the network. See mainnet.
+ * @param {object} base Network to copy the missing parameters from.
+ * @return {object} The frozen network.
+ */
+const buildNetwork = (params, base) => {
+  if (!isPlainObject(params)) {
+    throw Error('params must be an object.');
+  }
+
+  const network = Object.assign({ name: 'custom' }, base, params);
+  each(VERSION_BYTE_FIELDS, (field) => {
+    if (!isFinite(network[field]) || network[field] < 0 || network[field] > 0xff) {
+      throw Error(`${field} must be a version byte.`);
+    }
+  });
+  return Object.freeze(network);
+};
+
+/**
+ * Gets a network by name, or validates a network object. Missing parameters of the object are copied from testnet.
+ * @param {string|object} network Name of the network (mainnet, testnet or regtest) or a network object.
+ * @return {object} The network.
+ */
+const getNetwork = (network) => {
+  if (isString(network)) {
+    if (!NETWORKS[network]) {
+      throw Error(`Unknown network: ${network}. Use one of: ${Object.keys(NETWORKS).join(', ')}`);
+    }
+    return NETWORKS[network];
+  }
+  if (isPlainObject(network)) {
+    return Object.isFrozen(network) ? network : buildNetwork(network, testnet);
+  }
+  throw Error('network must be a network name or object.');
+};
+
+/**
+ * Creates a custom network, eg. for a private chain. Fields which are not given are copied from the base network.
+ * @param {object} params Parameters of the network. See mainnet.
+ * @param {string|object} base Network to copy the missing parameters from (default: 'testnet').
+ * @return {object} The frozen network.
+ */
+const createNetwork = (params, base = 'testnet') => buildNetwork(params, getNetwork(base));
+
+/**
+ * Gets the network of a chain name returned by getblockchaininfo.
+ * @param {string} chain The chain name, eg. 'main'.
+ * @return {object} The network, or undefined if unknown.
+ */
+const getNetworkByChain = chain => find(values(NETWORKS), { chain });
+
+/**
+ * Gets the first known network whose P2PKH or P2SH version byte matches.
+ * Regtest and testnet share their version bytes so testnet is returned for both.
+ * @param {number} version The address version byte.
+ * @return {object} The network, or undefined if unknown.
+ */
+const getNetworkByVersion = version =>
+  find(values(NETWORKS), network => network.pubKeyHash === version || network.scriptHash === version);
+
+/**
+ * Detects the network of a node with getblockchaininfo.
+ * @param {Vweb3Provider} provider Vweb3 compatible provider.
+ * @return {Promise} The network of the node.
+ */
+const detectNetwork = async (provider) => {
+  const { chain } = await provider.rawCall('getblockchaininfo');
+  const network = getNetworkByChain(chain);
+  if (!network) {
+    throw Error(`Unknown chain: ${chain}. Use createNetwork() for custom networks.`);
+  }
+  return network;
+};
+
+module.exports = {
+  mainnet,
+  testnet,
+  regtest,
+  createNetwork,
+  getNetwork,
+  getNetworkByChain,
+  getNetworkByVersion,
+  detectNetwork,
+};
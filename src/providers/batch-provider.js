@@ -0,0 +1,76 @@
+const { each, isEmpty } = require('lodash');
+
+/**
+ * Provider which queues calls to execute them in a single batch request with the wrapped provider.
+ * Calls made after the batch is executed are passed to the wrapped provider directly.
+ */
+class BatchProvider {
+  /**
+   * Constructor.
+   * @param {Vweb3Provider} provider Vweb3 compatible provider. Batched with batch() if it has one.
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.queue = [];
+    this.executed = false;
+  }
+
+  /**
+   * Queues a call until execute().
+   * @param {string} method Blockchain method to call. eg. 'getblockhash'
+   * @param {array} args Raw arguments for the call.
+   * @return {Promise} Result of the call once the batch is executed.
+   */
+  rawCall(method, args = []) {
+    if (this.executed) {
+      return this.provider.rawCall(method, args);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        method,
+        params: args,
+        resolve,
+        reject,
+      });
+    });
+  }
+
+  /**
+   * Executes the queued calls and settles their promises.
+   * Falls back to parallel rawCall() if the wrapped provider does not support batch().
+   * @return {Promise} Resolves once all the calls are settled.
+   */
+  async execute() {
+    this.executed = true;
+    const queue = this.queue.splice(0);
+    if (isEmpty(queue)) {
+      return;
+    }
+
+    if (typeof this.provider.batch !== 'function') {
+      await Promise.all(queue.map(({ method, params, resolve, reject }) =>
+        this.provider.rawCall(method, params).then(resolve, reject)));
+      return;
+    }
+
+    let responses;
+    try {
+      responses = await this.provider.batch(queue.map(({ method, params }) => ({ method, params })));
+    } catch (err) {
+      each(queue, ({ reject }) => reject(err));
+      return;
+    }
+
+    each(queue, ({ resolve, reject }, index) => {
+      const { result, error } = responses[index];
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  }
+}
+
+module.exports = BatchProvider;
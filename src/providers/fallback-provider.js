@@ -0,0 +1,194 @@
+const { each, filter, includes, isArray, isEmpty, isFinite, map, maxBy, sortBy } = require('lodash');
+
+const { initProvider } = require('.');
+const Constants = require('../constants');
+const { RpcError, HttpError, NetworkError } = require('../errors');
+const { validateMiddleware, runMiddleware } = require('./middleware');
+
+const DEFAULT_WRITE_INDEX = 0;
+const DEFAULT_MAX_BLOCK_LAG = 1;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30000;
+const FAILOVER_MIN_STATUS = 500;
+
+/**
+ * Provider which wraps several nodes. Reads are routed to the healthiest node and fail over to the next one on
+ * node errors. Writes are always sent to the designated write node so they are never broadcast twice, and so are
+ * the reads of its wallet, eg. getbalance, which would return the wallet of another node.
+ */
+class FallbackProvider {
+  /**
+   * Constructor.
+   * @param {array} providers URL strings or Vweb3 compatible providers of the nodes.
+   * @param {object} options Provider options.
+   *    writeIndex: index of the node which receives the writes, eg. sendtocontract (default: 0)
+   *    maxBlockLag: number of blocks a node can be behind the highest block count to be healthy (default: 1)
+   *    healthCheckInterval: milliseconds after which the health is checked again before a read (default: 30000)
+   *    readMethods: methods which are routed to the healthiest node, ie. which return the same result on any synced
+   *      node (default: Constants.READ_METHODS)
+   */
+  constructor(providers, options = {}) {
+    if (!isArray(providers) || isEmpty(providers)) {
+      throw Error('providers should be a non-empty array.');
+    }
+
+    const {
+      writeIndex = DEFAULT_WRITE_INDEX,
+      maxBlockLag = DEFAULT_MAX_BLOCK_LAG,
+      healthCheckInterval = DEFAULT_HEALTH_CHECK_INTERVAL,
+      readMethods = Constants.READ_METHODS,
+    } = options;
+    if (!isFinite(writeIndex) || writeIndex < 0 || writeIndex >= providers.length) {
+      throw Error('writeIndex should be the index of one of the providers.');
+    }
+    if (!isFinite(maxBlockLag) || !isFinite(healthCheckInterval)) {
+      throw Error('maxBlockLag and healthCheckInterval must be numbers.');
+    }
+
+    this.nodes = map(providers, (provider, index) => ({
+      index,
+      provider: initProvider(provider),
+      healthy: true,
+      latency: undefined,
+      blockCount: undefined,
+    }));
+    this.writeNode = this.nodes[writeIndex];
+    this.maxBlockLag = maxBlockLag;
+    this.readMethods = readMethods;
+    this.healthCheckInterval = healthCheckInterval;
+    this.checked = undefined;
+    this.checkedAt = undefined;
+    this.middlewares = [];
+  }
+
+  /**
+   * Adds a middleware which is called with every rawCall() request, before it is routed to a node.
+   * @param {function} middleware Async function called with the request { method, params } and next(req?).
+   * @return {FallbackProvider} The provider for chaining.
+   */
+  use(middleware) {
+    validateMiddleware(middleware);
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Checks if an error was caused by the node being unreachable or unavailable, ie. it should fail over.
+   * JSONRPC errors, eg. invalid params, are returned by every node and do not fail over.
+   * @param {Error} err The error of the call.
+   * @return {boolean} If the call should be retried with another node.
+   */
+  static isNodeFailure(err) {
+    if (err instanceof RpcError) {
+      return false;
+    }
+    if (err instanceof HttpError) {
+      return err.status >= FAILOVER_MIN_STATUS;
+    }
+    if (err instanceof NetworkError) {
+      return true;
+    }
+    return !!(err.code || err.request);
+  }
+
+  /**
+   * Measures the latency and block count of every node. Reads wait for the check in progress.
+   * @return {Promise} The health of every node as { index, healthy, latency, blockCount }.
+   */
+  async checkHealth() {
+    const checkNode = async (node) => {
+      const startTime = Date.now();
+      try {
+        const blockCount = await node.provider.rawCall('getblockcount');
+        Object.assign(node, { healthy: true, latency: Date.now() - startTime, blockCount });
+      } catch (err) {
+        Object.assign(node, { healthy: false, latency: undefined, blockCount: undefined });
+      }
+    };
+
+    this.checkedAt = undefined;
+    this.checked = Promise.all(map(this.nodes, checkNode));
+    await this.checked;
+
+    // Nodes which are behind the others are not healthy
+    const best = maxBy(filter(this.nodes, 'healthy'), 'blockCount');
+    each(this.nodes, (node) => {
+      if (node.healthy && best && node.blockCount < best.blockCount - this.maxBlockLag) {
+        Object.assign(node, { healthy: false });
+      }
+    });
+    this.checkedAt = Date.now();
+
+    return map(this.nodes, ({ index, healthy, latency, blockCount }) => ({ index, healthy, latency, blockCount }));
+  }
+
+  /**
+   * Checks if the health must be checked before a read: before the first read, when the last check is older than
+   * healthCheckInterval and after a failover, so unhealthy nodes can recover and nodes falling behind are demoted.
+   * @return {boolean} If the health is outdated. False while a check is in progress.
+   */
+  isHealthOutdated() {
+    if (!this.checked) {
+      return true;
+    }
+    return this.checkedAt !== undefined && Date.now() - this.checkedAt >= this.healthCheckInterval;
+  }
+
+  /**
+   * Orders the nodes for a read: healthy nodes by latency first, then the unhealthy ones as a last resort.
+   * @return {array} The nodes in the order to try.
+   */
+  rankNodes() {
+    const healthy = sortBy(filter(this.nodes, 'healthy'), 'latency');
+    const unhealthy = filter(this.nodes, node => !node.healthy);
+    return healthy.concat(unhealthy);
+  }
+
+  /**
+   * Executes a request through the middlewares, then with the healthiest node for reads or with the write node.
+   * @param {string} method Blockchain method to call. eg. 'getblockcount'
+   * @param {array} args Raw arguments for the call.
+   * @return {Promise} Result of the call.
+   */
+  rawCall(method, args) {
+    return runMiddleware(this.middlewares, { method, params: args }, req => this.route(req.method, req.params));
+  }
+
+  /**
+   * Executes a request with the healthiest node for reads or with the write node for writes and wallet methods.
+   * @param {string} method Blockchain method to call.
+   * @param {array} args Raw arguments for the call.
+   * @return {Promise} Result of the call.
+   */
+  async route(method, args) {
+    if (!includes(this.readMethods, method)) {
+      return this.writeNode.provider.rawCall(method, args);
+    }
+
+    if (this.isHealthOutdated()) {
+      await this.checkHealth();
+    } else {
+      await this.checked;
+    }
+
+    const nodes = this.rankNodes();
+    const tryNode = async (index) => {
+      const node = nodes[index];
+      try {
+        return await node.provider.rawCall(method, args);
+      } catch (err) {
+        if (!FallbackProvider.isNodeFailure(err) || index === nodes.length - 1) {
+          throw err;
+        }
+
+        // Fail over to the next node and check the health again before the next read
+        Object.assign(node, { healthy: false });
+        this.checkedAt = 0;
+        return tryNode(index + 1);
+      }
+    };
+
+    return tryNode(0);
+  }
+}
+
+module.exports = FallbackProvider;
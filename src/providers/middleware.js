@@ -0,0 +1,42 @@
+const { isFunction } = require('lodash');
+
+/**
+ * Checks that a middleware can be added to a provider.
+ * @param {function} middleware Async function called with the request and the next function.
+ */
+const validateMiddleware = (middleware) => {
+  if (!isFunction(middleware)) {
+    throw Error('middleware must be a function.');
+  }
+};
+
+/**
+ * Runs a request through a middleware chain. Each middleware is called as middleware(req, next) where req is
+ * { method, params } and next(req?) runs the rest of the chain, optionally with a rewritten request.
+ * A middleware sees the result or the error of the call by awaiting next(), and can return its own result
+ * without calling next(), eg. to mock or cache a call.
+ * @param {array} middlewares The middleware functions in the order they were added.
+ * @param {object} req The request as { method, params }.
+ * @param {function} handler Function which executes the request once it went through every middleware.
+ * @return {Promise} Result of the call.
+ */
+const runMiddleware = (middlewares, req, handler) => {
+  const dispatch = async (index, request) => {
+    if (index === middlewares.length) {
+      return handler(request);
+    }
+
+    let called = false;
+    return middlewares[index](request, async (nextRequest = request) => {
+      if (called) {
+        throw Error('next() called multiple times.');
+      }
+      called = true;
+      return dispatch(index + 1, nextRequest);
+    });
+  };
+
+  return dispatch(0, req);
+};
+
+module.exports = { validateMiddleware, runMiddleware };
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { cloneDeep, each, filter, find, has, includes, isEmpty, isFunction, isUndefined, some } = require('lodash');
+
+const { RpcError } = require('../errors');
+const Utils = require('../utils');
+const { hash256 } = require('../utils/hash');
+const { validateMiddleware, runMiddleware } = require('./middleware');
+
+const DEFAULT_CHAIN = 'regtest';
+const DEFAULT_BLOCK_COUNT = 100;
+const DEFAULT_GAS_USED = 21000;
+const DEFAULT_BLOCK_TIME = 1500000000;
+const BLOCK_INTERVAL = 128;
+const EXCEPTED_NONE = 'None';
+
+// JSONRPC error codes of the node
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_INVALID_PARAMETER = -8;
+const RPC_WALLET_INSUFFICIENT_FUNDS = -6;
+const RPC_DESERIALIZATION_ERROR = -22;
+
+/**
+ * Builds a deterministic hex hash, eg. of a block height or a transaction counter.
+ * @param {string} value The value to hash.
+ * @return {string} The hex hash.
+ */
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Creates the RpcError of the node.
+ * @param {number} code JSONRPC error code.
+ * @param {string} message Error message.
+ * @param {string} method RPC method of the request.
+ * @param {array} params RPC params of the request.
+ * @return {RpcError} The error.
+ */
+const rpcError = (code, message, method, params) => RpcError.fromResponse({ code, message }, method, params);
+
+// Simulated RPCs by method, called with the provider and the params
+const HANDLERS = {
+  getblockcount(provider) {
+    return provider.blockCount;
+  },
+
+  getblockchaininfo(provider) {
+    return {
+      chain: provider.chain,
+      blocks: provider.blockCount,
+      headers: provider.blockCount,
+      bestblockhash: provider.getBlockHash(provider.blockCount),
+    };
+  },
+
+  getbestblockhash(provider) {
+    return provider.getBlockHash(provider.blockCount);
+  },
+
+  getblockhash(provider, params) {
+    const [height] = params;
+    if (height < 0 || height > provider.blockCount) {
+      throw rpcError(RPC_INVALID_PARAMETER, 'Block height out of range', 'getblockhash', params);
+    }
+    return provider.getBlockHash(height);
+  },
+
+  getblock(provider, params) {
+    const [blockHash, verbose = true] = params;
+    const block = provider.getBlockAt(provider.findHeight(blockHash, 'getblock', params));
+    return verbose ? block : Buffer.from(JSON.stringify(block)).toString('hex');
+  },
+
+  getblockheader(provider, params) {
+    const [blockHash, verbose = true] = params;
+    const block = provider.getBlockAt(provider.findHeight(blockHash, 'getblockheader', params));
+    delete block.tx;
+    return verbose ? block : Buffer.from(JSON.stringify(block)).toString('hex');
+  },
+
+  getbalance(provider) {
+    return provider.balance;
+  },
+
+  getunconfirmedbalance() {
+    return 0;
+  },
+
+  getwalletinfo(provider) {
+    return {
+      balance: provider.balance,
+      unconfirmed_balance: 0,
+      txcount: provider.sent.length,
+    };
+  },
+
+  listunspent(provider) {
+    return cloneDeep(provider.utxos);
+  },
+
+  gettransaction(provider, params) {
+    const tx = find(provider.sent, { txid: params[0] });
+    if (!tx) {
+      const message = 'Invalid or non-wallet transaction id';
+      throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, message, 'gettransaction', params);
+    }
+    return {
+      txid: tx.txid,
+      confirmations: isUndefined(tx.blockNumber) ? 0 : (provider.blockCount - tx.blockNumber) + 1,
+      blockhash: tx.blockHash,
+    };
+  },
+
+  gettransactionreceipt(provider, params) {
+    const tx = find(provider.sent, { txid: params[0] });
+    if (!tx || isUndefined(tx.blockNumber) || tx.method === 'sendtoaddress') {
+      return [];
+    }
+    return [{
+      blockHash: tx.blockHash,
+      blockNumber: tx.blockNumber,
+      transactionHash: tx.txid,
+      transactionIndex: 1,
+      from: '',
+      to: tx.method === 'sendtocontract' ? tx.params[0] : '',
+      cumulativeGasUsed: DEFAULT_GAS_USED,
+      gasUsed: DEFAULT_GAS_USED,
+      contractAddress: tx.method === 'sendtocontract' ? tx.params[0] : tx.txid.slice(0, 40),
+      excepted: EXCEPTED_NONE,
+      log: [],
+    }];
+  },
+
+  callcontract(provider, params) {
+    const [address, data] = params;
+    const mocked = find(provider.mockedCalls, call =>
+      call.address === Utils.trimHexPrefix(address) && Utils.trimHexPrefix(data).indexOf(call.data) === 0);
+
+    return {
+      address: Utils.trimHexPrefix(address),
+      executionResult: Object.assign({
+        gasUsed: DEFAULT_GAS_USED,
+        excepted: EXCEPTED_NONE,
+        output: '',
+      }, mocked ? cloneDeep(mocked.executionResult) : {}),
+    };
+  },
+
+  sendtocontract(provider, params) {
+    const tx = provider.send('sendtocontract', params);
+    return {
+      txid: tx.txid,
+      sender: params[5] || '',
+      hash160: '',
+    };
+  },
+
+  createcontract(provider, params) {
+    const tx = provider.send('createcontract', params);
+    return {
+      txid: tx.txid,
+      sender: params[3] || '',
+      hash160: '',
+      address: tx.txid.slice(0, 40),
+    };
+  },
+
+  sendtoaddress(provider, params) {
+    const [, amount] = params;
+    if (amount > provider.balance) {
+      throw rpcError(RPC_WALLET_INSUFFICIENT_FUNDS, 'Insufficient funds', 'sendtoaddress', params);
+    }
+    Object.assign(provider, { balance: provider.balance - amount });
+    return provider.send('sendtoaddress', params).txid;
+  },
+
+  sendrawtransaction(provider, params) {
+    const [hexString] = params;
+    if (!/^([0-9a-fA-F]{2})+$/.test(hexString || '')) {
+      throw rpcError(RPC_DESERIALIZATION_ERROR, 'TX decode failed', 'sendrawtransaction', params);
+    }
+    const txid = hash256(Buffer.from(hexString, 'hex')).reverse().toString('hex');
+    return provider.send('sendrawtransaction', params, txid).txid;
+  },
+
+  searchlogs(provider, params) {
+    const [fromBlock, toBlock, { addresses } = {}, { topics } = {}] = params;
+    const lastBlock = toBlock === -1 ? provider.blockCount : toBlock;
+
+    return cloneDeep(filter(provider.logs, (receipt) => {
+      if (receipt.blockNumber < fromBlock || receipt.blockNumber > lastBlock) {
+        return false;
+      }
+      if (!isEmpty(addresses) && !includes(addresses, receipt.contractAddress)
+        && !some(receipt.log, log => includes(addresses, log.address))) {
+        return false;
+      }
+      return isEmpty(topics) || some(receipt.log, log => some(log.topics, topic => includes(topics, topic)));
+    }));
+  },
+};
+
+/**
+ * In-process stand-in of a node for tests, which answers the common RPCs deterministically without a network.
+ * Blocks are generated for every height up to the block count. Transactions of sendtocontract, sendtoaddress,
+ * sendrawtransaction and createcontract are recorded in sent and mined into a new block with mine().
+ * Any method can be scripted with setResult(), callcontract results with mockCall() and searchlogs with addLogs().
+ * Other methods reject with a method not found RpcError.
+ */
+class MockProvider {
+  /**
+   * Constructor.
+   * @param {object} options Initial state of the node.
+   *    chain: chain name returned by getblockchaininfo (default: 'regtest')
+   *    blockCount: height of the tip (default: 100)
+   *    balance: balance of the wallet (default: 0)
+   *    utxos: unspent outputs returned by listunspent (default: [])
+   *    logs: receipts returned by searchlogs, see addLogs() (default: [])
+   */
+  constructor(options = {}) {
+    const {
+      chain = DEFAULT_CHAIN,
+      blockCount = DEFAULT_BLOCK_COUNT,
+      balance = 0,
+      utxos = [],
+      logs = [],
+    } = options;
+
+    this.chain = chain;
+    this.blockCount = blockCount;
+    this.balance = balance;
+    this.utxos = utxos;
+    this.logs = [];
+    this.calls = [];
+    this.sent = [];
+    this.results = {};
+    this.mockedCalls = [];
+    this.middlewares = [];
+    this.addLogs(logs);
+  }
+
+  /**
+   * Adds a middleware which is called with every rawCall() request.
+   * @param {function} middleware Async function called with the request { method, params } and next(req?).
+   * @return {MockProvider} The provider for chaining.
+   */
+  use(middleware) {
+    validateMiddleware(middleware);
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Records the call and returns its scripted or simulated result.
+   * @param {string} method Blockchain method to call. eg. 'getblockcount'
+   * @param {array} args Raw arguments for the call.
+   * @return {Promise} Result of the call.
+   */
+  rawCall(method, args = []) {
+    return runMiddleware(this.middlewares, { method, params: args }, async ({ method: reqMethod, params }) => {
+      this.calls.push({ method: reqMethod, params });
+
+      const scripted = this.results[reqMethod];
+      if (!isUndefined(scripted)) {
+        return cloneDeep(isFunction(scripted) ? await scripted(params, this) : scripted);
+      }
+
+      if (!has(HANDLERS, reqMethod)) {
+        throw rpcError(RPC_METHOD_NOT_FOUND, 'Method not found', reqMethod, params);
+      }
+      return HANDLERS[reqMethod](this, params);
+    });
+  }
+
+  /**
+   * Scripts the result of a method. Functions are called with the params and the provider.
+   * Throw an RpcError in the function to script an error.
+   * @param {string} method The RPC method.
+   * @param {any} result The result, or a function returning it. Set undefined to remove the script.
+   * @return {MockProvider} The provider for chaining.
+   */
+  setResult(method, result) {
+    this.results[method] = result;
+    return this;
+  }
+
+  /**
+   * Scripts the executionResult of a callcontract.
+   * @param {string} address The contract address.
+   * @param {string} data Encoded data of the call, or its beginning, eg. the method selector. Empty to match all.
+   * @param {object} executionResult Fields of the executionResult, eg. { output } or { excepted: 'Revert' }.
+   * @return {MockProvider} The provider for chaining.
+   */
+  mockCall(address, data, executionResult) {
+    this.mockedCalls.unshift({
+      address: Utils.trimHexPrefix(address),
+      data: Utils.trimHexPrefix(data || ''),
+      executionResult,
+    });
+    return this;
+  }
+
+  /**
+   * Adds receipts returned by searchlogs, like the results of gettransactionreceipt.
+   * @param {array} receipts The receipts with blockNumber, contractAddress and log.
+   * @return {MockProvider} The provider for chaining.
+   */
+  addLogs(receipts) {
+    each(receipts, receipt => this.logs.push(cloneDeep(receipt)));
+    return this;
+  }
+
+  /**
+   * Mines blocks. The sent transactions which are not mined yet are added to the first block.
+   * @param {number} blocks Number of blocks to mine (default: 1).
+   * @return {number} The new block count.
+   */
+  mine(blocks = 1) {
+    const height = this.blockCount + 1;
+    each(filter(this.sent, tx => isUndefined(tx.blockNumber)), (tx) => {
+      Object.assign(tx, { blockNumber: height, blockHash: this.getBlockHash(height) });
+    });
+    this.blockCount += blocks;
+    return this.blockCount;
+  }
+
+  /**
+   * Creates the RpcError of the node.
+   * @param {number} code JSONRPC error code.
+   * @param {string} message Error message.
+   * @param {string} method RPC method of the request.
+   * @param {array} params RPC params of the request.
+   * @return {RpcError} The error.
+   */
+  static error(code, message, method, params) {
+    return rpcError(code, message, method, params);
+  }
+
+  /**
+   * Gets the deterministic hash of the block at a height.
+   * @param {number} height The block height.
+   * @return {string} The block hash.
+   */
+  getBlockHash(height) {
+    return hash(`block${height}`);
+  }
+
+  /**
+   * Builds the verbose block at a height.
+   * @param {number} height The block height.
+   * @return {object} The block.
+   */
+  getBlockAt(height) {
+    const block = {
+      hash: this.getBlockHash(height),
+      confirmations: (this.blockCount - height) + 1,
+      height,
+      tx: filter(this.sent, { blockNumber: height }).map(tx => tx.txid),
+      time: DEFAULT_BLOCK_TIME + (height * BLOCK_INTERVAL),
+      previousblockhash: height > 0 ? this.getBlockHash(height - 1) : undefined,
+    };
+    if (height < this.blockCount) {
+      block.nextblockhash = this.getBlockHash(height + 1);
+    }
+    return block;
+  }
+
+  /**
+   * Finds the height of a block hash.
+   * @param {string} blockHash The block hash.
+   * @param {string} method RPC method of the request for the error.
+   * @param {array} params RPC params of the request for the error.
+   * @return {number} The block height.
+   */
+  findHeight(blockHash, method, params) {
+    for (let height = this.blockCount; height >= 0; height--) {
+      if (this.getBlockHash(height) === blockHash) {
+        return height;
+      }
+    }
+    throw rpcError(RPC_INVALID_ADDRESS_OR_KEY, 'Block not found', method, params);
+  }
+
+  /**
+   * Records a transaction which is mined by the next mine().
+   * @param {string} method RPC method of the transaction.
+   * @param {array} params RPC params of the transaction.
+   * @param {string} txid Id of the transaction (default: hash of the transaction counter).
+   * @return {object} The recorded transaction.
+   */
+  send(method, params, txid = hash(`tx${this.sent.length}`)) {
+    const tx = {
+      method,
+      params,
+      txid,
+      blockNumber: undefined,
+      blockHash: undefined,
+    };
+    this.sent.push(tx);
+    return tx;
+  }
+}
+
+module.exports = MockProvider;
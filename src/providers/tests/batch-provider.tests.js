@@ -0,0 +1,102 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const BatchProvider = require('../batch-provider');
+const Vweb3 = require('../../vweb3');
+
+const { assert } = chai;
+
+describe('BatchProvider', () => {
+  let batches;
+  let rawCalls;
+
+  // Provider which answers getblockhash and fails other methods
+  const answer = (method, params) => {
+    if (method === 'getblockhash') {
+      return { result: `hash${params[0]}` };
+    }
+    return { error: Error(`Method ${method} not found`) };
+  };
+  const batchProvider = {
+    rawCall: async (method, params) => {
+      rawCalls.push({ method, params });
+      const { result, error } = answer(method, params);
+      if (error) {
+        throw error;
+      }
+      return result;
+    },
+    batch: async (requests) => {
+      batches.push(requests);
+      return requests.map(({ method, params }) => answer(method, params));
+    },
+  };
+
+  beforeEach(() => {
+    batches = [];
+    rawCalls = [];
+  });
+
+  it('queues the calls until execute()', async () => {
+    const provider = new BatchProvider(batchProvider);
+    const first = provider.rawCall('getblockhash', [1]);
+    const second = provider.rawCall('getblockhash', [2]);
+    assert.lengthOf(batches, 0);
+
+    await provider.execute();
+    assert.deepEqual(batches, [[{ method: 'getblockhash', params: [1] }, { method: 'getblockhash', params: [2] }]]);
+    assert.equal(await first, 'hash1');
+    assert.equal(await second, 'hash2');
+  });
+
+  it('rejects the failed calls only', async () => {
+    const provider = new BatchProvider(batchProvider);
+    const first = provider.rawCall('getblockhash', [1]);
+    const second = provider.rawCall('unknown');
+    await provider.execute();
+
+    assert.equal(await first, 'hash1');
+    let error;
+    try {
+      await second;
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.message, 'Method unknown not found');
+  });
+
+  it('passes the calls after execute() to the provider', async () => {
+    const provider = new BatchProvider(batchProvider);
+    await provider.execute();
+
+    assert.equal(await provider.rawCall('getblockhash', [3]), 'hash3');
+    assert.deepEqual(rawCalls, [{ method: 'getblockhash', params: [3] }]);
+    assert.lengthOf(batches, 0);
+  });
+
+  it('falls back to rawCall() if the provider does not support batch()', async () => {
+    const provider = new BatchProvider({ rawCall: batchProvider.rawCall });
+    const first = provider.rawCall('getblockhash', [1]);
+    await provider.execute();
+
+    assert.equal(await first, 'hash1');
+    assert.lengthOf(rawCalls, 1);
+  });
+
+  describe('Vweb3.batch()', () => {
+    it('executes the Vweb3 calls in a single batch', async () => {
+      const vweb3 = new Vweb3(batchProvider);
+      const results = await vweb3.batch(batch => [
+        batch.getBlockHash(1),
+        batch.getBlockHash(2),
+        batch.provider.rawCall('unknown'),
+      ]);
+
+      assert.lengthOf(batches, 1);
+      assert.lengthOf(batches[0], 3);
+      assert.deepEqual(results.slice(0, 2), [{ result: 'hash1' }, { result: 'hash2' }]);
+      assert.equal(results[2].error.message, 'Method unknown not found');
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,198 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const { initProvider } = require('..');
+const FallbackProvider = require('../fallback-provider');
+const Vweb3 = require('../../vweb3');
+const { RpcError, HttpError } = require('../../errors');
+const { getError } = require('../../../test/utils/vassert');
+
+const { assert } = chai;
+
+describe('FallbackProvider', () => {
+  /**
+   * Returns a fake node which answers getblockcount after the latency and records the other calls.
+   */
+  const getNode = (name, { blockCount = 100, latency = 0, down = false } = {}) => {
+    const node = {
+      name,
+      blockCount,
+      calls: [],
+      down,
+      rpcError: undefined,
+      rawCall: async (method, args) => {
+        await new Promise(resolve => setTimeout(resolve, latency));
+        node.calls.push({ method, args });
+        if (node.down) {
+          throw Object.assign(Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        }
+        if (node.rpcError) {
+          throw node.rpcError;
+        }
+        return method === 'getblockcount' ? node.blockCount : name;
+      },
+    };
+    return node;
+  };
+
+  it('routes reads to the node with the lowest latency', async () => {
+    const slow = getNode('slow', { latency: 30 });
+    const fast = getNode('fast', { latency: 1 });
+    const provider = new FallbackProvider([slow, fast]);
+
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'fast');
+    assert.deepEqual(slow.calls.map(call => call.method), ['getblockcount']);
+  });
+
+  it('does not route reads to nodes behind the highest block count', async () => {
+    const behind = getNode('behind', { blockCount: 90 });
+    const synced = getNode('synced', { blockCount: 100, latency: 10 });
+    const provider = new FallbackProvider([behind, synced], { maxBlockLag: 2 });
+
+    const health = await provider.checkHealth();
+    assert.deepEqual(health.map(({ healthy, blockCount }) => ({ healthy, blockCount })), [
+      { healthy: false, blockCount: 90 },
+      { healthy: true, blockCount: 100 },
+    ]);
+    assert.equal(await provider.rawCall('getblock', ['hash']), 'synced');
+  });
+
+  it('fails over to the next node if a node is down', async () => {
+    const first = getNode('first', { latency: 1 });
+    const second = getNode('second', { latency: 10 });
+    const provider = new FallbackProvider([first, second]);
+    await provider.checkHealth();
+
+    first.down = true;
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'second');
+    assert.equal(await provider.rawCall('getblockhash', [2]), 'second');
+    assert.lengthOf(first.calls.filter(call => call.method === 'getblockhash'), 1);
+  });
+
+  it('fails over on HTTP 5xx errors but not on other HTTP errors', async () => {
+    const first = getNode('first', { latency: 1 });
+    const second = getNode('second', { latency: 10 });
+    const provider = new FallbackProvider([first, second]);
+    await provider.checkHealth();
+
+    first.rpcError = HttpError.fromStatus(401, 'getblockhash', [1]);
+    assert.equal((await getError(provider.rawCall('getblockhash', [1]))).status, 401);
+
+    first.rpcError = HttpError.fromStatus(503, 'getblockhash', [1]);
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'second');
+  });
+
+  it('routes to the unhealthy nodes if no node is healthy', async () => {
+    const node = getNode('node', { down: true });
+    const provider = new FallbackProvider([node]);
+    await provider.checkHealth();
+
+    node.down = false;
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'node');
+  });
+
+  it('does not fail over on JSONRPC errors', async () => {
+    const first = getNode('first', { latency: 1 });
+    const second = getNode('second', { latency: 10 });
+    const provider = new FallbackProvider([first, second]);
+    await provider.checkHealth();
+    first.rpcError = new RpcError('Block height out of range', { code: -8, method: 'getblockhash', params: [1000] });
+
+    const error = await getError(provider.rawCall('getblockhash', [1000]));
+    assert.equal(error.message, 'Block height out of range');
+    assert.lengthOf(second.calls.filter(call => call.method === 'getblockhash'), 0);
+  });
+
+  it('sends writes to the write node only', async () => {
+    const reader = getNode('reader', { latency: 1 });
+    const writer = getNode('writer', { latency: 10 });
+    const provider = new FallbackProvider([reader, writer], { writeIndex: 1 });
+
+    assert.equal(await provider.rawCall('sendtocontract', ['f6177bc9812eeb531907621af6641a41133dea9e', '']), 'writer');
+    assert.lengthOf(reader.calls, 0);
+
+    writer.down = true;
+    await getError(provider.rawCall('sendtoaddress', ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy', 1]));
+    assert.lengthOf(reader.calls, 0);
+  });
+
+  it('sends the wallet methods to the write node', async () => {
+    const reader = getNode('reader', { latency: 1 });
+    const writer = getNode('writer', { latency: 10 });
+    const provider = new FallbackProvider([reader, writer], { writeIndex: 1 });
+
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'reader');
+    assert.equal(await provider.rawCall('getbalance'), 'writer');
+    assert.equal(await provider.rawCall('listunspent', [1, 9999999, []]), 'writer');
+    assert.equal(await provider.rawCall('gettransaction', ['ab']), 'writer');
+    assert.deepEqual(reader.calls.map(call => call.method), ['getblockcount', 'getblockhash']);
+  });
+
+  it('sends the methods which need an optional index to the write node', async () => {
+    const reader = getNode('reader', { latency: 1 });
+    const writer = getNode('writer', { latency: 10 });
+    const provider = new FallbackProvider([reader, writer], { writeIndex: 1 });
+
+    assert.equal(await provider.rawCall('getaddressutxos', [{ addresses: ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy'] }]), 'writer');
+    assert.equal(await provider.rawCall('searchlogs', [0, 10, {}, {}]), 'writer');
+    assert.equal(await provider.rawCall('gettransactionreceipt', ['ab']), 'writer');
+    assert.lengthOf(reader.calls, 0);
+  });
+
+  it('passes the requests through the middlewares before routing them', async () => {
+    const node = getNode('node');
+    const methods = [];
+    const provider = new FallbackProvider([node]).use(async (req, next) => {
+      methods.push(req.method);
+      return req.method === 'getinfo' ? 'mocked' : next();
+    });
+
+    assert.equal(await provider.rawCall('getinfo'), 'mocked');
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'node');
+    assert.deepEqual(methods, ['getinfo', 'getblockhash']);
+    assert.deepEqual(node.calls.map(call => call.method), ['getblockcount', 'getblockhash']);
+  });
+
+  it('is a Vweb3 compatible provider', async () => {
+    const provider = new FallbackProvider([getNode('node')]);
+    assert.equal(initProvider(provider), provider);
+    assert.equal(await new Vweb3(provider).getBlockCount(), 100);
+  });
+
+  it('checks the health again after healthCheckInterval', async () => {
+    const first = getNode('first', { latency: 1 });
+    const second = getNode('second', { latency: 10 });
+    const provider = new FallbackProvider([first, second], { healthCheckInterval: 100 });
+
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'first');
+    first.blockCount = 90;
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'first');
+
+    await new Promise(resolve => setTimeout(resolve, 120));
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'second');
+    assert.lengthOf(first.calls.filter(call => call.method === 'getblockcount'), 2);
+  });
+
+  it('checks the health again after a failover so the node can recover', async () => {
+    const first = getNode('first', { latency: 1 });
+    const second = getNode('second', { latency: 10 });
+    const provider = new FallbackProvider([first, second]);
+    await provider.checkHealth();
+
+    first.down = true;
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'second');
+    assert.isFalse(provider.nodes[0].healthy);
+
+    first.down = false;
+    assert.equal(await provider.rawCall('getblockhash', [1]), 'first');
+    assert.isTrue(provider.nodes[0].healthy);
+  });
+
+  it('throws if the providers or options are invalid', () => {
+    assert.throws(() => new FallbackProvider([]));
+    assert.throws(() => new FallbackProvider([{}]));
+    assert.throws(() => new FallbackProvider([getNode('node')], { writeIndex: 1 }));
+    assert.throws(() => new FallbackProvider([getNode('node')], { maxBlockLag: '1' }));
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,92 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const { validateMiddleware, runMiddleware } = require('../middleware');
+const { getError } = require('../../../test/utils/vassert');
+
+const { assert } = chai;
+
+describe('middleware', () => {
+  const echo = async ({ method, params }) => ({ method, params });
+
+  describe('runMiddleware()', () => {
+    it('calls the handler if there are no middlewares', async () => {
+      assert.deepEqual(await runMiddleware([], { method: 'getblockcount', params: [] }, echo), { method: 'getblockcount', params: [] });
+    });
+
+    it('calls the middlewares in the order they were added', async () => {
+      const order = [];
+      const middlewares = [
+        async (req, next) => {
+          order.push('first');
+          const result = await next();
+          order.push('first done');
+          return result;
+        },
+        async (req, next) => {
+          order.push('second');
+          return next();
+        },
+      ];
+
+      await runMiddleware(middlewares, { method: 'getblockcount', params: [] }, async (req) => {
+        order.push('handler');
+        return echo(req);
+      });
+      assert.deepEqual(order, ['first', 'second', 'handler', 'first done']);
+    });
+
+    it('passes a rewritten request to the next middleware', async () => {
+      const middlewares = [
+        async (req, next) => next({ method: req.method, params: req.params.concat([true]) }),
+        async (req, next) => next(Object.assign({}, req, { method: 'getblockheader' })),
+      ];
+
+      const result = await runMiddleware(middlewares, { method: 'getblock', params: ['hash'] }, echo);
+      assert.deepEqual(result, { method: 'getblockheader', params: ['hash', true] });
+    });
+
+    it('returns the result of a middleware which does not call next()', async () => {
+      let handled = false;
+      const result = await runMiddleware([async () => 100], { method: 'getblockcount', params: [] }, async () => {
+        handled = true;
+      });
+      assert.equal(result, 100);
+      assert.isFalse(handled);
+    });
+
+    it('lets a middleware see and replace the error', async () => {
+      const middlewares = [async (req, next) => {
+        try {
+          return await next();
+        } catch (err) {
+          return `recovered: ${err.message}`;
+        }
+      }];
+
+      const result = await runMiddleware(middlewares, { method: 'getblockcount', params: [] }, async () => {
+        throw Error('connection refused');
+      });
+      assert.equal(result, 'recovered: connection refused');
+    });
+
+    it('rejects if next() is called more than once', async () => {
+      const middlewares = [async (req, next) => {
+        await next();
+        return next();
+      }];
+
+      const error = await getError(runMiddleware(middlewares, { method: 'getblockcount', params: [] }, echo));
+      assert.equal(error.message, 'next() called multiple times.');
+    });
+  });
+
+  describe('validateMiddleware()', () => {
+    it('throws if the middleware is not a function', () => {
+      assert.throws(() => validateMiddleware(undefined));
+      assert.throws(() => validateMiddleware({}));
+      assert.doesNotThrow(() => validateMiddleware(async (req, next) => next()));
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
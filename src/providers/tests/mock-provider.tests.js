@@ -0,0 +1,142 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const MockProvider = require('../mock-provider');
+const Vweb3 = require('../../vweb3');
+const Encoder = require('../../formatters/encoder');
+const ContractMetadata = require('../../../test/data/contract_metadata');
+const { RpcError, InsufficientFundsError } = require('../../errors');
+const { getError } = require('../../../test/utils/vassert');
+
+const { assert } = chai;
+
+describe('MockProvider', () => {
+  const SENDER = 'vSvGBrrXKYkLJpfipbAVqiNEf44cz2Md5o';
+  let provider;
+  let vweb3;
+
+  beforeEach(() => {
+    provider = new MockProvider({ blockCount: 10, balance: 5 });
+    vweb3 = new Vweb3(provider);
+  });
+
+  describe('blocks', () => {
+    it('returns deterministic blocks up to the block count', async () => {
+      assert.equal(await vweb3.getBlockCount(), 10);
+      const hash = await vweb3.getBlockHash(10);
+      assert.equal(hash, new MockProvider().getBlockHash(10));
+      assert.equal(await provider.rawCall('getbestblockhash'), hash);
+
+      const block = await vweb3.getBlock(hash);
+      assert.equal(block.height, 10);
+      assert.equal(block.confirmations, 1);
+      assert.equal(block.previousblockhash, await vweb3.getBlockHash(9));
+      assert.isUndefined(block.nextblockhash);
+      assert.isString(await vweb3.getBlock(hash, false));
+    });
+
+    it('rejects unknown heights and hashes like the node', async () => {
+      const error = await getError(vweb3.getBlockHash(11));
+      assert.instanceOf(error, RpcError);
+      assert.equal(error.code, -8);
+      assert.equal((await getError(vweb3.getBlock('00'))).code, -5);
+    });
+  });
+
+  describe('transactions', () => {
+    it('records sendtocontract and returns the receipt once mined', async () => {
+      const { address, abi } = ContractMetadata.EventFactory;
+      const contract = vweb3.Contract(address, abi);
+      const methodArgs = ['17e7888aa7412a735f336d2f6d784caefabb6fa3', 'Hello World', ['a', 'b', 'c'], 50000, 50100];
+
+      const { txid } = await contract.send('createTopic', { methodArgs, senderAddress: SENDER });
+      assert.lengthOf(provider.sent, 1);
+      assert.equal(provider.sent[0].params[1], Encoder.constructData(abi, 'createTopic', methodArgs));
+      assert.deepEqual(await vweb3.getTransactionReceipt(txid), []);
+
+      provider.mine(2);
+      const [receipt] = await vweb3.getTransactionReceipt(txid);
+      assert.equal(receipt.blockNumber, 11);
+      assert.equal(receipt.contractAddress, address);
+      assert.equal((await vweb3.getTransaction(txid)).confirmations, 2);
+      assert.include((await vweb3.getBlock(receipt.blockHash)).tx, txid);
+    });
+
+    it('waits for the receipt of a sent transaction', async () => {
+      const { address, abi } = ContractMetadata.EventFactory;
+      const contract = vweb3.Contract(address, abi);
+      const methodArgs = ['17e7888aa7412a735f336d2f6d784caefabb6fa3', 'Hello World', ['a', 'b', 'c'], 50000, 50100];
+      setTimeout(() => provider.mine(), 5);
+
+      const res = await contract.send('createTopic', { methodArgs, senderAddress: SENDER, waitForReceipt: { pollInterval: 2 } });
+      assert.equal(res.receipt[0].transactionHash, res.txid);
+    });
+
+    it('spends the balance with sendtoaddress', async () => {
+      assert.isString(await vweb3.sendToAddress(SENDER, 2));
+      assert.equal(await provider.rawCall('getbalance'), 3);
+      assert.instanceOf(await getError(vweb3.sendToAddress(SENDER, 4)), InsufficientFundsError);
+    });
+  });
+
+  describe('callcontract', () => {
+    const { address, abi } = ContractMetadata.EventFactory;
+    const args = ['Hello World', ['a', 'b', 'c'], 50000, 50100];
+
+    it('returns the scripted result of the matching call', async () => {
+      const selector = Encoder.constructData(abi, 'doesTopicExist', args).slice(0, 8);
+      provider.mockCall(address, selector, { output: '0000000000000000000000000000000000000000000000000000000000000001' });
+
+      const res = await vweb3.Contract(address, abi).methods.doesTopicExist(...args).call({ senderAddress: SENDER });
+      assert.isTrue(res.executionResult.formattedOutput[0]);
+      assert.equal(res.executionResult.excepted, 'None');
+    });
+
+    it('returns an empty output for the other calls', async () => {
+      const res = await provider.rawCall('callcontract', [address, 'abcdef01']);
+      assert.deepEqual(res.executionResult, { gasUsed: 21000, excepted: 'None', output: '' });
+    });
+  });
+
+  describe('searchlogs', () => {
+    it('returns the logs in the blocks of the address and topics', async () => {
+      const receipt = {
+        blockNumber: 5,
+        contractAddress: 'f6177bc9812eeb531907621af6641a41133dea9e',
+        log: [{ address: 'f6177bc9812eeb531907621af6641a41133dea9e', topics: ['aa', 'bb'], data: '' }],
+      };
+      provider.addLogs([receipt, Object.assign({}, receipt, { blockNumber: 8 })]);
+
+      assert.lengthOf(await provider.rawCall('searchlogs', [0, -1, { addresses: [receipt.contractAddress] }, { topics: ['aa'] }]), 2);
+      assert.lengthOf(await provider.rawCall('searchlogs', [6, 10, { addresses: [receipt.contractAddress] }, { topics: [] }]), 1);
+      assert.lengthOf(await provider.rawCall('searchlogs', [0, -1, { addresses: ['other'] }, { topics: [] }]), 0);
+      assert.lengthOf(await provider.rawCall('searchlogs', [0, -1, { addresses: [] }, { topics: ['cc'] }]), 0);
+    });
+  });
+
+  it('returns the scripted results and records the calls', async () => {
+    provider.setResult('getinfo', { version: 1 }).setResult('getblockcount', params => params.length + 99);
+
+    assert.deepEqual(await provider.rawCall('getinfo'), { version: 1 });
+    assert.equal(await vweb3.getBlockCount(), 99);
+    assert.deepEqual(provider.calls.map(call => call.method), ['getinfo', 'getblockcount']);
+  });
+
+  it('rejects unknown methods with method not found', async () => {
+    const error = await getError(provider.rawCall('unknown'));
+    assert.instanceOf(error, RpcError);
+    assert.equal(error.code, -32601);
+  });
+
+  it('passes the calls through the middlewares', async () => {
+    const methods = [];
+    vweb3.use(async (req, next) => {
+      methods.push(req.method);
+      return next();
+    });
+
+    await vweb3.getBlockCount();
+    assert.deepEqual(methods, ['getblockcount']);
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,133 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const EventEmitter = require('events');
+const chai = require('chai');
+
+const ZmqProvider = require('../zmq-provider');
+const Vweb3 = require('../../vweb3');
+
+const { assert } = chai;
+
+/**
+ * Stand-in of a zeromq subscriber socket connected to the node's publisher.
+ * publish() delivers a notification like the node would if the topic is subscribed.
+ */
+class FakeSubscriber extends EventEmitter {
+  constructor() {
+    super();
+    this.topics = [];
+    this.closed = false;
+  }
+
+  connect(address) {
+    this.address = address;
+  }
+
+  subscribe(topic) {
+    this.topics.push(topic);
+  }
+
+  unsubscribe(topic) {
+    this.topics = this.topics.filter(item => item !== topic);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  publish(topic, hex) {
+    if (this.topics.indexOf(topic) !== -1) {
+      this.emit('message', Buffer.from(topic), Buffer.from(hex, 'hex'), Buffer.from('00000000', 'hex'));
+    }
+  }
+}
+
+describe('ZmqProvider', () => {
+  const ZMQ_ADDRESS = 'tcp://127.0.0.1:28332';
+  const BLOCK_HASH = '1bfca6e1c401865982121000a60a5f7f32839e124486891fd2d34bd6e1052de2';
+  const RAW_TX = '0100000001c997a5e56e104102fa209c6a852dd90660a20b2d9c352423edce25857fcd3704000000004847304402204e45e16932b8af514961a1d3a1a25fdf3f4f7732e9d624c6c61548ab5fb8cd410220181522ec8eca07de4860a4acdd12909d831cc56cbbac4622082221a8768d1d0901ffffffff0200ca9a3b00000000434104ae1a62fe09c5f51b13905f07f06b99a2f7159b2225f374cd378d71302fa28414e7aab37397f554a7df5f142c21c1b7303b8a0626f1baded5c72a704f7e6cd84cac00286bee0000000043410411db93e1dcdb8a016b49840f8c53bc1eb68a382e97b1482ecad7b148a6909a5cb2e0eaddfb84ccf9744464f82e160bfa9b8b64f9d4c03f999b8643f656b412a3ac00000000';
+  let socket;
+  let provider;
+
+  beforeEach(() => {
+    socket = new FakeSubscriber();
+    provider = new ZmqProvider(ZMQ_ADDRESS, { rawCall: async (method, args) => ({ method, args }) }, { socketFactory: () => socket });
+  });
+
+  it('connects and subscribes to the default topics', () => {
+    assert.equal(socket.address, ZMQ_ADDRESS);
+    assert.deepEqual(socket.topics, ['hashblock', 'rawtx']);
+  });
+
+  it('emits block with the hex hash of a new block', (done) => {
+    provider.on('block', (hash) => {
+      assert.equal(hash, BLOCK_HASH);
+      done();
+    });
+    socket.publish('hashblock', BLOCK_HASH);
+  });
+
+  it('emits tx with the hex of a new raw transaction', (done) => {
+    provider.on('tx', (rawTx) => {
+      assert.equal(rawTx, RAW_TX);
+      done();
+    });
+    socket.publish('rawtx', RAW_TX);
+  });
+
+  it('subscribes to the given topics', (done) => {
+    socket = new FakeSubscriber();
+    provider = new ZmqProvider(ZMQ_ADDRESS, { rawCall: async () => {} }, { socketFactory: () => socket, topics: ['hashtx'] });
+    assert.deepEqual(socket.topics, ['hashtx']);
+
+    provider.on('block', () => done(Error('hashblock should not be subscribed.')));
+    provider.on('txhash', (hash) => {
+      assert.equal(hash, BLOCK_HASH);
+      done();
+    });
+    socket.publish('hashblock', BLOCK_HASH);
+    socket.publish('hashtx', BLOCK_HASH);
+  });
+
+  it('executes rawCall with the RPC provider', async () => {
+    assert.deepEqual(await provider.rawCall('getblockcount', []), { method: 'getblockcount', args: [] });
+  });
+
+  it('adds the middlewares to the RPC provider', () => {
+    const middlewares = [];
+    const middleware = async (req, next) => next();
+    const zmqProvider = new ZmqProvider(ZMQ_ADDRESS, { rawCall: async () => {}, use: fn => middlewares.push(fn) }, { socketFactory: () => new FakeSubscriber() });
+
+    assert.equal(zmqProvider.use(middleware), zmqProvider);
+    assert.deepEqual(middlewares, [middleware]);
+    assert.throws(() => provider.use(middleware));
+  });
+
+  it('unsubscribes and closes the socket on close()', () => {
+    provider.close();
+    assert.isEmpty(socket.topics);
+    assert.isTrue(socket.closed);
+  });
+
+  it('throws if zmqAddress, rpcProvider or a topic is invalid', () => {
+    assert.throws(() => new ZmqProvider('', { rawCall: async () => {} }, { socketFactory: () => socket }));
+    assert.throws(() => new ZmqProvider(ZMQ_ADDRESS, undefined, { socketFactory: () => socket }));
+    assert.throws(() => new ZmqProvider(ZMQ_ADDRESS, { rawCall: async () => {} }, { socketFactory: () => socket, topics: ['sequence'] }));
+  });
+
+  it('can be used for Vweb3 subscriptions', () => {
+    const vweb3 = new Vweb3(provider);
+    const hashes = [];
+    const unsubscribe = vweb3.subscribe('block', hash => hashes.push(hash));
+
+    socket.publish('hashblock', BLOCK_HASH);
+    unsubscribe();
+    socket.publish('hashblock', BLOCK_HASH);
+    assert.deepEqual(hashes, [BLOCK_HASH]);
+  });
+
+  it('throws on Vweb3 subscriptions if the provider does not push notifications', () => {
+    const vweb3 = new Vweb3({ rawCall: async () => {} });
+    assert.throws(() => vweb3.subscribe('block', () => {}), 'provider does not support subscriptions.');
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,120 @@
+const EventEmitter = require('events');
+const { each, isEmpty } = require('lodash');
+
+const HttpProvider = require('./http-provider');
+
+// Maps the ZMQ notification topics of the node to the emitted event names
+const TOPIC_EVENTS = {
+  hashblock: 'block',
+  hashtx: 'txhash',
+  rawblock: 'rawblock',
+  rawtx: 'tx',
+};
+const DEFAULT_TOPICS = ['hashblock', 'rawtx'];
+
+/**
+ * Creates a subscriber socket with the zeromq package. zeromq is a native optional dependency which may fail to
+ * build, so it is only required when no socketFactory is given instead of when this module is loaded.
+ * @return {object} The zeromq subscriber socket.
+ */
+const createZmqSocket = () =>
+  // eslint-disable-next-line global-require, import/no-extraneous-dependencies
+  require('zeromq').socket('sub');
+
+/**
+ * Push provider which receives the node's ZeroMQ notifications (-zmqpubhashblock, -zmqpubrawtx, etc.)
+ * and executes JSONRPC calls through an RPC provider.
+ * Emits:
+ *    block: hex hash of a new block (hashblock)
+ *    tx: hex of a new raw transaction (rawtx)
+ *    txhash: hex hash of a new transaction (hashtx)
+ *    rawblock: hex of a new raw block (rawblock)
+ *    error: a notification that could not be handled
+ */
+class ZmqProvider extends EventEmitter {
+  /**
+   * Constructor.
+   * @param {string} zmqAddress Address of the node's ZMQ publisher. eg. tcp://127.0.0.1:28332
+   * @param {string|Vweb3Provider} rpcProvider Either URL string to create HttpProvider or a Vweb3 compatible provider.
+   * @param {object} options Provider options.
+   *    topics: ZMQ topics to subscribe to (default: ['hashblock', 'rawtx'])
+   *    socketFactory: function returning the ZMQ subscriber socket (default: creates one with the zeromq package)
+   */
+  constructor(zmqAddress, rpcProvider, options = {}) {
+    super();
+
+    if (isEmpty(zmqAddress)) {
+      throw Error('zmqAddress cannot be empty.');
+    }
+    if (!rpcProvider) {
+      throw Error('rpcProvider cannot be undefined.');
+    }
+
+    const { topics = DEFAULT_TOPICS, socketFactory = createZmqSocket } = options;
+    each(topics, (topic) => {
+      if (!TOPIC_EVENTS[topic]) {
+        throw Error(`Invalid ZMQ topic: ${topic}`);
+      }
+    });
+
+    this.zmqAddress = zmqAddress;
+    this.rpcProvider = typeof rpcProvider === 'string' ? new HttpProvider(rpcProvider) : rpcProvider;
+    this.topics = topics;
+
+    this.socket = socketFactory();
+    this.socket.on('message', (topic, body) => this.handleMessage(topic, body));
+    this.socket.connect(zmqAddress);
+    each(topics, topic => this.socket.subscribe(topic));
+  }
+
+  /**
+   * Executes a request to the blockchain through the RPC provider.
+   * @param {string} method Blockchain method to call. eg. 'getblockcount'
+   * @param {array} args Raw arguments for the call.
+   * @return {Promise} Result of the call.
+   */
+  rawCall(method, args) {
+    return this.rpcProvider.rawCall(method, args);
+  }
+
+  /**
+   * Adds a middleware to the RPC provider.
+   * @param {function} middleware Async function called with the request { method, params } and next(req?).
+   * @return {ZmqProvider} The provider for chaining.
+   */
+  use(middleware) {
+    if (typeof this.rpcProvider.use !== 'function') {
+      throw Error('rpcProvider does not support middleware.');
+    }
+    this.rpcProvider.use(middleware);
+    return this;
+  }
+
+  /**
+   * Emits the event of a ZMQ notification.
+   * @param {Buffer} topic Topic of the notification.
+   * @param {Buffer} body Body of the notification.
+   */
+  handleMessage(topic, body) {
+    const eventName = TOPIC_EVENTS[topic.toString()];
+    if (!eventName) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', Error(`Unexpected ZMQ topic: ${topic.toString()}`));
+      }
+      return;
+    }
+
+    this.emit(eventName, body.toString('hex'));
+  }
+
+  /**
+   * Unsubscribes from all topics and closes the ZMQ socket.
+   */
+  close() {
+    each(this.topics, topic => this.socket.unsubscribe(topic));
+    this.socket.close();
+    this.emit('close');
+  }
+}
+
+module.exports = ZmqProvider;
@@ -0,0 +1,172 @@
+const { isArray, isEmpty, isFinite, isPlainObject, isString, isUndefined, map } = require('lodash');
+
+const { RpcError } = require('./errors');
+
+const RPC_METHOD_NOT_FOUND = -32601;
+const REGEX_HEX = /^([0-9a-fA-F]{2})+$/;
+
+/**
+ * Checks that a step returned a raw transaction.
+ * @param {string} hex The result of the step.
+ * @param {string} method The RPC method of the step.
+ */
+const validateHex = (hex, method) => {
+  if (!isString(hex) || !REGEX_HEX.test(hex)) {
+    throw Error(`${method} did not return a raw transaction.`);
+  }
+};
+
+/**
+ * Chains the raw transaction RPCs create, fund, sign and send, and validates the result of each step.
+ * The steps are recorded and executed in order by build() or send(), eg.
+ * const txid = await vweb3.rawTransaction().create(inputs, outputs).fund().sign().send();
+ */
+class RawTransaction {
+  /**
+   * Constructor. Use vweb3.rawTransaction() instead.
+   * @param {Vweb3Provider} provider Vweb3 compatible provider.
+   * @param {object} options Validation options.
+   *    maxFee: maximum fee in VIPS of fundrawtransaction, rejected before signing if higher (default: no maximum)
+   */
+  constructor(provider, options = {}) {
+    const { maxFee } = options;
+    if (!isUndefined(maxFee) && (!isFinite(maxFee) || maxFee < 0)) {
+      throw Error('maxFee must be a positive number of VIPS.');
+    }
+
+    this.provider = provider;
+    this.maxFee = maxFee;
+    this.steps = [];
+  }
+
+  /**
+   * Adds a step after checking that it comes in order, ie. create or fromHex, fund, then sign.
+   * @param {string} name Name of the step.
+   * @param {array} previous Names of the steps it can follow.
+   * @param {function} run Async function executing the step.
+   * @return {RawTransaction} The raw transaction for chaining.
+   */
+  addStep(name, previous, run) {
+    const last = this.steps.length > 0 ? this.steps[this.steps.length - 1].name : undefined;
+    if (previous.indexOf(last) === -1) {
+      throw Error(`${name}() cannot be called ${last ? `after ${last}()` : 'first'}.`);
+    }
+
+    this.steps.push({ name, run });
+    return this;
+  }
+
+  /**
+   * Creates the unsigned transaction with createrawtransaction.
+   * @param {array} inputs Inputs as [{ txid, vout }].
+   * @param {object} outputs Outputs as { address: amount in VIPS } or { data: hex }.
+   * @param {number} locktime Locktime of the transaction (default: 0).
+   * @return {RawTransaction} The raw transaction for chaining.
+   */
+  create(inputs, outputs, locktime = 0) {
+    if (!isArray(inputs)) {
+      throw Error('inputs must be an array.');
+    }
+    if (!isPlainObject(outputs) || isEmpty(outputs)) {
+      throw Error('outputs must be an object with at least one output.');
+    }
+
+    return this.addStep('create', [undefined], async () => {
+      const hex = await this.provider.rawCall('createrawtransaction', [inputs, outputs, locktime]);
+      validateHex(hex, 'createrawtransaction');
+      return { hex };
+    });
+  }
+
+  /**
+   * Starts from an existing raw transaction instead of creating one.
+   * @param {string} hexString The hex raw transaction.
+   * @return {RawTransaction} The raw transaction for chaining.
+   */
+  fromHex(hexString) {
+    validateHex(hexString, 'fromHex()');
+    return this.addStep('fromHex', [undefined], async () => ({ hex: hexString }));
+  }
+
+  /**
+   * Adds inputs from the wallet and the change with fundrawtransaction.
+   * @param {object} options Options of fundrawtransaction, eg. { changeAddress, feeRate }.
+   * @return {RawTransaction} The raw transaction for chaining.
+   */
+  fund(options) {
+    return this.addStep('fund', ['create', 'fromHex'], async ({ hex }) => {
+      const params = isUndefined(options) ? [hex] : [hex, options];
+      const result = await this.provider.rawCall('fundrawtransaction', params);
+      validateHex(result && result.hex, 'fundrawtransaction');
+      if (!isUndefined(this.maxFee) && result.fee > this.maxFee) {
+        throw Error(`Fee of ${result.fee} VIPS is higher than the maxFee of ${this.maxFee} VIPS.`);
+      }
+      return { hex: result.hex, fee: result.fee, changePosition: result.changepos };
+    });
+  }
+
+  /**
+   * Signs the inputs with the keys of the wallet, with signrawtransactionwithwallet or signrawtransaction on nodes
+   * which do not have it. The wallet must be unlocked.
+   * @param {object} options Signing options.
+   *    prevTxs: outputs spent by the inputs which are not in the wallet, as [{ txid, vout, scriptPubKey, amount }]
+   *    sigHashType: signature hash type (default: 'ALL')
+   * @return {RawTransaction} The raw transaction for chaining.
+   */
+  sign(options = {}) {
+    const { prevTxs = [], sigHashType = 'ALL' } = options;
+
+    return this.addStep('sign', ['create', 'fromHex', 'fund'], async (state) => {
+      let result;
+      try {
+        result = await this.provider.rawCall('signrawtransactionwithwallet', [state.hex, prevTxs, sigHashType]);
+      } catch (err) {
+        if (!(err instanceof RpcError) || err.code !== RPC_METHOD_NOT_FOUND) {
+          throw err;
+        }
+        result = await this.provider.rawCall('signrawtransaction', [state.hex, prevTxs, null, sigHashType]);
+      }
+
+      validateHex(result && result.hex, 'signrawtransaction');
+      if (!result.complete) {
+        const errors = map(result.errors, ({ txid, vout, error }) => `${txid}:${vout} ${error}`);
+        throw Error(`Transaction is not completely signed${isEmpty(errors) ? '.' : `: ${errors.join(', ')}`}`);
+      }
+      return Object.assign({}, state, { hex: result.hex });
+    });
+  }
+
+  /**
+   * Executes the steps without broadcasting the transaction.
+   * @return {Promise} The transaction as { hex, fee, changePosition }. fee and changePosition are set if funded.
+   */
+  async build() {
+    if (this.steps.length === 0) {
+      throw Error('create() or fromHex() must be called first.');
+    }
+
+    const run = (state, index) => {
+      if (index === this.steps.length) {
+        return state;
+      }
+      return this.steps[index].run(state).then(next => run(next, index + 1));
+    };
+    return run({}, 0);
+  }
+
+  /**
+   * Executes the steps and broadcasts the signed transaction with sendrawtransaction.
+   * @param {boolean} allowHighFees Allow fees above the maximum fee of the node.
+   * @return {Promise} Transaction ID or Error.
+   */
+  async send(allowHighFees = false) {
+    if (!this.steps.some(step => step.name === 'sign')) {
+      throw Error('sign() must be called before send().');
+    }
+
+    const { hex } = await this.build();
+    return this.provider.rawCall('sendrawtransaction', [hex, allowHighFees]);
+  }
+}
+
+module.exports = RawTransaction;
@@ -0,0 +1,168 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+const bs58 = require('bs58');
+
+const Address = require('../address');
+const Networks = require('../networks');
+const Utils = require('../utils');
+const Encoder = require('../formatters/encoder');
+const Decoder = require('../formatters/decoder');
+const { AddressError } = require('../errors');
+
+const { assert } = chai;
+
+describe('Address', () => {
+  const TESTNET_ADDRESS = 'vUpu78SxadYJhxk1xjHCkDiPTzfrgGS2qq';
+  const TESTNET_HEX = 'e8ad19efc526cb83065c67616b8ba6766e713f40';
+  const TESTNET_P2SH_ADDRESS = 'mdPdSjtcxfM2iRg7RVxC5Tj5cu172BX4aH';
+  const MAINNET_ADDRESS = 'VF4FqqBgWBn2vPs7mdi4RQD6fhG6YkTQtt';
+  const MAINNET_HEX = '303babce37b4bcccb8998c7c1a6d52ed396b001b';
+  const MAINNET_P2SH_ADDRESS = 'MCJC9fDvJaWWZj5PHF3gitmN5c7EH7eEYC';
+  const QTUM_ADDRESS = 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy';
+
+  /**
+   * Asserts that fn throws an AddressError with the code.
+   * @param {function} fn Function which should throw.
+   * @param {string} code Expected code of the AddressError.
+   */
+  const assertAddressError = (fn, code) => {
+    try {
+      fn();
+    } catch (err) {
+      assert.instanceOf(err, AddressError);
+      assert.equal(err.code, code);
+      return;
+    }
+    assert.fail(`should throw an AddressError with ${code}`);
+  };
+
+  /**
+   * Changes the last character of an address so its checksum is invalid.
+   * @param {string} address The address.
+   * @return {string} The address with an invalid checksum.
+   */
+  const corrupt = address => `${address.slice(0, -1)}${address.slice(-1) === 'q' ? 'r' : 'q'}`;
+
+  describe('parse()', () => {
+    it('parses P2PKH and P2SH addresses of the known networks', () => {
+      assert.deepEqual(Address.parse(TESTNET_ADDRESS), {
+        address: TESTNET_ADDRESS,
+        hex: TESTNET_HEX,
+        version: 0x84,
+        type: Address.P2PKH,
+        network: Networks.testnet,
+      });
+
+      const mainnet = Address.parse(MAINNET_P2SH_ADDRESS);
+      assert.equal(mainnet.hex, MAINNET_HEX);
+      assert.equal(mainnet.version, 0x32);
+      assert.equal(mainnet.type, Address.P2SH);
+      assert.equal(mainnet.network, Networks.mainnet);
+    });
+
+    it('returns the given network', () => {
+      assert.equal(Address.parse(TESTNET_ADDRESS, 'regtest').network, Networks.regtest);
+      assert.equal(Address.parse(TESTNET_P2SH_ADDRESS, Networks.testnet).type, Address.P2SH);
+    });
+
+    it('throws an AddressError with the reason', () => {
+      assertAddressError(() => Address.parse(undefined), Address.ERROR_CODES.INVALID_FORMAT);
+      assertAddressError(() => Address.parse('vUpu78SxadYJhxk1xjHCkDiPTzfrgGS2q0'), Address.ERROR_CODES.INVALID_FORMAT);
+      assertAddressError(() => Address.parse(TESTNET_ADDRESS.slice(0, -2)), Address.ERROR_CODES.INVALID_LENGTH);
+      assertAddressError(() => Address.parse(corrupt(TESTNET_ADDRESS)), Address.ERROR_CODES.INVALID_CHECKSUM);
+      assertAddressError(() => Address.parse(QTUM_ADDRESS), Address.ERROR_CODES.UNKNOWN_VERSION);
+      assertAddressError(() => Address.parse(TESTNET_ADDRESS, 'mainnet'), Address.ERROR_CODES.WRONG_NETWORK);
+    });
+
+    it('includes the address in the AddressError', () => {
+      try {
+        Address.parse(MAINNET_ADDRESS, 'testnet');
+      } catch (err) {
+        assert.equal(err.address, MAINNET_ADDRESS);
+        assert.equal(err.message, `${MAINNET_ADDRESS} is not an address of testnet.`);
+        return;
+      }
+      assert.fail('should throw');
+    });
+  });
+
+  describe('decode()', () => {
+    it('verifies the checksum but not the version byte', () => {
+      assert.deepEqual(Address.decode(QTUM_ADDRESS), {
+        version: 0x78,
+        hex: bs58.decode(QTUM_ADDRESS).toString('hex').slice(2, 42),
+      });
+      assertAddressError(() => Address.decode(corrupt(QTUM_ADDRESS)), Address.ERROR_CODES.INVALID_CHECKSUM);
+    });
+  });
+
+  describe('validate()', () => {
+    it('returns the parsed address with valid: true', () => {
+      const result = Address.validate(MAINNET_ADDRESS, 'mainnet');
+      assert.isTrue(result.valid);
+      assert.equal(result.hex, MAINNET_HEX);
+      assert.equal(result.type, Address.P2PKH);
+    });
+
+    it('returns the AddressError with valid: false', () => {
+      const result = Address.validate(corrupt(MAINNET_ADDRESS));
+      assert.isFalse(result.valid);
+      assert.instanceOf(result.error, AddressError);
+      assert.equal(result.error.code, Address.ERROR_CODES.INVALID_CHECKSUM);
+      assert.isFalse(Address.validate(MAINNET_ADDRESS, 'testnet').valid);
+    });
+
+    it('throws if the network is invalid', () => {
+      assert.throws(() => Address.validate(MAINNET_ADDRESS, 'signet'), /Unknown network/);
+    });
+  });
+
+  describe('toHex() and fromHex()', () => {
+    it('converts an address to its hex hash', () => {
+      assert.equal(Address.toHex(TESTNET_ADDRESS), TESTNET_HEX);
+      assert.equal(Address.toHex(MAINNET_ADDRESS, 'mainnet'), MAINNET_HEX);
+      assertAddressError(() => Address.toHex(MAINNET_ADDRESS, 'testnet'), Address.ERROR_CODES.WRONG_NETWORK);
+    });
+
+    it('converts a hex hash to an address of the network and type', () => {
+      assert.equal(Address.fromHex(TESTNET_HEX), TESTNET_ADDRESS);
+      assert.equal(Address.fromHex(`0x${TESTNET_HEX}`, 'regtest'), TESTNET_ADDRESS);
+      assert.equal(Address.fromHex(TESTNET_HEX, 'testnet', Address.P2SH), TESTNET_P2SH_ADDRESS);
+      assert.equal(Address.fromHex(MAINNET_HEX, Networks.mainnet), MAINNET_ADDRESS);
+      assert.equal(Address.fromHex(MAINNET_HEX, 'mainnet', Address.P2SH), MAINNET_P2SH_ADDRESS);
+    });
+
+    it('round trips', () => {
+      [TESTNET_ADDRESS, TESTNET_P2SH_ADDRESS, MAINNET_ADDRESS, MAINNET_P2SH_ADDRESS].forEach((address) => {
+        const { hex, type, network } = Address.parse(address);
+        assert.equal(Address.fromHex(hex, network, type), address);
+      });
+    });
+
+    it('throws if the hex or type is invalid', () => {
+      assertAddressError(() => Address.fromHex(TESTNET_HEX.slice(2)), Address.ERROR_CODES.INVALID_FORMAT);
+      assertAddressError(() => Address.fromHex(TESTNET_ADDRESS), Address.ERROR_CODES.INVALID_FORMAT);
+      assert.throws(() => Address.fromHex(TESTNET_HEX, 'testnet', 'p2wpkh'), 'type must be p2pkh or p2sh.');
+    });
+  });
+
+  describe('formatters', () => {
+    it('validates the checksum in Utils.isVIPSTARCOINAddress()', () => {
+      assert.isTrue(Utils.isVIPSTARCOINAddress(TESTNET_P2SH_ADDRESS));
+      assert.isFalse(Utils.isVIPSTARCOINAddress(corrupt(TESTNET_ADDRESS)));
+      assert.isFalse(Utils.isVIPSTARCOINAddress(QTUM_ADDRESS));
+    });
+
+    it('validates the checksum in Encoder.addressToHex()', () => {
+      assert.equal(Encoder.addressToHex(TESTNET_ADDRESS), `000000000000000000000000${TESTNET_HEX}`);
+      assert.throws(() => Encoder.addressToHex(corrupt(TESTNET_ADDRESS)), AddressError);
+      assert.throws(() => Encoder.addressToHex(QTUM_ADDRESS, 'testnet'), AddressError);
+    });
+
+    it('converts with Address in Decoder.toVIPSTARCOINAddress()', () => {
+      assert.equal(Decoder.toVIPSTARCOINAddress(MAINNET_HEX, true), MAINNET_ADDRESS);
+      assert.equal(Decoder.toVIPSTARCOINAddress(TESTNET_HEX, 'regtest'), TESTNET_ADDRESS);
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -4,10 +4,13 @@ const Web3Utils = require('web3-utils');
 const BN = require('bn.js');
 const chai = require('chai');
 
-const { getVIPSTARCOINRPCAddress } = require('../../test/utils');
 const ContractMetadata = require('../../test/data/contract_metadata');
 const Contract = require('../contract');
+const MockProvider = require('../providers/mock-provider');
+const Encoder = require('../formatters/encoder');
 const Decoder = require('../formatters/decoder');
+const Address = require('../address');
+const { ContractExecutionError, AddressError } = require('../errors');
 
 const { assert } = chai;
 
@@ -17,7 +20,7 @@ describe('Contract', () => {
   describe('constructor', () => {
     it('inits all the values', async () => {
       contract = new Contract(
-        getVIPSTARCOINRPCAddress(),
+        new MockProvider(),
         ContractMetadata.EventFactory.address,
         ContractMetadata.EventFactory.abi,
       );
@@ -27,9 +30,27 @@ describe('Contract', () => {
     });
 
     it('removes the hex prefix from the address', async () => {
-      contract = new Contract(getVIPSTARCOINRPCAddress(), '0x1234567890', ContractMetadata.EventFactory.abi);
+      contract = new Contract(new MockProvider(), '0x1234567890', ContractMetadata.EventFactory.abi);
       assert.equal(contract.address, '1234567890');
     });
+
+    it('checks the sender and the address args against the network', async () => {
+      const hex = '17e7888aa7412a735f336d2f6d784caefabb6fa3';
+      const mainnetAddress = Address.fromHex(hex, 'mainnet');
+      const testnetAddress = Address.fromHex(hex, 'testnet');
+      contract = new Contract(new MockProvider(), ContractMetadata.BodhiToken.address, ContractMetadata.BodhiToken.abi, { network: 'mainnet' });
+      assert.equal(contract.network.name, 'mainnet');
+
+      assert.include(contract.methods.transfer(mainnetAddress, 1).encodeABI(), hex);
+      assert.throws(() => contract.methods.transfer(testnetAddress, 1).encodeABI(), AddressError);
+      try {
+        await contract.send('transfer', { methodArgs: [mainnetAddress, 1], senderAddress: testnetAddress });
+        assert.fail();
+      } catch (err) {
+        assert.instanceOf(err, AddressError);
+      }
+      await contract.send('transfer', { methodArgs: [mainnetAddress, 1], senderAddress: mainnetAddress });
+    });
   });
 
   describe('call()', () => {
@@ -95,5 +116,429 @@ describe('Contract', () => {
       assert.isNumber(res.args.gasPrice);
     });
   });
+
+  describe('send() with waitForReceipt', () => {
+    const sendResult = {
+      txid: '685f23b364242e4954a2a62a42c3632762d19f37e24c34edc495cc0e117a9112',
+      sender: 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy',
+      hash160: '17e7888aa7412a735f336d2f6d784caefabb6fa3',
+    };
+    const receipt = {
+      blockHash: 'e2894c0ce289722dc20eb19229ea61c6cf5e0746ebbfa42ede76a67e6a3a55a1',
+      blockNumber: 100,
+      transactionHash: sendResult.txid,
+      gasUsed: 43666,
+      contractAddress: ContractMetadata.EventFactory.address,
+      excepted: 'None',
+      log: [],
+    };
+    const getProvider = txReceipt => ({
+      rawCall: async (method) => {
+        switch (method) {
+          case 'sendtocontract':
+            return Object.assign({}, sendResult);
+          case 'gettransactionreceipt':
+            return [txReceipt];
+          case 'getblockcount':
+            return 101;
+          default:
+            throw Error(`Unexpected method: ${method}`);
+        }
+      },
+    });
+    const params = {
+      methodArgs: ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy', 'Hello World', ['a', 'b', 'c'], 50000, 50100],
+      senderAddress: 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy',
+    };
+
+    it('adds the receipt to the result once confirmed', async () => {
+      contract = new Contract(getProvider(receipt), ContractMetadata.EventFactory.address, ContractMetadata.EventFactory.abi);
+      const res = await contract.send('createTopic', Object.assign({}, params, { waitForReceipt: { confirmations: 2, pollInterval: 1 } }));
+
+      assert.equal(res.txid, sendResult.txid);
+      assert.deepEqual(res.receipt, [receipt]);
+    });
+
+    it('does not wait if waitForReceipt is not set', async () => {
+      contract = new Contract(getProvider(receipt), ContractMetadata.EventFactory.address, ContractMetadata.EventFactory.abi);
+      const res = await contract.send('createTopic', params);
+      assert.isUndefined(res.receipt);
+    });
+
+    it('rejects with a ContractExecutionError if the VM excepted', async () => {
+      const failedReceipt = Object.assign({}, receipt, { excepted: 'OutOfGas' });
+      contract = new Contract(getProvider(failedReceipt), ContractMetadata.EventFactory.address, ContractMetadata.EventFactory.abi);
+
+      let error;
+      try {
+        await contract.send('createTopic', Object.assign({}, params, { waitForReceipt: true }));
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, ContractExecutionError);
+      assert.equal(error.excepted, 'OutOfGas');
+    });
+  });
+
+  describe('methods', () => {
+    const { address, abi } = ContractMetadata.EventFactory;
+    const SENDER = 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy';
+    const createTopicArgs = ['17e7888aa7412a735f336d2f6d784caefabb6fa3', 'Hello World', ['a', 'b', 'c'], 50000, 50100];
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      const provider = {
+        rawCall: async (method, args) => {
+          calls.push({ method, args });
+          if (method === 'callcontract') {
+            return {
+              address,
+              executionResult: {
+                gasUsed: 32127,
+                excepted: 'None',
+                output: '0000000000000000000000000000000000000000000000000000000000000001',
+              },
+            };
+          }
+          return { txid: '685f23b364242e4954a2a62a42c3632762d19f37e24c34edc495cc0e117a9112' };
+        },
+      };
+      contract = new Contract(provider, address, abi);
+    });
+
+    it('creates a method for every function by name and signature', () => {
+      assert.isFunction(contract.methods.createTopic);
+      assert.isFunction(contract.methods['createTopic(address,bytes32[10],bytes32[10],uint256,uint256)']);
+      assert.isFunction(contract.methods.doesTopicExist);
+      assert.isUndefined(contract.methods.TopicCreated);
+    });
+
+    it('encodes the ABI data of the method', () => {
+      assert.equal(
+        contract.methods.createTopic(...createTopicArgs).encodeABI(),
+        Encoder.constructData(abi, 'createTopic', createTopicArgs),
+      );
+    });
+
+    it('executes a callcontract', async () => {
+      const res = await contract.methods.doesTopicExist('Hello World', ['a', 'b', 'c'], 50000, 50100).call({ senderAddress: SENDER });
+      assert.lengthOf(calls, 1);
+      assert.equal(calls[0].method, 'callcontract');
+      assert.deepEqual(calls[0].args, [address, Encoder.constructData(abi, 'doesTopicExist', ['Hello World', ['a', 'b', 'c'], 50000, 50100]), SENDER]);
+      assert.isTrue(res.executionResult.formattedOutput[0]);
+    });
+
+    it('executes a sendtocontract', async () => {
+      const res = await contract.methods.createTopic(...createTopicArgs).send({ senderAddress: SENDER, gasLimit: 1000000 });
+      assert.equal(res.txid, '685f23b364242e4954a2a62a42c3632762d19f37e24c34edc495cc0e117a9112');
+      assert.equal(calls[0].method, 'sendtocontract');
+      assert.equal(calls[0].args[1], Encoder.constructData(abi, 'createTopic', createTopicArgs));
+      assert.equal(calls[0].args[3], 1000000);
+      assert.equal(calls[0].args[5], SENDER);
+    });
+
+    it('rejects call() with a ContractExecutionError if the VM excepted', async () => {
+      const errorAbi = { type: 'error', name: 'TopicNotFound', inputs: [{ name: 'name', type: 'string' }] };
+      const output = Encoder.objToHash(errorAbi, true) + Encoder.encodeParams(errorAbi.inputs, ['Hello World']);
+      contract = new Contract({ rawCall: async () => ({ address, executionResult: { gasUsed: 23000, excepted: 'Revert', output } }) }, address, abi.concat([errorAbi]));
+
+      let error;
+      try {
+        await contract.methods.doesTopicExist('Hello World', ['a', 'b', 'c'], 50000, 50100).call({ senderAddress: SENDER });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, ContractExecutionError);
+      assert.equal(error.excepted, 'Revert');
+      assert.equal(error.gasUsed, 23000);
+      assert.equal(error.reason, 'TopicNotFound(string)');
+      assert.deepEqual(error.error.args, { 0: 'Hello World', name: 'Hello World' });
+    });
+
+    it('rejects send() on view functions', async () => {
+      let error;
+      try {
+        await contract.methods.doesTopicExist('Hello World', ['a', 'b', 'c'], 50000, 50100).send({ senderAddress: SENDER });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, Error);
+      assert.match(error.message, /Use call\(\) instead/);
+      assert.lengthOf(calls, 0);
+    });
+
+    it('estimates the gas of the method', async () => {
+      const gas = await contract.methods.createTopic(...createTopicArgs).estimateGas({ senderAddress: SENDER });
+      assert.equal(gas, 32127);
+      assert.equal(calls[0].method, 'callcontract');
+    });
+  });
+
+  describe('estimateGas()', () => {
+    const { address, abi } = ContractMetadata.EventFactory;
+    const SENDER = 'qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy';
+    const methodArgs = ['17e7888aa7412a735f336d2f6d784caefabb6fa3', 'Hello World', ['a', 'b', 'c'], 50000, 50100];
+    let calls;
+
+    const getProvider = (gasUsed, excepted = 'None') => ({
+      rawCall: async (method, args) => {
+        calls.push({ method, args });
+        if (method === 'callcontract') {
+          return { address, executionResult: { gasUsed, excepted, output: '' } };
+        }
+        return { txid: '685f23b364242e4954a2a62a42c3632762d19f37e24c34edc495cc0e117a9112' };
+      },
+    });
+
+    beforeEach(() => {
+      calls = [];
+    });
+
+    it('returns the gas used by a callcontract from the sender', async () => {
+      contract = new Contract(getProvider(1234567), address, abi);
+      const gas = await contract.estimateGas('createTopic', { methodArgs, senderAddress: SENDER });
+      assert.equal(gas, 1234567);
+      assert.deepEqual(calls[0], {
+        method: 'callcontract',
+        args: [address, Encoder.constructData(abi, 'createTopic', methodArgs), SENDER],
+      });
+    });
+
+    it('rejects with a ContractExecutionError if the VM excepted', async () => {
+      contract = new Contract(getProvider(250000, 'OutOfGas'), address, abi);
+      let error;
+      try {
+        await contract.estimateGas('createTopic', { methodArgs, senderAddress: SENDER });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, ContractExecutionError);
+      assert.equal(error.excepted, 'OutOfGas');
+      assert.equal(error.gasUsed, 250000);
+    });
+
+    it('decodes the revert reason of the output', async () => {
+      const output = `08c379a0${Encoder.encodeParams([{ type: 'string' }], ['Topic already exists'])}`;
+      contract = new Contract({ rawCall: async () => ({ address, executionResult: { gasUsed: 24000, excepted: 'Revert', output } }) }, address, abi);
+      let error;
+      try {
+        await contract.estimateGas('createTopic', { methodArgs, senderAddress: SENDER });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, ContractExecutionError);
+      assert.equal(error.excepted, 'Revert');
+      assert.equal(error.reason, 'Topic already exists');
+      assert.equal(error.output, output);
+      assert.equal(error.message, 'Contract execution failed: Revert (Topic already exists)');
+    });
+
+    it('throws if senderAddress is undefined', async () => {
+      contract = new Contract(getProvider(1234567), address, abi);
+      let error;
+      try {
+        await contract.estimateGas('createTopic', { methodArgs });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, Error);
+      assert.lengthOf(calls, 0);
+    });
+
+    it('uses the estimated gas times the multiplier for gasLimit auto', async () => {
+      contract = new Contract(getProvider(1000001), address, abi);
+      const res = await contract.send('createTopic', { methodArgs, senderAddress: SENDER, gasLimit: 'auto' });
+      assert.equal(calls[0].method, 'callcontract');
+      assert.equal(calls[1].method, 'sendtocontract');
+      assert.equal(calls[1].args[3], 1200002);
+      assert.equal(res.args.gasLimit, 1200002);
+    });
+
+    it('applies the configured multiplier and cap for gasLimit auto', async () => {
+      contract = new Contract(getProvider(1000000), address, abi);
+      let res = await contract.send('createTopic', { methodArgs, senderAddress: SENDER, gasLimit: 'auto', gasLimitMultiplier: 1.5 });
+      assert.equal(res.args.gasLimit, 1500000);
+
+      res = await contract.send('createTopic', { methodArgs, senderAddress: SENDER, gasLimit: 'auto', maxGasLimit: 1100000 });
+      assert.equal(res.args.gasLimit, 1100000);
+    });
+
+    it('throws if the estimated gas exceeds the cap for gasLimit auto', async () => {
+      contract = new Contract(getProvider(1000000), address, abi);
+      let error;
+      try {
+        await contract.send('createTopic', { methodArgs, senderAddress: SENDER, gasLimit: 'auto', maxGasLimit: 999999 });
+      } catch (err) {
+        error = err;
+      }
+      assert.equal(error.message, 'Estimated gas 1000000 exceeds the maxGasLimit of 999999.');
+      assert.lengthOf(calls.filter(call => call.method === 'sendtocontract'), 0);
+    });
+  });
+
+  describe('getReceipt()', () => {
+    const topicCreatedLog = {
+      address: ContractMetadata.EventFactory.address,
+      topics: [
+        'b7fa6f4e0c226cf0645f9f983dbc0bb4bb971400b98fae2387487d6d810c9c56',
+        '000000000000000000000000a51f3252ff700df157b4633d1fa563fbcbe6e8fd',
+        '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+        '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+      ],
+      data: '00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000c4a9000000000000000000000000000000000000000000000000000000000000c4e0',
+    };
+    const otherContractLog = {
+      address: 'a51f3252ff700df157b4633d1fa563fbcbe6e8fd',
+      topics: ['b7fa6f4e0c226cf0645f9f983dbc0bb4bb971400b98fae2387487d6d810c9c56'],
+      data: '',
+    };
+    const receipt = {
+      blockHash: '1bfca6e1c401865982121000a60a5f7f32839e124486891fd2d34bd6e1052de2',
+      blockNumber: 50344,
+      transactionHash: '4c24f818a41c5c4288f5ca288a21477063c67df055946bb54650efad288add56',
+      contractAddress: ContractMetadata.EventFactory.address,
+      excepted: 'None',
+      log: [otherContractLog, topicCreatedLog],
+    };
+
+    it('returns the receipts with the logs of the contract decoded', async () => {
+      const provider = {
+        rawCall: async (method, args) => {
+          assert.equal(method, 'gettransactionreceipt');
+          assert.deepEqual(args, [receipt.transactionHash]);
+          return [receipt];
+        },
+      };
+      contract = new Contract(provider, ContractMetadata.EventFactory.address, ContractMetadata.EventFactory.abi);
+      const res = await contract.getReceipt(receipt.transactionHash);
+
+      assert.lengthOf(res, 1);
+      assert.equal(res[0].blockNumber, receipt.blockNumber);
+      assert.lengthOf(res[0].log, 2);
+      assert.equal(res[0].log[0], otherContractLog);
+
+      const event = res[0].log[1];
+      assert.equal(event.event, 'TopicCreated');
+      assert.equal(event.address, ContractMetadata.EventFactory.address);
+      assert.equal(event.logIndex, 1);
+      assert.equal(event.args._topicAddress, 'a51f3252ff700df157b4633d1fa563fbcbe6e8fd');
+      assert.equal(event.args._creator, '17e7888aa7412a735f336d2f6d784caefabb6fa3');
+      assert.equal(event.args._bettingEndBlock.toNumber(), 0xc4a9);
+      assert.equal(event.args._resultSettingEndBlock.toNumber(), 0xc4e0);
+    });
+
+    it('returns an empty array if the transaction is not mined', async () => {
+      contract = new Contract({ rawCall: async () => [] }, ContractMetadata.EventFactory.address, ContractMetadata.EventFactory.abi);
+      assert.deepEqual(await contract.getReceipt(receipt.transactionHash), []);
+    });
+  });
+
+  describe('deploy()', () => {
+    const createResult = {
+      txid: 'd0fe0caa1b798c36da37e9118a06a7d151632d670b82d1c7dc3985577a71880f',
+      sender: 'qUNeKdqh269AwJWxDFnxUAqKSJ9deSUsgF',
+      hash160: '76a177b79b8ef37437dce27a38fa2653eb6d8241',
+      address: 'f6177bc9812eeb531907621af6641a41133dea9e',
+    };
+    let calls;
+    let provider;
+
+    beforeEach(() => {
+      calls = [];
+      provider = {
+        rawCall: async (method, args) => {
+          calls.push({ method, args });
+          return Object.assign({}, createResult);
+        },
+      };
+    });
+
+    it('executes a createcontract with the encoded constructor args', async () => {
+      await Contract.deploy(provider, {
+        bytecode: '0x6060',
+        abi: ContractMetadata.EventFactory.abi,
+        constructorArgs: ['qKjn4fStBaAtwGiwueJf9qFxgpbAvf1xAy'],
+        gasLimit: 3000000,
+        gasPrice: 0.0000005,
+        senderAddress: 'qUNeKdqh269AwJWxDFnxUAqKSJ9deSUsgF',
+      });
+
+      assert.lengthOf(calls, 1);
+      assert.equal(calls[0].method, 'createcontract');
+      assert.deepEqual(calls[0].args, [
+        '606000000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+        3000000,
+        '0.00000050',
+        'qUNeKdqh269AwJWxDFnxUAqKSJ9deSUsgF',
+      ]);
+    });
+
+    it('checks the sender and the constructor args against the network', async () => {
+      const mainnetAddress = Address.fromHex('17e7888aa7412a735f336d2f6d784caefabb6fa3', 'mainnet');
+      const params = {
+        bytecode: '6060',
+        abi: ContractMetadata.EventFactory.abi,
+        constructorArgs: [mainnetAddress],
+        senderAddress: 'qUNeKdqh269AwJWxDFnxUAqKSJ9deSUsgF',
+        network: 'mainnet',
+      };
+
+      try {
+        await Contract.deploy(provider, params);
+        assert.fail();
+      } catch (err) {
+        assert.instanceOf(err, AddressError);
+      }
+      assert.lengthOf(calls, 0);
+
+      const res = await Contract.deploy(provider, Object.assign({}, params, { senderAddress: mainnetAddress }));
+      assert.equal(res.contract.network.name, 'mainnet');
+    });
+
+    it('uses the default gas values and omits an undefined senderAddress', async () => {
+      const res = await Contract.deploy(provider, {
+        bytecode: '6060',
+        abi: ContractMetadata.BodhiToken.abi,
+      });
+
+      assert.deepEqual(calls[0].args, ['6060', 2500000, '0.00000040']);
+      assert.equal(res.args.gasLimit, 2500000);
+      assert.equal(res.args.gasPrice, 0.0000004);
+    });
+
+    it('returns the txid, predicted address and contract instance', async () => {
+      const res = await Contract.deploy(provider, {
+        bytecode: '6060',
+        abi: ContractMetadata.BodhiToken.abi,
+      });
+
+      assert.equal(res.txid, createResult.txid);
+      assert.equal(res.address, createResult.address);
+      assert.instanceOf(res.contract, Contract);
+      assert.equal(res.contract.address, createResult.address);
+      assert.equal(res.contract.abi, ContractMetadata.BodhiToken.abi);
+      assert.equal(res.contract.provider, provider);
+    });
+
+    it('throws if bytecode or abi is undefined', async () => {
+      let error;
+      try {
+        await Contract.deploy(provider, { abi: ContractMetadata.BodhiToken.abi });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, Error);
+
+      error = undefined;
+      try {
+        await Contract.deploy(provider, { bytecode: '6060' });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, Error);
+      assert.lengthOf(calls, 0);
+    });
+  });
 });
 /* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,62 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const {
+  Vweb3Error,
+  RpcError,
+  WalletLockedError,
+  InsufficientFundsError,
+  InvalidAddressError,
+  HttpError,
+  UnauthorizedError,
+  InternalServerError,
+} = require('../errors');
+
+const { assert } = chai;
+
+describe('errors', () => {
+  describe('RpcError.fromResponse()', () => {
+    it('keeps the code, message, method and params', () => {
+      const error = RpcError.fromResponse({ code: -8, message: 'Block height out of range' }, 'getblockhash', [1000]);
+      assert.instanceOf(error, RpcError);
+      assert.instanceOf(error, Vweb3Error);
+      assert.equal(error.name, 'RpcError');
+      assert.equal(error.message, 'Block height out of range');
+      assert.equal(error.code, -8);
+      assert.equal(error.method, 'getblockhash');
+      assert.deepEqual(error.params, [1000]);
+    });
+
+    it('returns the subclass mapped to the code', () => {
+      assert.instanceOf(RpcError.fromResponse({ code: -13, message: 'Wallet locked' }, 'sendtoaddress'), WalletLockedError);
+      assert.instanceOf(RpcError.fromResponse({ code: -6, message: 'Insufficient funds' }, 'sendtoaddress'), InsufficientFundsError);
+      assert.instanceOf(RpcError.fromResponse({ code: -5, message: 'Invalid address' }, 'sendtoaddress'), InvalidAddressError);
+      assert.equal(RpcError.fromResponse({ code: -13 }, 'sendtoaddress').name, 'WalletLockedError');
+    });
+
+    it('has a message if the error has none', () => {
+      assert.equal(RpcError.fromResponse({ code: -1 }, 'getinfo').message, 'RPC error calling getinfo.');
+    });
+
+    it('redacts the secret params', () => {
+      const error = RpcError.fromResponse({ code: -14, message: 'Incorrect passphrase' }, 'walletpassphrasechange', ['old', 'new']);
+      assert.deepEqual(error.params, ['[REDACTED]', '[REDACTED]']);
+
+      const keyError = RpcError.fromResponse({ code: -5 }, 'importprivkey', ['cVbh8ZdkSWEMmJ2RqZp8Nxa7j6xNKoJXu1B1brcKyTeW8Ew9WHHU', 'label']);
+      assert.deepEqual(keyError.params, ['[REDACTED]', 'label']);
+    });
+  });
+
+  describe('HttpError.fromStatus()', () => {
+    it('returns the subclass mapped to the status', () => {
+      assert.instanceOf(HttpError.fromStatus(401, 'getinfo'), UnauthorizedError);
+      assert.instanceOf(HttpError.fromStatus(500, 'getinfo'), InternalServerError);
+
+      const error = HttpError.fromStatus(503, 'getinfo', []);
+      assert.equal(error.constructor, HttpError);
+      assert.equal(error.status, 503);
+      assert.equal(error.message, 'Request failed with HTTP status 503.');
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
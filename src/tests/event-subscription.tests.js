@@ -0,0 +1,203 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const EventEmitter = require('events');
+const chai = require('chai');
+
+const ContractMetadata = require('../../test/data/contract_metadata');
+const Contract = require('../contract');
+const EventSubscription = require('../event-subscription');
+
+const { assert } = chai;
+
+describe('EventSubscription', () => {
+  const { address, abi } = ContractMetadata.EventFactory;
+  const TOPIC = 'b7fa6f4e0c226cf0645f9f983dbc0bb4bb971400b98fae2387487d6d810c9c56';
+  const CREATOR = '17e7888aa7412a735f336d2f6d784caefabb6fa3';
+  const OTHER_CREATOR = '9697b1f2701ca9434132723ee790d1cb0ab0e414';
+  let subscription;
+
+  const topicCreatedLog = creator => ({
+    address,
+    topics: [
+      TOPIC,
+      '000000000000000000000000a51f3252ff700df157b4633d1fa563fbcbe6e8fd',
+      `000000000000000000000000${creator}`,
+      '00000000000000000000000017e7888aa7412a735f336d2f6d784caefabb6fa3',
+    ],
+    data: '00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000c4a9000000000000000000000000000000000000000000000000000000000000c4e0',
+  });
+
+  /**
+   * Returns a provider which serves the blocks and searchlogs results of a fake chain.
+   * Blocks are { hash, logs } objects indexed by height.
+   */
+  const getChainProvider = (blocks) => {
+    const provider = {
+      blocks,
+      rawCall: async (method, args) => {
+        switch (method) {
+          case 'getblockcount':
+            return provider.blocks.length - 1;
+          case 'getblockhash':
+            return provider.blocks[args[0]].hash;
+          case 'searchlogs': {
+            const [fromBlock, toBlock] = args;
+            const receipts = [];
+            for (let height = fromBlock; height <= toBlock; height++) {
+              const block = provider.blocks[height];
+              if (block.logs.length > 0) {
+                receipts.push({
+                  blockHash: block.hash,
+                  blockNumber: height,
+                  transactionHash: `${block.hash.slice(0, 4)}tx`,
+                  transactionIndex: 1,
+                  log: block.logs,
+                });
+              }
+            }
+            return receipts;
+          }
+          default:
+            throw Error(`Unexpected method: ${method}`);
+        }
+      },
+    };
+    return provider;
+  };
+
+  const block = (hash, logs = []) => ({ hash, logs });
+  const nextEvent = (emitter, name) => new Promise(resolve => emitter.once(name, resolve));
+
+  afterEach(() => {
+    if (subscription) {
+      subscription.unsubscribe();
+      subscription = undefined;
+    }
+  });
+
+  it('emits the decoded events from fromBlock', async () => {
+    const provider = getChainProvider([block('h0'), block('h1', [topicCreatedLog(CREATOR)]), block('h2')]);
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', { fromBlock: 1, pollInterval: 1 });
+
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.event, 'TopicCreated');
+    assert.equal(event.address, address);
+    assert.equal(event.blockNumber, 1);
+    assert.equal(event.blockHash, 'h1');
+    assert.equal(event.removed, false);
+    assert.equal(event.args._creator, CREATOR);
+    assert.equal(event.args._bettingEndBlock.toNumber(), 0xc4a9);
+  });
+
+  it('emits the events of new blocks', async () => {
+    const provider = getChainProvider([block('h0'), block('h1')]);
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', { pollInterval: 1 });
+
+    // Starts from the current block count if fromBlock is undefined
+    setTimeout(() => provider.blocks.push(block('h2', [topicCreatedLog(CREATOR)])), 10);
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.blockNumber, 2);
+  });
+
+  it('only emits the events matching the filter', async () => {
+    const provider = getChainProvider([
+      block('h0', [topicCreatedLog(OTHER_CREATOR)]),
+      block('h1', [topicCreatedLog(CREATOR)]),
+    ]);
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', {
+      fromBlock: 0,
+      filter: { _creator: `0x${CREATOR}` },
+      pollInterval: 1,
+    });
+
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.blockNumber, 1);
+    assert.equal(event.args._creator, CREATOR);
+  });
+
+  it('emits changed for the events of reorganized blocks', async () => {
+    const provider = getChainProvider([block('h0'), block('h1', [topicCreatedLog(CREATOR)])]);
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', { fromBlock: 0, pollInterval: 1 });
+    await nextEvent(subscription, 'data');
+
+    // Replace block 1 with a fork that has the event in block 2
+    provider.blocks = [block('h0'), block('h1b'), block('h2b', [topicCreatedLog(OTHER_CREATOR)])];
+    const changed = await nextEvent(subscription, 'changed');
+    assert.equal(changed.removed, true);
+    assert.equal(changed.blockHash, 'h1');
+    assert.equal(changed.args._creator, CREATOR);
+
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.blockHash, 'h2b');
+    assert.equal(event.args._creator, OTHER_CREATOR);
+  });
+
+  it('emits error if a poll fails and keeps polling', async () => {
+    const provider = getChainProvider([block('h0'), block('h1', [topicCreatedLog(CREATOR)])]);
+    const { rawCall } = provider;
+    let failed = false;
+    provider.rawCall = async (method, args) => {
+      if (!failed) {
+        failed = true;
+        throw Error('connect ECONNREFUSED');
+      }
+      return rawCall(method, args);
+    };
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', { fromBlock: 0, pollInterval: 1 });
+
+    const error = await nextEvent(subscription, 'error');
+    assert.equal(error.message, 'connect ECONNREFUSED');
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.blockNumber, 1);
+  });
+
+  it('iterates the events with an async iterator', async () => {
+    const provider = getChainProvider([
+      block('h0', [topicCreatedLog(OTHER_CREATOR)]),
+      block('h1', [topicCreatedLog(CREATOR)]),
+    ]);
+    subscription = new EventSubscription(provider, address, abi, 'TopicCreated', { fromBlock: 0, pollInterval: 1 });
+
+    const iterator = subscription[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const second = await iterator.next();
+    assert.equal(first.value.args._creator, OTHER_CREATOR);
+    assert.equal(second.value.args._creator, CREATOR);
+
+    await iterator.return();
+    assert.isTrue(subscription.stopped);
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+
+  it('polls on the blocks pushed by the provider', async () => {
+    const provider = getChainProvider([block('h0'), block('h1')]);
+    const pushProvider = Object.assign(new EventEmitter(), { rawCall: provider.rawCall });
+    subscription = new EventSubscription(pushProvider, address, abi, 'TopicCreated', { pollInterval: 60000 });
+
+    // Wait for the first poll before pushing the new block
+    await new Promise(resolve => setTimeout(resolve, 10));
+    provider.blocks.push(block('h2', [topicCreatedLog(CREATOR)]));
+    pushProvider.emit('block', 'h2');
+
+    const event = await nextEvent(subscription, 'data');
+    assert.equal(event.blockNumber, 2);
+
+    subscription.unsubscribe();
+    assert.equal(pushProvider.listenerCount('block'), 0);
+  });
+
+  it('throws if the event is not in the ABI', () => {
+    const provider = getChainProvider([block('h0')]);
+    assert.throws(() => new EventSubscription(provider, address, abi, 'Unknown'));
+    assert.throws(() => new EventSubscription(provider, address, abi, 'TopicCreated', { fromBlock: 'latest' }));
+  });
+
+  it('is created by contract.events', () => {
+    const contract = new Contract(getChainProvider([block('h0')]), address, abi);
+    assert.isFunction(contract.events.TopicCreated);
+
+    subscription = contract.events.TopicCreated({ fromBlock: 0 });
+    assert.instanceOf(subscription, EventSubscription);
+    assert.equal(subscription.eventName, 'TopicCreated');
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,172 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const HDWallet = require('../hd-wallet');
+const KeyPair = require('../key-pair');
+const Address = require('../address');
+const Networks = require('../networks');
+
+const { assert } = chai;
+
+describe('HDWallet', () => {
+  const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+  // BIP32 test vector 1. VIPSTARCOIN mainnet uses the Bitcoin mainnet BIP32 version bytes.
+  const SEED = '000102030405060708090a0b0c0d0e0f';
+  const VECTORS = [
+    {
+      path: 'm',
+      xprv: 'xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi',
+      xpub: 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8',
+    },
+    {
+      path: 'm/0\'',
+      xprv: 'xprv9uHRZZhk6KAJC1avXpDAp4MDc3sQKNxDiPvvkX8Br5ngLNv1TxvUxt4cV1rGL5hj6KCesnDYUhd7oWgT11eZG7XnxHrnYeSvkzY7d2bhkJ7',
+      xpub: 'xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw',
+    },
+    {
+      path: 'm/0\'/1',
+      xprv: 'xprv9wTYmMFdV23N2TdNG573QoEsfRrWKQgWeibmLntzniatZvR9BmLnvSxqu53Kw1UmYPxLgboyZQaXwTCg8MSY3H2EU4pWcQDnRnrVA1xe8fs',
+      xpub: 'xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ',
+    },
+    {
+      path: 'm/0\'/1/2\'/2/1000000000',
+      xprv: 'xprvA41z7zogVVwxVSgdKUHDy1SKmdb533PjDz7J6N6mV6uS3ze1ai8FHa8kmHScGpWmj4WggLyQjgPie1rFSruoUihUZREPSL39UNdE3BBDu76',
+      xpub: 'xpub6H1LXWLaKsWFhvm6RVpEL9P4KfRZSW7abD2ttkWP3SSQvnyA8FSVqNTEcYFgJS2UaFcxupHiYkro49S8yGasTvXEYBVPamhGW6cFJodrTHy',
+    },
+  ];
+
+  describe('mnemonics', () => {
+    it('generates a valid mnemonic of the strength', () => {
+      assert.lengthOf(HDWallet.generateMnemonic().split(' '), 12);
+      const mnemonic = HDWallet.generateMnemonic(256);
+      assert.lengthOf(mnemonic.split(' '), 24);
+      assert.isTrue(HDWallet.validateMnemonic(mnemonic));
+      assert.throws(() => HDWallet.generateMnemonic(100), 'strength must be a multiple of 32 between 128 and 256.');
+    });
+
+    it('validates the words and checksum', () => {
+      assert.isTrue(HDWallet.validateMnemonic(MNEMONIC));
+      assert.isFalse(HDWallet.validateMnemonic(MNEMONIC.replace('about', 'abandon')));
+      assert.isFalse(HDWallet.validateMnemonic(MNEMONIC.replace('about', 'vipstar')));
+      assert.isFalse(HDWallet.validateMnemonic(undefined));
+    });
+
+    it('derives the master node with the passphrase', () => {
+      // BIP39 test vector
+      const wallet = HDWallet.fromMnemonic(MNEMONIC, { passphrase: 'TREZOR', network: 'mainnet' });
+      assert.equal(wallet.toExtendedKey(), 'xprv9s21ZrQH143K3h3fDYiay8mocZ3afhfULfb5GX8kCBdno77K4HiA15Tg23wpbeF1pLfs1c5SPmYHrEpTuuRhxMwvKDwqdKiGJS9XFKzUsAF');
+      assert.throws(() => HDWallet.fromMnemonic('vipstar coin'), 'mnemonic is not a valid BIP39 mnemonic.');
+    });
+  });
+
+  describe('derivePath()', () => {
+    it('derives the BIP32 test vectors', () => {
+      const master = HDWallet.fromSeed(SEED, 'mainnet');
+      VECTORS.forEach(({ path, xprv, xpub }) => {
+        const node = master.derivePath(path);
+        assert.equal(node.toExtendedKey(), xprv);
+        assert.equal(node.toExtendedPublicKey(), xpub);
+      });
+    });
+
+    it('derives paths relative to the node', () => {
+      const master = HDWallet.fromSeed(SEED, 'mainnet');
+      assert.equal(master.derivePath('0\'').derivePath('1/2\'/2/1000000000').toExtendedKey(), VECTORS[3].xprv);
+      assert.equal(master.deriveHardened(0).derive(1).toExtendedKey(), VECTORS[2].xprv);
+      assert.equal(master.derive(HDWallet.HARDENED_OFFSET).index, HDWallet.HARDENED_OFFSET);
+    });
+
+    it('derives non-hardened public children of neutered nodes', () => {
+      const node = HDWallet.fromExtendedKey(VECTORS[1].xpub);
+      assert.isTrue(node.isNeutered());
+      assert.equal(node.derive(1).toExtendedKey(), VECTORS[2].xpub);
+      assert.throws(() => node.deriveHardened(1), 'Cannot derive a hardened child of a neutered node.');
+      assert.throws(() => node.toWIF(), 'KeyPair has no private key.');
+    });
+
+    it('throws if the path or index is invalid', () => {
+      const master = HDWallet.fromSeed(SEED);
+      assert.throws(() => master.derivePath('m/0/x'), /Invalid path/);
+      assert.throws(() => master.derivePath('0/m'), /Invalid path/);
+      assert.throws(() => master.derive(0).derivePath('m/0'), 'Cannot derive a path from m with a child node.');
+      assert.throws(() => master.derive(-1), 'index must be a 32 bits unsigned integer.');
+      assert.throws(() => master.deriveHardened(HDWallet.HARDENED_OFFSET), 'index must be a 31 bits unsigned integer.');
+    });
+  });
+
+  describe('deriveBip44()', () => {
+    it('builds the BIP44 path with the coin type of the network', () => {
+      assert.equal(HDWallet.getBip44Path('mainnet'), 'm/44\'/1919\'/0\'/0/0');
+      assert.equal(HDWallet.getBip44Path(Networks.testnet, { account: 2, change: 1, index: 5 }), 'm/44\'/1\'/2\'/1/5');
+    });
+
+    it('derives the keys and addresses of the network', () => {
+      const mainnet = HDWallet.fromMnemonic(MNEMONIC, { network: 'mainnet' }).deriveBip44();
+      assert.equal(mainnet.getPublicKey(), '020a57f3f40bee67f9c30776869d2ef37f820d9340bf0c77b2ac979b878566c33d');
+      assert.equal(mainnet.toWIF(), 'KxwnYQGCkoUHUYEcWdR5Htjf2nJVzyUWwanHC5Z97L88cTZoN26n');
+      assert.equal(mainnet.getAddress(), 'VGWbSkM2XqptRWFQep29gHcUYdEmtBWTeL');
+      assert.equal(Address.parse(mainnet.getAddress()).network, Networks.mainnet);
+
+      // Same hash160 as the Bitcoin testnet BIP44 test vector mkpZhYtJu2r87Js3pDiWJDmPte2NRZ8bJV, ie. coin type 1
+      const testnet = HDWallet.fromMnemonic(MNEMONIC).deriveBip44();
+      assert.equal(Address.toHex(testnet.getAddress()), '3a2d4145a4f098523b3e8127f1da87cfc55b8e79');
+      assert.equal(testnet.getAddress(), 'vCvENq9MopaXHQnsL2iCUrUv7ESBNt98s2');
+      assert.equal(testnet.toWIF(), 'cV6NTLu255SZ5iCNkVHezNGDH5qv6CanJpgBPqYgJU13NNKJhRs1');
+    });
+
+    it('derives the same addresses from the account extended public key', () => {
+      const account = HDWallet.fromMnemonic(MNEMONIC, { network: 'mainnet' }).derivePath('m/44\'/1919\'/0\'');
+      const watchOnly = HDWallet.fromExtendedKey(account.toExtendedPublicKey(), 'mainnet');
+      assert.equal(watchOnly.derivePath('0/0').getAddress(), 'VGWbSkM2XqptRWFQep29gHcUYdEmtBWTeL');
+      assert.equal(watchOnly.derivePath('0/1').getAddress(), account.derivePath('0/1').getAddress());
+    });
+  });
+
+  describe('fromExtendedKey()', () => {
+    it('round trips extended keys and detects their network', () => {
+      const node = HDWallet.fromMnemonic(MNEMONIC, { network: 'testnet' }).deriveBip44({ index: 1 });
+      const xprv = node.toExtendedKey();
+      assert.match(xprv, /^tprv/);
+
+      const imported = HDWallet.fromExtendedKey(xprv);
+      assert.equal(imported.network, Networks.testnet);
+      assert.equal(imported.depth, 5);
+      assert.equal(imported.index, 1);
+      assert.equal(imported.parentFingerprint, node.parentFingerprint);
+      assert.equal(imported.toWIF(), node.toWIF());
+      assert.equal(HDWallet.fromExtendedKey(xprv, 'regtest').network, Networks.regtest);
+    });
+
+    it('throws if the key is invalid or of another network', () => {
+      assert.throws(() => HDWallet.fromExtendedKey(VECTORS[0].xprv, 'testnet'), 'extendedKey is not a key of testnet.');
+      assert.throws(() => HDWallet.fromExtendedKey(`${VECTORS[0].xprv.slice(0, -1)}j`), 'Invalid base58check checksum.');
+      assert.throws(() => HDWallet.fromExtendedKey(Address.fromHex('3a2d4145a4f098523b3e8127f1da87cfc55b8e79')), /78 bytes/);
+    });
+  });
+
+  describe('KeyPair', () => {
+    it('imports and exports WIF private keys', () => {
+      const keyPair = KeyPair.fromWIF('L52XzL2cMkHxqxBXRyEpnPQZGUs3uKiL3R11XbAdHigRzDozKZeW', 'mainnet');
+      assert.equal(keyPair.getPrivateKey(), 'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35');
+      assert.equal(keyPair.getPublicKey(), HDWallet.fromSeed(SEED, 'mainnet').getPublicKey());
+      assert.equal(keyPair.toWIF(), 'L52XzL2cMkHxqxBXRyEpnPQZGUs3uKiL3R11XbAdHigRzDozKZeW');
+      assert.equal(HDWallet.fromSeed(SEED, 'mainnet').toWIF(), keyPair.toWIF());
+      assert.throws(() => KeyPair.fromWIF(keyPair.toWIF(), 'testnet'), 'WIF is not a private key of testnet.');
+    });
+
+    it('supports uncompressed public keys', () => {
+      const keyPair = KeyPair.fromPrivateKey('0000000000000000000000000000000000000000000000000000000000000001', { compressed: false, network: 'mainnet' });
+      assert.equal(keyPair.getPublicKey(), '0479be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8');
+      assert.equal(KeyPair.fromWIF(keyPair.toWIF(), 'mainnet').getAddress(), keyPair.getAddress());
+      assert.isFalse(KeyPair.fromPublicKey(keyPair.getPublicKey()).compressed);
+    });
+
+    it('throws if the keys are invalid', () => {
+      assert.throws(() => KeyPair.fromPrivateKey(Buffer.alloc(32)), /valid 32 bytes secp256k1 private key/);
+      assert.throws(() => KeyPair.fromPrivateKey('fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141'), /valid 32 bytes secp256k1 private key/);
+      assert.throws(() => KeyPair.fromPublicKey('02'), 'publicKey must be a valid secp256k1 public key.');
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,109 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const Networks = require('../networks');
+const Vweb3 = require('../vweb3');
+const MockProvider = require('../providers/mock-provider');
+const Utils = require('../utils');
+const Encoder = require('../formatters/encoder');
+const Decoder = require('../formatters/decoder');
+
+const { assert } = chai;
+
+describe('Networks', () => {
+  const TESTNET_ADDRESS = 'vUpu78SxadYJhxk1xjHCkDiPTzfrgGS2qq';
+  const MAINNET_ADDRESS = 'VF4FqqBgWBn2vPs7mdi4RQD6fhG6YkTQtt';
+
+  describe('getNetwork()', () => {
+    it('returns the network of a name', () => {
+      assert.equal(Networks.getNetwork('mainnet'), Networks.mainnet);
+      assert.equal(Networks.getNetwork('testnet').pubKeyHash, 0x84);
+      assert.equal(Networks.getNetwork('regtest').pubKeyHash, 0x84);
+      assert.equal(Networks.getNetwork(Networks.mainnet), Networks.mainnet);
+    });
+
+    it('throws if the network is unknown', () => {
+      assert.throws(() => Networks.getNetwork('signet'), /Unknown network/);
+      assert.throws(() => Networks.getNetwork(1));
+    });
+  });
+
+  describe('createNetwork()', () => {
+    it('copies the missing parameters from the base network', () => {
+      const network = Networks.createNetwork({ name: 'private', pubKeyHash: 0x3f, rpcPort: 41916 }, 'mainnet');
+      assert.equal(network.name, 'private');
+      assert.equal(network.pubKeyHash, 0x3f);
+      assert.equal(network.scriptHash, Networks.mainnet.scriptHash);
+      assert.equal(network.rpcPort, 41916);
+      assert.isTrue(Object.isFrozen(network));
+    });
+
+    it('throws if a version byte is invalid', () => {
+      assert.throws(() => Networks.createNetwork({ pubKeyHash: 256 }), /pubKeyHash/);
+      assert.throws(() => Networks.createNetwork({ wif: '80' }), /wif/);
+      assert.throws(() => Networks.createNetwork('mainnet'));
+    });
+  });
+
+  it('finds the network of a chain and of a version byte', () => {
+    assert.equal(Networks.getNetworkByChain('main'), Networks.mainnet);
+    assert.equal(Networks.getNetworkByChain('regtest'), Networks.regtest);
+    assert.isUndefined(Networks.getNetworkByChain('signet'));
+    assert.equal(Networks.getNetworkByVersion(0x46), Networks.mainnet);
+    assert.equal(Networks.getNetworkByVersion(0x6e), Networks.testnet);
+    assert.isUndefined(Networks.getNetworkByVersion(0x00));
+  });
+
+  describe('Vweb3.getNetwork()', () => {
+    it('detects the network with getblockchaininfo once', async () => {
+      const provider = new MockProvider({ chain: 'main' });
+      const vweb3 = new Vweb3(provider);
+
+      assert.equal(await vweb3.getNetwork(), Networks.mainnet);
+      assert.equal(await vweb3.getNetwork(), Networks.mainnet);
+      assert.deepEqual(provider.calls.map(call => call.method), ['getblockchaininfo']);
+    });
+
+    it('uses the network given to the constructor', async () => {
+      const provider = new MockProvider({ chain: 'main' });
+      assert.equal(await new Vweb3(provider, { network: 'regtest' }).getNetwork(), Networks.regtest);
+      assert.lengthOf(provider.calls, 0);
+    });
+
+    it('rejects if the chain is unknown', async () => {
+      let error;
+      try {
+        await new Vweb3(new MockProvider({ chain: 'signet' })).getNetwork();
+      } catch (err) {
+        error = err;
+      }
+      assert.match(error.message, /Unknown chain: signet/);
+    });
+  });
+
+  describe('address helpers', () => {
+    it('converts hex addresses with the version byte of the network', () => {
+      const hex = 'e8ad19efc526cb83065c67616b8ba6766e713f40';
+      assert.equal(Decoder.toVIPSTARCOINAddress(hex, 'testnet'), TESTNET_ADDRESS);
+      assert.equal(Decoder.toVIPSTARCOINAddress(hex, Networks.regtest), TESTNET_ADDRESS);
+      assert.equal(Decoder.toVIPSTARCOINAddress('303babce37b4bcccb8998c7c1a6d52ed396b001b', 'mainnet'), MAINNET_ADDRESS);
+      assert.equal(Decoder.toVIPSTARCOINAddress(hex, Networks.createNetwork({ pubKeyHash: 0x46 })), Decoder.toVIPSTARCOINAddress(hex, true));
+    });
+
+    it('checks the version byte of the addresses', () => {
+      assert.isTrue(Utils.isVIPSTARCOINAddress(TESTNET_ADDRESS));
+      assert.isTrue(Utils.isVIPSTARCOINAddress(MAINNET_ADDRESS));
+      assert.isTrue(Utils.isVIPSTARCOINAddress(TESTNET_ADDRESS, 'testnet'));
+      assert.isFalse(Utils.isVIPSTARCOINAddress(TESTNET_ADDRESS, 'mainnet'));
+      assert.isFalse(Utils.isVIPSTARCOINAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'));
+      assert.isFalse(Utils.isVIPSTARCOINAddress('v0000000000000000000000000000000OI'));
+      assert.isFalse(Utils.isVIPSTARCOINAddress(undefined));
+    });
+
+    it('rejects addresses of another network in addressToHex', () => {
+      assert.equal(Encoder.addressToHex(MAINNET_ADDRESS, 'mainnet'), '000000000000000000000000303babce37b4bcccb8998c7c1a6d52ed396b001b');
+      assert.throws(() => Encoder.addressToHex(MAINNET_ADDRESS, 'testnet'), /not an address of testnet/);
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,171 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const Vweb3 = require('../vweb3');
+const RawTransaction = require('../raw-transaction');
+const MockProvider = require('../providers/mock-provider');
+
+const { assert } = chai;
+
+describe('RawTransaction', () => {
+  const INPUTS = [{ txid: '11'.repeat(32), vout: 0 }];
+  const OUTPUTS = { vSvGBrrXKYkLJpfipbAVqiNEf44cz2Md5o: 1.5 };
+  const CREATED = '0200000001';
+  const FUNDED = '0200000002';
+  const SIGNED = '0200000003';
+  let provider;
+  let vweb3;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    vweb3 = new Vweb3(provider);
+    provider
+      .setResult('createrawtransaction', CREATED)
+      .setResult('fundrawtransaction', { hex: FUNDED, fee: 0.0009, changepos: 1 })
+      .setResult('signrawtransactionwithwallet', { hex: SIGNED, complete: true });
+  });
+
+  /**
+   * Asserts that a promise rejects with a message.
+   * @param {Promise} promise The promise.
+   * @param {string|RegExp} message The expected message.
+   */
+  const assertRejects = async (promise, message) => {
+    try {
+      await promise;
+    } catch (err) {
+      if (message instanceof RegExp) {
+        assert.match(err.message, message);
+      } else {
+        assert.equal(err.message, message);
+      }
+      return;
+    }
+    assert.fail(`should reject with ${message}`);
+  };
+
+  describe('Vweb3 methods', () => {
+    it('calls the raw transaction RPCs with their params', async () => {
+      provider
+        .setResult('decoderawtransaction', { txid: 'ab' })
+        .setResult('decodescript', { type: 'pubkeyhash' })
+        .setResult('getrawtransaction', params => (params[1] ? { hex: SIGNED } : SIGNED))
+        .setResult('signrawtransaction', { hex: SIGNED, complete: true });
+
+      assert.equal(await vweb3.createRawTransaction(INPUTS, OUTPUTS), CREATED);
+      assert.deepEqual(await vweb3.fundRawTransaction(CREATED), { hex: FUNDED, fee: 0.0009, changepos: 1 });
+      await vweb3.fundRawTransaction(CREATED, { changePosition: 0 });
+      assert.isTrue((await vweb3.signRawTransactionWithWallet(FUNDED)).complete);
+      await vweb3.signRawTransaction(FUNDED, [], ['cV6NTLu255SZ5iCNkVHezNGDH5qv6CanJpgBPqYgJU13NNKJhRs1']);
+      assert.deepEqual(await vweb3.decodeRawTransaction(SIGNED), { txid: 'ab' });
+      assert.deepEqual(await vweb3.decodeScript('76a9'), { type: 'pubkeyhash' });
+      assert.equal(await vweb3.getRawTransaction('ab'), SIGNED);
+      assert.deepEqual(await vweb3.getRawTransaction('ab', true), { hex: SIGNED });
+
+      assert.deepEqual(provider.calls, [
+        { method: 'createrawtransaction', params: [INPUTS, OUTPUTS, 0] },
+        { method: 'fundrawtransaction', params: [CREATED] },
+        { method: 'fundrawtransaction', params: [CREATED, { changePosition: 0 }] },
+        { method: 'signrawtransactionwithwallet', params: [FUNDED, [], 'ALL'] },
+        { method: 'signrawtransaction', params: [FUNDED, [], ['cV6NTLu255SZ5iCNkVHezNGDH5qv6CanJpgBPqYgJU13NNKJhRs1'], 'ALL'] },
+        { method: 'decoderawtransaction', params: [SIGNED] },
+        { method: 'decodescript', params: ['76a9'] },
+        { method: 'getrawtransaction', params: ['ab', false] },
+        { method: 'getrawtransaction', params: ['ab', true] },
+      ]);
+    });
+
+    it('throws if the inputs are not an array', () => {
+      assert.throws(() => vweb3.createRawTransaction(INPUTS[0], OUTPUTS), 'inputs must be an array.');
+    });
+  });
+
+  describe('send()', () => {
+    it('creates, funds, signs and sends the transaction', async () => {
+      const txid = await vweb3.rawTransaction()
+        .create(INPUTS, OUTPUTS)
+        .fund({ changeAddress: 'vEZRdydobjqs3fn49Ec65LncHZpGxgidK9' })
+        .sign()
+        .send();
+
+      assert.equal(txid, provider.sent[0].txid);
+      assert.deepEqual(provider.calls.map(call => call.method), ['createrawtransaction', 'fundrawtransaction', 'signrawtransactionwithwallet', 'sendrawtransaction']);
+      assert.deepEqual(provider.calls[1].params, [CREATED, { changeAddress: 'vEZRdydobjqs3fn49Ec65LncHZpGxgidK9' }]);
+      assert.deepEqual(provider.calls[3].params, [SIGNED, false]);
+    });
+
+    it('signs with signrawtransaction if the node does not have signrawtransactionwithwallet', async () => {
+      provider
+        .setResult('signrawtransactionwithwallet', undefined)
+        .setResult('signrawtransaction', { hex: SIGNED, complete: true });
+
+      await vweb3.rawTransaction().fromHex(CREATED).sign({ prevTxs: [{ txid: '11'.repeat(32), vout: 0 }] }).send(true);
+      assert.deepEqual(provider.calls.map(call => call.method), ['signrawtransactionwithwallet', 'signrawtransaction', 'sendrawtransaction']);
+      assert.deepEqual(provider.calls[1].params, [CREATED, [{ txid: '11'.repeat(32), vout: 0 }], null, 'ALL']);
+      assert.deepEqual(provider.calls[2].params, [SIGNED, true]);
+    });
+
+    it('rejects without sending if the transaction is not completely signed', async () => {
+      provider.setResult('signrawtransactionwithwallet', {
+        hex: FUNDED,
+        complete: false,
+        errors: [{ txid: '11'.repeat(32), vout: 0, error: 'Unable to sign input, invalid stack size (possibly missing key)' }],
+      });
+
+      await assertRejects(
+        vweb3.rawTransaction().create(INPUTS, OUTPUTS).fund().sign()
+          .send(),
+        `Transaction is not completely signed: ${'11'.repeat(32)}:0 Unable to sign input, invalid stack size (possibly missing key)`,
+      );
+      assert.isEmpty(provider.sent);
+    });
+
+    it('rejects before signing if the fee is higher than maxFee', async () => {
+      await assertRejects(
+        vweb3.rawTransaction({ maxFee: 0.0005 }).create(INPUTS, OUTPUTS).fund().sign()
+          .send(),
+        'Fee of 0.0009 VIPS is higher than the maxFee of 0.0005 VIPS.',
+      );
+      assert.notInclude(provider.calls.map(call => call.method), 'signrawtransactionwithwallet');
+    });
+
+    it('rejects if a step does not return a raw transaction', async () => {
+      provider.setResult('createrawtransaction', { error: 'unexpected' });
+      await assertRejects(vweb3.rawTransaction().create(INPUTS, OUTPUTS).sign().send(), 'createrawtransaction did not return a raw transaction.');
+    });
+
+    it('rejects with the RpcError of a step', async () => {
+      provider.setResult('fundrawtransaction', () => { throw MockProvider.error(-4, 'Insufficient funds', 'fundrawtransaction', []); });
+      const tx = vweb3.rawTransaction().create(INPUTS, OUTPUTS).fund().sign();
+      await assertRejects(tx.send(), 'Insufficient funds');
+    });
+  });
+
+  describe('build()', () => {
+    it('returns the signed transaction and fee without sending it', async () => {
+      const tx = vweb3.rawTransaction().create(INPUTS, OUTPUTS, 100).fund().sign();
+      const result = await tx.build();
+      assert.deepEqual(result, { hex: SIGNED, fee: 0.0009, changePosition: 1 });
+      assert.deepEqual(provider.calls[0].params, [INPUTS, OUTPUTS, 100]);
+      assert.isEmpty(provider.sent);
+    });
+  });
+
+  describe('steps', () => {
+    it('throws if the steps are out of order', async () => {
+      assert.throws(() => vweb3.rawTransaction().fund(), 'fund() cannot be called first.');
+      assert.throws(() => vweb3.rawTransaction().create(INPUTS, OUTPUTS).sign().fund(), 'fund() cannot be called after sign().');
+      assert.throws(() => vweb3.rawTransaction().fromHex(CREATED).create(INPUTS, OUTPUTS), 'create() cannot be called after fromHex().');
+      await assertRejects(vweb3.rawTransaction().create(INPUTS, OUTPUTS).fund().send(), 'sign() must be called before send().');
+      await assertRejects(vweb3.rawTransaction().build(), 'create() or fromHex() must be called first.');
+    });
+
+    it('throws if the params or options are invalid', () => {
+      assert.throws(() => vweb3.rawTransaction().create(INPUTS, {}), 'outputs must be an object with at least one output.');
+      assert.throws(() => vweb3.rawTransaction().create(undefined, OUTPUTS), 'inputs must be an array.');
+      assert.throws(() => vweb3.rawTransaction().fromHex('0x02'), 'fromHex() did not return a raw transaction.');
+      assert.throws(() => new RawTransaction(provider, { maxFee: -1 }), 'maxFee must be a positive number of VIPS.');
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
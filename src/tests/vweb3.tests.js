@@ -5,35 +5,136 @@ const path = require('path');
 const bs58 = require('bs58');
 
 const Vweb3 = require('../vweb3');
-const Decoder = require('../formatters/decoder');
+const Address = require('../address');
+const MockProvider = require('../providers/mock-provider');
 const ContractMetadata = require('../../test/data/contract_metadata');
 const vAssert = require('../../test/utils/vassert');
-const { getVIPSTARCOINRPCAddress, getDefaultVIPSTARCOINAddress, getWalletPassphrase, isWalletEncrypted } = require('../../test/utils');
 
 const { assert } = chai;
 
-console.log(`Your VIPSTARCOIN RPC address is ${getVIPSTARCOINRPCAddress()}`);
-console.log(`Your Default VIPSTARCOIN address is ${getDefaultVIPSTARCOINAddress()}`);
-
 describe('Vweb3', () => {
-  const VIPS_ADDRESS = getDefaultVIPSTARCOINAddress();
+  const VIPS_ADDRESS = 'vSvGBrrXKYkLJpfipbAVqiNEf44cz2Md5o';
+  const WIF = 'cV6NTLu255SZ5iCNkVHezNGDH5qv6CanJpgBPqYgJU13NNKJhRs1';
+  const PASSPHRASE = 'pass';
+  let provider;
   let vweb3;
 
   beforeEach(() => {
-    vweb3 = new Vweb3(getVIPSTARCOINRPCAddress());
+    provider = new MockProvider();
+    vweb3 = new Vweb3(provider);
+  });
+
+  /**
+   * Scripts an encrypted wallet like the node: walletpassphrase unlocks it until walletlock, and dumpprivkey needs
+   * it to be unlocked.
+   */
+  const encryptWallet = () => {
+    let unlockedUntil = 0;
+    provider
+      .setResult('getwalletinfo', () => ({ walletversion: 130000, balance: 0, unlocked_until: unlockedUntil }))
+      .setResult('walletpassphrase', (params) => {
+        if (params[0] !== PASSPHRASE) {
+          throw MockProvider.error(-14, 'Error: The wallet passphrase entered was incorrect.', 'walletpassphrase', params);
+        }
+        unlockedUntil = Math.floor(Date.now() / 1000) + params[1];
+        return null;
+      })
+      .setResult('walletlock', () => {
+        unlockedUntil = 0;
+        return null;
+      })
+      .setResult('dumpprivkey', (params) => {
+        if (unlockedUntil === 0) {
+          throw MockProvider.error(-13, 'Error: Please enter the wallet passphrase with walletpassphrase first.', 'dumpprivkey', params);
+        }
+        return WIF;
+      });
+  };
+
+  describe('Contract()', () => {
+    it('uses the network of the instance', async () => {
+      vweb3 = new Vweb3(provider, { network: 'mainnet' });
+      const contract = vweb3.Contract(ContractMetadata.BodhiToken.address, ContractMetadata.BodhiToken.abi);
+      assert.equal(contract.network.name, 'mainnet');
+      assert.throws(() => contract.methods.transfer(VIPS_ADDRESS, 1).encodeABI(), /is not an address of mainnet/);
+    });
+
+    it('uses the network detected by getNetwork()', async () => {
+      await vweb3.getNetwork();
+      assert.equal(vweb3.Contract(ContractMetadata.BodhiToken.address, ContractMetadata.BodhiToken.abi).network.name, 'regtest');
+    });
+
+    it('detects the network before the first call if it is unknown', async () => {
+      const contract = vweb3.Contract(ContractMetadata.BodhiToken.address, ContractMetadata.BodhiToken.abi);
+      const mainnetAddress = Address.fromHex(Address.toHex(VIPS_ADDRESS), 'mainnet');
+      assert.throws(() => contract.methods.transfer(VIPS_ADDRESS, 1).encodeABI(), /network is unknown/);
+
+      const err = await vAssert.getError(contract.send('transfer', { methodArgs: [VIPS_ADDRESS, 1], senderAddress: mainnetAddress }));
+      assert.match(err.message, /is not an address of regtest/);
+      assert.equal(contract.network.name, 'regtest');
+      assert.equal(vweb3.network.name, 'regtest');
+      assert.lengthOf(provider.calls.filter(call => call.method === 'getblockchaininfo'), 1);
+
+      await contract.send('transfer', { methodArgs: [VIPS_ADDRESS, 1], senderAddress: VIPS_ADDRESS });
+      assert.isString(contract.methods.transfer(VIPS_ADDRESS, 1).encodeABI());
+    });
+  });
+
+  describe('deployContract()', () => {
+    it('uses the network of the instance', async () => {
+      vweb3 = new Vweb3(provider, { network: 'mainnet' });
+      const err = await vAssert.getError(vweb3.deployContract({
+        bytecode: '6060',
+        abi: ContractMetadata.BodhiToken.abi,
+        senderAddress: VIPS_ADDRESS,
+      }));
+      assert.match(err.message, /is not an address of mainnet/);
+    });
+
+    it('detects the network if it is unknown', async () => {
+      const err = await vAssert.getError(vweb3.deployContract({
+        bytecode: '6060',
+        abi: ContractMetadata.BodhiToken.abi,
+        senderAddress: Address.fromHex(Address.toHex(VIPS_ADDRESS), 'mainnet'),
+      }));
+      assert.match(err.message, /is not an address of regtest/);
+
+      const res = await vweb3.deployContract({ bytecode: '6060', abi: ContractMetadata.BodhiToken.abi, senderAddress: VIPS_ADDRESS });
+      assert.equal(res.contract.network.name, 'regtest');
+    });
+  });
+
+  describe('TransactionBuilder()', () => {
+    it('uses the network of the instance unless options.network is given', async () => {
+      vweb3 = new Vweb3(provider, { network: 'mainnet' });
+      assert.equal(vweb3.TransactionBuilder().network.name, 'mainnet');
+      assert.equal(vweb3.TransactionBuilder({ network: 'regtest' }).network.name, 'regtest');
+    });
+
+    it('throws if the network is unknown', async () => {
+      assert.throws(() => vweb3.TransactionBuilder({ feeRate: 0 }), /network is unknown/);
+
+      await vweb3.getNetwork();
+      assert.equal(vweb3.TransactionBuilder({ feeRate: 0 }).network.name, 'regtest');
+    });
   });
 
   /** ******** MISC ********* */
   describe('isConnected()', () => {
     it('returns true when connected', async () => {
+      provider.setResult('getnetworkinfo', { version: 1000000, connections: 8 });
       assert.isTrue(await vweb3.isConnected());
     });
+
+    it('returns false if the node does not answer', async () => {
+      assert.isFalse(await vweb3.isConnected());
+    });
   });
 
   /** ******** BLOCKCHAIN ********* */
   describe('getBlock()', () => {
-    it('returns the block info', () => {
-      const res = {
+    it('returns the block info', async () => {
+      const block = {
         hash: '1bfc4aca524f50fedf45c9a0a88b54233269b12a7c1dc72beabbb0ccfda81fa7',
         confirmations: 17,
         strippedsize: 1215,
@@ -62,7 +163,10 @@ describe('Vweb3', () => {
         modifier: '97767d8c89724d7c71c049b7600d4865f27fa0f294c5c70fc24af355f8eb136d',
         signature: '30450221008a6b2567b2d36efa71def0d9820a6d71c563b5550647cb574defda2918434f7b02204bbf76767c737c8c62f7493838d8b7e9e3379938f83311f412e0916c0ab2f954',
       };
-      assert.isDefined(res);
+      provider.setResult('getblock', block);
+
+      const res = await vweb3.getBlock(block.hash);
+      assert.deepEqual(provider.calls[0].params, [block.hash, true]);
       assert.isObject(res);
       assert.isDefined(res.confirmations);
       assert.isDefined(res.merkleroot);
@@ -78,50 +182,51 @@ describe('Vweb3', () => {
     });
 
     it('returns a hex string if verbose is set to false', async () => {
-      const res = '00000020a1553a6a7ea676de2ea4bfeb46075ecfc661ea2992b10ec22d7289e20c4c89e2fecaaceb738ba3d1ec479e55d57635ca31554b95e1430a1ae7c85a875d46b8c330a66e5aca600f1a0000000068010295c780be285dbe56c3ed3b0b518ad6a7d93d0b443ffd5bc601c5cf8e68e52310817330288076d1924807ae2a2cabebce279922b7ee961734a096e6f1c03bcb5c68b7c9ba28c19cbe1855dcfda81505be8e7b3463561866fc91ae97ea56010000004730450221008a6b2567b2d36efa71def0d9820a6d71c563b5550647cb574defda2918434f7b02204bbf76767c737c8c62f7493838d8b7e9e3379938f83311f412e0916c0ab2f95403020000000001010000000000000000000000000000000000000000000000000000000000000000ffffffff0503bc2c0100ffffffff020000000000000000000000000000000000266a24aa21a9edc4928b43e01402c9d278937fa212d2049add8d3da1f49fbf1a6fc7f085882dc1012000000000000000000000000000000000000000000000000000000000000000000000000002000000013bcb5c68b7c9ba28c19cbe1855dcfda81505be8e7b3463561866fc91ae97ea560100000049483045022100b3261753087071bd16bf1b56ff14eb4f97348bbe30b04ee0f9f0b8e8fca9995002203519f80959db3f7b37975a0a7cd84cdc663b58061a31c7c4002ed6fc5a87530b01ffffffff0c000000000000000000001a214104000000232102587cb17a9e4ca41e477b6d180db02f88515c14a1a7791f9306167cba46bef004ac04b26502000000001976a914b29ec1e265ccb28ad6da4451eb9f275dcebc022688ac04b26502000000001976a9140ec1afc27860e1cd16d0283babbb523d1de04ace88ac04b26502000000001976a914ddf3cb991927c637a162513f371be6c7c282cf6388ac04b26502000000001976a914ca01e35383979bdec15ce10a88cbdc6219ab3b0988ac04b26502000000001976a914ca01e35383979bdec15ce10a88cbdc6219ab3b0988ac04b26502000000001976a914ea3f10790675fa80cf3c71cd71274602a5f92f7f88ac04b26502000000001976a9145657742155679a88eb56bfe606163ceef3f42d8188ac04b26502000000001976a914ddf3cb991927c637a162513f371be6c7c282cf6388ac04b26502000000001976a9148316e41fc0fbb2c9c56ee6e971c697629c22d29c88aca82e7900000000001976a914115de3bdbefab72679614d684a025bf0f24a644a88ac0000000002000000013a321d7ab4f14a5403b6af8adca0f3c9df32d193795084d10f585f9e87fff8e0050000006b4830450221009158fa5ef2cd75ac430a0845b94c34d329f87094f8bebe015306311f9432474d02207eaa51be2977fb769d4ec5e5c5a1f5d468922c7a40f540c3ab25dc7a8a7389790121036b515f46e5921f67d957d5928a4919899e8002beeda1f36aa92a8d2e8ef02612feffffff02542acb01000000001976a914115de3bdbefab72679614d684a025bf0f24a644a88ac00000000000000008401040390d00301284c6488e3cfda0000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000a7174756d676f676f676f000000000000000000000000000000000000000000001454a65e01360ee027623478a188386dc4d58d9c81c2bb2c0100';
-      assert.isDefined(res);
-      assert.isString(res);
+      const rawBlock = '00000020a1553a6a7ea676de2ea4bfeb46075ecfc661ea2992b10ec22d7289e20c4c89e2fecaaceb738ba3d1ec479e55d57635ca31554b95e1430a1ae7c85a875d46b8c330a66e5aca600f1a0000000068010295c780be285dbe56c3ed3b0b518ad6a7d93d0b443ffd5bc601c5cf8e68e52310817330288076d1924807ae2a2cabebce279922b7ee961734a096e6f1c03bcb5c68b7c9ba28c19cbe1855dcfda81505be8e7b3463561866fc91ae97ea56010000004730450221008a6b2567b2d36efa71def0d9820a6d71c563b5550647cb574defda2918434f7b02204bbf76767c737c8c62f7493838d8b7e9e3379938f83311f412e0916c0ab2f95403020000000001010000000000000000000000000000000000000000000000000000000000000000ffffffff0503bc2c0100ffffffff020000000000000000000000000000000000266a24aa21a9edc4928b43e01402c9d278937fa212d2049add8d3da1f49fbf1a6fc7f085882dc1012000000000000000000000000000000000000000000000000000000000000000000000000002000000013bcb5c68b7c9ba28c19cbe1855dcfda81505be8e7b3463561866fc91ae97ea560100000049483045022100b3261753087071bd16bf1b56ff14eb4f97348bbe30b04ee0f9f0b8e8fca9995002203519f80959db3f7b37975a0a7cd84cdc663b58061a31c7c4002ed6fc5a87530b01ffffffff0c000000000000000000001a214104000000232102587cb17a9e4ca41e477b6d180db02f88515c14a1a7791f9306167cba46bef004ac04b26502000000001976a914b29ec1e265ccb28ad6da4451eb9f275dcebc022688ac04b26502000000001976a9140ec1afc27860e1cd16d0283babbb523d1de04ace88ac04b26502000000001976a914ddf3cb991927c637a162513f371be6c7c282cf6388ac04b26502000000001976a914ca01e35383979bdec15ce10a88cbdc6219ab3b0988ac04b26502000000001976a914ca01e35383979bdec15ce10a88cbdc6219ab3b0988ac04b26502000000001976a914ea3f10790675fa80cf3c71cd71274602a5f92f7f88ac04b26502000000001976a9145657742155679a88eb56bfe606163ceef3f42d8188ac04b26502000000001976a914ddf3cb991927c637a162513f371be6c7c282cf6388ac04b26502000000001976a9148316e41fc0fbb2c9c56ee6e971c697629c22d29c88aca82e7900000000001976a914115de3bdbefab72679614d684a025bf0f24a644a88ac0000000002000000013a321d7ab4f14a5403b6af8adca0f3c9df32d193795084d10f585f9e87fff8e0050000006b4830450221009158fa5ef2cd75ac430a0845b94c34d329f87094f8bebe015306311f9432474d02207eaa51be2977fb769d4ec5e5c5a1f5d468922c7a40f540c3ab25dc7a8a7389790121036b515f46e5921f67d957d5928a4919899e8002beeda1f36aa92a8d2e8ef02612feffffff02542acb01000000001976a914115de3bdbefab72679614d684a025bf0f24a644a88ac00000000000000008401040390d00301284c6488e3cfda0000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000a7174756d676f676f676f000000000000000000000000000000000000000000001454a65e01360ee027623478a188386dc4d58d9c81c2bb2c0100';
+      provider.setResult('getblock', params => (params[1] ? {} : rawBlock));
+
+      const res = await vweb3.getBlock('1bfc4aca524f50fedf45c9a0a88b54233269b12a7c1dc72beabbb0ccfda81fa7', false);
+      assert.equal(res, rawBlock);
     });
   });
 
   describe('getBlockchainInfo()', () => {
     it('returns the block info', async () => {
       const res = await vweb3.getBlockchainInfo();
-      assert.isDefined(res);
       assert.isObject(res);
-      assert.isDefined(res.chain);
-      assert.isDefined(res.blocks);
-      assert.isDefined(res.headers);
-      assert.isDefined(res.bestblockhash);
-      assert.isDefined(res.difficulty);
-      assert.isDefined(res.mediantime);
-      assert.isDefined(res.verificationprogress);
-      assert.isDefined(res.chainwork);
-      assert.isDefined(res.pruned);
-      assert.isDefined(res.softforks);
-      assert.isDefined(res.bip9_softforks);
+      assert.equal(res.chain, 'regtest');
+      assert.equal(res.blocks, 100);
+      assert.equal(res.headers, 100);
+      assert.equal(res.bestblockhash, await vweb3.getBlockHash(100));
     });
   });
 
   describe('getBlockCount()', () => {
     it('returns the blockcount', async () => {
-      const res = await vweb3.getBlockCount();
-      assert.isDefined(res);
-      assert.isNumber(res);
+      assert.equal(await vweb3.getBlockCount(), 100);
+      provider.mine(2);
+      assert.equal(await vweb3.getBlockCount(), 102);
     });
   });
 
   describe('getBlockHash()', () => {
     it('returns the block hash', async () => {
       const res = await vweb3.getBlockHash(0);
-      assert.isDefined(res);
       assert.isString(res);
+      assert.lengthOf(res, 64);
+      assert.equal((await vweb3.getBlock(res)).height, 0);
+    });
+
+    it('throws if the height is out of range', async () => {
+      const error = await vAssert.getError(vweb3.getBlockHash(101));
+      assert.equal(error.code, -8);
+      assert.equal(error.message, 'Block height out of range');
     });
   });
 
   describe('getTransactionReceipt()', () => {
-    it('returns the transaction receipt', () => {
-      const res = [
+    it('returns the transaction receipt', async () => {
+      const receipt = [
         {
           blockHash: '2aca546e5adb3a6e2ac38c5cba81f2ce40097a8982d8b6ef37795729048c48f3',
           blockNumber: 68245,
@@ -145,7 +250,10 @@ describe('Vweb3', () => {
           ],
         },
       ];
-      assert.isDefined(res);
+      provider.setResult('gettransactionreceipt', receipt);
+
+      const res = await vweb3.getTransactionReceipt(receipt[0].transactionHash);
+      assert.deepEqual(provider.calls[0].params, [receipt[0].transactionHash]);
       assert.isDefined(res[0].blockHash);
       assert.isDefined(res[0].blockNumber);
       assert.isDefined(res[0].transactionHash);
@@ -161,8 +269,10 @@ describe('Vweb3', () => {
 
   describe('listContracts()', () => {
     it('returns the array of deployed contracts', async () => {
+      provider.setResult('listcontracts', { '17e7888aa7412a735f336d2f6d784caefabb6fa3': 0 });
+
       const res = await vweb3.listContracts();
-      assert.isDefined(res);
+      assert.deepEqual(provider.calls[0].params, [1, 20]);
       assert.isObject(res);
     });
   });
@@ -204,8 +314,11 @@ describe('Vweb3', () => {
           ],
         },
       ];
-      const formatted = Decoder.decodeSearchLog(rawOutput, ContractMetadata, true);
-      assert.isDefined(formatted);
+      provider.setResult('searchlogs', rawOutput);
+
+      const topics = ['c46e722c8158268af789d6a68206785f8d497869da236f87c2014c1c08fd3dec'];
+      const formatted = await vweb3.searchLogs(67237, 67237, [], topics, ContractMetadata, true);
+      assert.deepEqual(provider.calls[0].params, [67237, 67237, { addresses: [] }, { topics }]);
       assert.isDefined(formatted[0].log[0]._name);
       assert.isDefined(formatted[0].log[0]._resultNames);
       assert.isDefined(formatted[0].log[0]._numOfResults);
@@ -269,9 +382,10 @@ describe('Vweb3', () => {
   /** ******** NETWORK ********* */
   describe('getPeerInfo()', () => {
     it('returns the Node info', async () => {
+      provider.setResult('getpeerinfo', [{ id: 1, synced_headers: 100, synced_blocks: 100 }]);
+
       const res = await vweb3.getPeerInfo();
-      assert.isDefined(res);
-      assert.isArray(res);
+      assert.lengthOf(res, 1);
       _.forEach(res, (nodeInfo) => {
         assert.isNumber(nodeInfo.synced_headers);
         assert.isNumber(nodeInfo.synced_blocks);
@@ -282,6 +396,8 @@ describe('Vweb3', () => {
   /** ******** RAW TRANSACTIONS ********* */
   describe('getHexAddress()', () => {
     it('returns the hex address', async () => {
+      provider.setResult('gethexaddress', params => Address.toHex(params[0]));
+
       const hexDecodedAddress = bs58.decode(VIPS_ADDRESS).toString('hex');
       const hexadecimalAddress = await vweb3.getHexAddress(VIPS_ADDRESS);
       assert.isString(hexadecimalAddress);
@@ -292,68 +408,69 @@ describe('Vweb3', () => {
 
   describe('fromHexAddress()', () => {
     it('returns the vipstarcoin address', async () => {
+      provider.setResult('fromhexaddress', params => Address.fromHex(params[0]));
+
       const vipsAddress = await vweb3.fromHexAddress('17e7888aa7412a735f336d2f6d784caefabb6fa3');
-      assert.isString(vipsAddress);
-      assert.lengthOf(vipsAddress, 34);
+      vAssert.isVIPSTARCOINAddress(vipsAddress);
+      assert.deepEqual(provider.calls[0].params, ['17e7888aa7412a735f336d2f6d784caefabb6fa3']);
     });
   });
 
   /** ******** UTIL ********* */
   describe('validateAddress()', () => {
     it('returns an object validating the address', async () => {
-      let res = await vweb3.validateAddress(VIPS_ADDRESS);
-      assert.isDefined(res);
-      assert.isDefined(res.isvalid);
+      provider.setResult('validateaddress', params => ({ isvalid: Address.validate(params[0]).valid }));
 
-      res = await vweb3.validateAddress('helloworld');
-      assert.isDefined(res);
-      assert.isDefined(res.isvalid);
+      assert.isTrue((await vweb3.validateAddress(VIPS_ADDRESS)).isvalid);
+      assert.isFalse((await vweb3.validateAddress('helloworld')).isvalid);
     });
   });
 
   /** ******** WALLET ********* */
   describe('dumpPrivateKey()', () => {
     it('returns the private key', async () => {
-      const address = await vweb3.getAccountAddress('');
-      if (await isWalletEncrypted(vweb3)) {
-        await vweb3.walletPassphrase(getWalletPassphrase(), 3600);
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
-
-        const res = await vweb3.dumpPrivateKey(address);
-        assert.isDefined(res);
-        assert.isString(res);
-
-        await vweb3.walletLock();
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
-      } else {
-        const res = await vweb3.dumpPrivateKey(address);
-        assert.isDefined(res);
-        assert.isString(res);
-      }
+      provider.setResult('dumpprivkey', WIF);
+
+      assert.equal(await vweb3.dumpPrivateKey(VIPS_ADDRESS), WIF);
+      assert.deepEqual(provider.calls[0].params, [VIPS_ADDRESS]);
+    });
+
+    it('returns the private key once the encrypted wallet is unlocked', async () => {
+      encryptWallet();
+      assert.equal((await vAssert.getError(vweb3.dumpPrivateKey(VIPS_ADDRESS))).code, -13);
+
+      await vweb3.walletPassphrase(PASSPHRASE, 3600);
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
+      assert.equal(await vweb3.dumpPrivateKey(VIPS_ADDRESS), WIF);
+
+      await vweb3.walletLock();
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
     });
   });
 
   describe('getAccountAddress()', () => {
     it('returns the account address', async () => {
+      provider.setResult('getaccountaddress', VIPS_ADDRESS);
+
       const res = await vweb3.getAccountAddress('');
-      assert.isDefined(res);
-      assert.isString(res);
-      assert.isTrue(res.startsWith('v') || res.startsWith('V'));
+      assert.deepEqual(provider.calls[0].params, ['']);
+      vAssert.isVIPSTARCOINAddress(res);
     });
   });
 
   describe('getAddressesByAccount()', () => {
     it('returns the account address array', async () => {
+      provider.setResult('getaddressesbyaccount', [VIPS_ADDRESS, 'VN1ih3K2dwYqrSjsBTe2J5dDtawP2i9Zgs']);
+
       const res = await vweb3.getAddressesByAccount('');
-      assert.isDefined(res);
-      assert.isArray(res);
+      assert.lengthOf(res, 2);
       assert.isTrue(_.every(res, item => item.startsWith('v') || item.startsWith('V')));
     });
   });
 
   describe('getTransaction()', () => {
-    it('returns the transaction info', () => {
-      const res = {
+    it('returns the transaction info', async () => {
+      const transaction = {
         amount: 0.00000000,
         fee: -0.10153600,
         confirmations: 384,
@@ -396,7 +513,10 @@ describe('Vweb3', () => {
         ],
         hex: '02000000021e11e4f1db2750a4190f6e3e501f4e85a1e16fa5fe87c40c11ffea351a25cdcc010000006b483045022100a376052aa83c5759eb68e73a0548838a715fcd5225d91346e7709b75b41a74130220481ff6668ca29551a200e71401e946dd6d25ba2b4a5763b8a1666ab59352f0070121038e8b6337a06712e40277d339b4643897e62b337b66eea2d8dd069812d7feb0a3feffffffa39827892bbcfc931a49a2bd6d289a700c8f921caa35d7a5b77373a953592977010000006b483045022100923b8825b5703a21add857fd129daf3f9911c9b5fac0d381a59fe2fd190e81b602201c469fd9378302823320d6bfa2bb502d743eb6843f5d62d6ee8c55ce5dfc50270121038e8b6337a06712e40277d339b4643897e62b337b66eea2d8dd069812d7feb0a3feffffff0200000000000000002301040390d00301280461cac4181497c781c612ad23f4049f253bd52ac2889855f2dac23ca26201000000001976a91417e7888aa7412a735f336d2f6d784caefabb6fa388ac930a0100',
       };
-      assert.isDefined(res);
+      provider.setResult('gettransaction', transaction);
+
+      const res = await vweb3.getTransaction(transaction.txid);
+      assert.deepEqual(provider.calls[0].params, [transaction.txid]);
       assert.isDefined(res.amount);
       assert.isDefined(res.fee);
       assert.isDefined(res.confirmations);
@@ -414,8 +534,20 @@ describe('Vweb3', () => {
 
   describe('getWalletInfo()', () => {
     it('returns the wallet info', async () => {
+      provider.setResult('getwalletinfo', {
+        walletversion: 130000,
+        balance: 1.5,
+        stake: 0,
+        unconfirmed_balance: 0,
+        immature_balance: 0,
+        txcount: 3,
+        keypoololdest: 1515935586,
+        keypoolsize: 100,
+        paytxfee: 0,
+        hdmasterkeyid: '9a4fd6d9f41e8ac1bb1dc4a8a35b20d8e1ec3bd7',
+      });
+
       const res = await vweb3.getWalletInfo();
-      assert.isDefined(res);
       assert.isDefined(res.walletversion);
       assert.isDefined(res.balance);
       assert.isDefined(res.stake);
@@ -431,109 +563,113 @@ describe('Vweb3', () => {
 
   describe('getUnconfirmedBalance()', () => {
     it('returns the unconfirmed balance', async () => {
-      const res = await vweb3.getUnconfirmedBalance();
-      assert.isDefined(res);
-      assert.isNumber(res);
+      provider.setResult('getunconfirmedbalance', 0.5);
+      assert.equal(await vweb3.getUnconfirmedBalance(), 0.5);
     });
   });
 
   describe('listAddressGroupings()', () => {
     it('returns an array of address groupings', async () => {
+      provider.setResult('listaddressgroupings', [[[VIPS_ADDRESS, 1.5, '']]]);
+
       const res = await vweb3.listAddressGroupings();
-      assert.isDefined(res);
       assert.isArray(res);
+      assert.isArray(res[0]);
 
-      if (!_.isEmpty(res)) {
-        const innerArr = res[0];
-        assert.isArray(innerArr);
-
-        if (!_.isEmpty(innerArr)) {
-          const item = innerArr[0];
-          vAssert.isVIPSTARCOINAddress(item[0]);
-          assert.isTrue(_.isNumber(item[1]));
-        }
-      }
+      const item = res[0][0];
+      vAssert.isVIPSTARCOINAddress(item[0]);
+      assert.isTrue(_.isNumber(item[1]));
     });
   });
 
   describe('listLockUnspent()', () => {
     it('returns an array of unspendable outputs', async () => {
+      provider.setResult('listlockunspent', [{ txid: '11'.repeat(32), vout: 0 }]);
+
       const res = await vweb3.listLockUnspent();
-      assert.isDefined(res);
-      assert.isArray(res);
+      assert.deepEqual(res, [{ txid: '11'.repeat(32), vout: 0 }]);
     });
   });
 
   describe('listUnspent()', () => {
     it('returns an unspent output array', async () => {
-      const res = await vweb3.listUnspent();
-      assert.isDefined(res);
-      assert.isArray(res);
+      const utxo = { txid: '11'.repeat(32), vout: 0, address: VIPS_ADDRESS, amount: 1.5, confirmations: 10 };
+      vweb3 = new Vweb3(new MockProvider({ utxos: [utxo] }));
+
+      assert.deepEqual(await vweb3.listUnspent(), [utxo]);
     });
   });
 
   describe('walletLock()', () => {
     it('locks the encrypted wallet', async () => {
-      if (await isWalletEncrypted(vweb3)) {
-        await vweb3.walletPassphrase(getWalletPassphrase(), 3600, true);
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
+      encryptWallet();
+      await vweb3.walletPassphrase(PASSPHRASE, 3600, true);
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
 
-        await vweb3.walletLock();
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
-      } else {
-        assert.isTrue(true);
-      }
+      await vweb3.walletLock();
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
     });
   });
 
-
   describe('walletPassphrase()', () => {
     it('unlocks the encrypted wallet', async () => {
-      if (await isWalletEncrypted(vweb3)) {
-        await vweb3.walletLock();
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
+      encryptWallet();
+      await vweb3.walletLock();
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
 
-        await vweb3.walletPassphrase(getWalletPassphrase(), 3600, true);
-        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
-      } else {
-        assert.isTrue(true);
-      }
+      await vweb3.walletPassphrase(PASSPHRASE, 3600, true);
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
+      assert.deepEqual(_.find(provider.calls, { method: 'walletpassphrase' }).params, [PASSPHRASE, 3600, true]);
+    });
+
+    it('throws if the passphrase is incorrect', async () => {
+      encryptWallet();
+      const error = await vAssert.getError(vweb3.walletPassphrase('wrong', 3600));
+      assert.equal(error.code, -14);
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
     });
   });
 
-  // Runs tests that are more suited for a clean environment, eg. CI tests
-  // eslint-disable-next-line no-unused-expressions
-  !_.includes(process.argv, '--cleanenv') ? describe.skip : describe('cleanEnv tests', () => {
-    describe('getNewAddress()', () => {
-      it('returns a new qtum address', async () => {
-        const res = await vweb3.getNewAddress('');
-        assert.isDefined(res);
-        assert.isString(res);
-        assert.isTrue(res.startsWith('v') || res.startsWith('V'));
-      });
+  describe('getNewAddress()', () => {
+    it('returns a new vipstarcoin address', async () => {
+      provider.setResult('getnewaddress', VIPS_ADDRESS);
+
+      const res = await vweb3.getNewAddress('');
+      assert.deepEqual(provider.calls[0].params, ['']);
+      vAssert.isVIPSTARCOINAddress(res);
     });
+  });
 
-    describe('backupWallet()', () => {
-      it('backup the wallet', async () => {
-        const res = await vweb3.backupWallet(path.join(__dirname, '../../test/data/backup.dat'));
-        assert.notTypeOf(res, 'Error');
-      });
+  describe('backupWallet()', () => {
+    it('backup the wallet', async () => {
+      const destination = path.join(__dirname, '../../test/data/backup.dat');
+      provider.setResult('backupwallet', null);
+
+      assert.isNull(await vweb3.backupWallet(destination));
+      assert.deepEqual(provider.calls[0].params, [destination]);
     });
+  });
+
+  describe('importWallet()', () => {
+    const DUMP_FILE = path.join(__dirname, '../../test/data/backup.dat');
 
-    describe('importWallet()', () => {
-      it('throw an error if importing a non-existent file', async () => {
-        try {
-          await vweb3.importWallet(path.join(__dirname, '../../test/data/backup.dat'));
-        } catch (err) {
-          assert.isDefined(err);
-          assert.equal(err, 'Error: Cannot open wallet dump file');
+    beforeEach(() => {
+      provider.setResult('importwallet', (params) => {
+        if (params[0] !== DUMP_FILE) {
+          throw MockProvider.error(-8, 'Cannot open wallet dump file', 'importwallet', params);
         }
+        return null;
       });
+    });
 
-      it('import the wallet from a wallet dump file', async () => {
-        const res = await vweb3.importWallet(path.join(__dirname, '../../test/data/backup.dat'));
-        assert.notTypeOf(res, 'Error');
-      });
+    it('throw an error if importing a non-existent file', async () => {
+      const error = await vAssert.getError(vweb3.importWallet(path.join(__dirname, '../../test/data/missing.dat')));
+      assert.equal(error.code, -8);
+      assert.equal(error.message, 'Cannot open wallet dump file');
+    });
+
+    it('import the wallet from a wallet dump file', async () => {
+      assert.isNull(await vweb3.importWallet(DUMP_FILE));
     });
   });
 });
@@ -0,0 +1,130 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const { waitForReceipt } = require('../wait-for-receipt');
+const { TimeoutError, ContractExecutionError } = require('../errors');
+
+const { assert } = chai;
+
+describe('waitForReceipt()', () => {
+  const TXID = '685f23b364242e4954a2a62a42c3632762d19f37e24c34edc495cc0e117a9112';
+  const receipt = {
+    blockHash: 'e2894c0ce289722dc20eb19229ea61c6cf5e0746ebbfa42ede76a67e6a3a55a1',
+    blockNumber: 100,
+    transactionHash: TXID,
+    transactionIndex: 2,
+    from: '17e7888aa7412a735f336d2f6d784caefabb6fa3',
+    to: 'f6177bc9812eeb531907621af6641a41133dea9e',
+    cumulativeGasUsed: 43666,
+    gasUsed: 43666,
+    contractAddress: 'f6177bc9812eeb531907621af6641a41133dea9e',
+    excepted: 'None',
+    log: [],
+  };
+
+  /**
+   * Returns a provider which returns the next receipts and block count on every poll.
+   */
+  const getProvider = (receiptsPerPoll, blockCountsPerPoll) => {
+    const provider = {
+      calls: [],
+      rawCall: async (method, args) => {
+        provider.calls.push({ method, args });
+        if (method === 'gettransactionreceipt') {
+          return receiptsPerPoll.length > 1 ? receiptsPerPoll.shift() : receiptsPerPoll[0];
+        }
+        return blockCountsPerPoll.length > 1 ? blockCountsPerPoll.shift() : blockCountsPerPoll[0];
+      },
+    };
+    return provider;
+  };
+
+  it('resolves the receipts once the transaction is mined', async () => {
+    const provider = getProvider([[], [], [receipt]], [100]);
+    const receipts = await waitForReceipt(provider, TXID, { pollInterval: 1 });
+
+    assert.deepEqual(receipts, [receipt]);
+    assert.deepEqual(provider.calls[0], { method: 'gettransactionreceipt', args: [TXID] });
+    assert.lengthOf(provider.calls.filter(call => call.method === 'gettransactionreceipt'), 3);
+  });
+
+  it('resolves once the receipt has the number of confirmations', async () => {
+    const provider = getProvider([[receipt]], [100, 101, 102]);
+    const receipts = await waitForReceipt(provider, TXID, { confirmations: 3, pollInterval: 1 });
+
+    assert.deepEqual(receipts, [receipt]);
+    assert.lengthOf(provider.calls.filter(call => call.method === 'getblockcount'), 3);
+  });
+
+  it('rejects with a ContractExecutionError if the VM excepted', async () => {
+    const failedReceipt = Object.assign({}, receipt, { excepted: 'Revert', gasUsed: 25000 });
+    const provider = getProvider([[failedReceipt]], [100]);
+
+    let error;
+    try {
+      await waitForReceipt(provider, TXID, { pollInterval: 1 });
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, ContractExecutionError);
+    assert.equal(error.excepted, 'Revert');
+    assert.equal(error.txid, TXID);
+    assert.equal(error.gasUsed, 25000);
+    assert.equal(error.receipt, failedReceipt);
+  });
+
+  it('adds the exceptedMessage of the receipt as the revert reason', async () => {
+    const failedReceipt = Object.assign({}, receipt, { excepted: 'Revert', exceptedMessage: 'Not the owner' });
+    const provider = getProvider([[failedReceipt]], [100]);
+
+    let error;
+    try {
+      await waitForReceipt(provider, TXID, { pollInterval: 1 });
+    } catch (err) {
+      error = err;
+    }
+    assert.equal(error.reason, 'Not the owner');
+    assert.equal(error.message, 'Contract execution failed: Revert (Not the owner)');
+  });
+
+  it('rejects with a TimeoutError if the transaction is not confirmed in time', async () => {
+    const provider = getProvider([[]], [100]);
+
+    let error;
+    try {
+      await waitForReceipt(provider, TXID, { timeout: 20, pollInterval: 5 });
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, TimeoutError);
+    assert.equal(error.txid, TXID);
+    assert.equal(error.timeout, 20);
+  });
+
+  it('throws if txid is not a string', async () => {
+    const provider = getProvider([[receipt]], [100]);
+
+    let error;
+    try {
+      await waitForReceipt(provider, undefined);
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, Error);
+    assert.lengthOf(provider.calls, 0);
+  });
+
+  it('throws if an option is not a number', async () => {
+    const provider = getProvider([[receipt]], [100]);
+
+    let error;
+    try {
+      await waitForReceipt(provider, TXID, { confirmations: '6' });
+    } catch (err) {
+      error = err;
+    }
+    assert.instanceOf(error, Error);
+    assert.lengthOf(provider.calls, 0);
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
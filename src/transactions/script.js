@@ -0,0 +1,200 @@
+const { isNumber, isString } = require('lodash');
+
+const Address = require('../address');
+
+// Opcodes used by the standard scripts
+const OPS = {
+  OP_0: 0x00,
+  OP_PUSHDATA1: 0x4c,
+  OP_PUSHDATA2: 0x4d,
+  OP_PUSHDATA4: 0x4e,
+  OP_DUP: 0x76,
+  OP_EQUAL: 0x87,
+  OP_EQUALVERIFY: 0x88,
+  OP_HASH160: 0xa9,
+  OP_CHECKSIG: 0xac,
+  OP_CREATE: 0xc1,
+  OP_CALL: 0xc2,
+};
+
+const HASH_LENGTH = 20;
+const EVM_VERSION = 4;
+const REGEX_HEX = /^(0x)?([0-9a-fA-F]{2})*$/;
+const REGEX_HASH = /^(0x)?[0-9a-fA-F]{40}$/;
+
+/**
+ * Encodes the push of data with the smallest opcode.
+ * @param {Buffer} data The data to push.
+ * @return {Buffer} The push opcode and the data.
+ */
+const pushData = (data) => {
+  let prefix;
+  if (data.length < OPS.OP_PUSHDATA1) {
+    prefix = Buffer.from([data.length]);
+  } else if (data.length <= 0xff) {
+    prefix = Buffer.from([OPS.OP_PUSHDATA1, data.length]);
+  } else if (data.length <= 0xffff) {
+    prefix = Buffer.alloc(3);
+    prefix[0] = OPS.OP_PUSHDATA2;
+    prefix.writeUInt16LE(data.length, 1);
+  } else {
+    prefix = Buffer.alloc(5);
+    prefix[0] = OPS.OP_PUSHDATA4;
+    prefix.writeUInt32LE(data.length, 1);
+  }
+  return Buffer.concat([prefix, data]);
+};
+
+/**
+ * Compiles a script.
+ * @param {array} chunks The opcodes as numbers and the pushed data as Buffers.
+ * @return {Buffer} The script.
+ */
+const compile = chunks =>
+  Buffer.concat(chunks.map(chunk => (isNumber(chunk) ? Buffer.from([chunk]) : pushData(chunk))));
+
+/**
+ * Encodes a number like the nodes push it in scripts, ie. minimal little endian with a sign bit.
+ * @param {number} num The integer.
+ * @return {Buffer} The encoded number, empty for 0.
+ */
+const encodeNumber = (num) => {
+  const bytes = [];
+  let abs = Math.abs(num);
+  while (abs > 0) {
+    bytes.push(abs % 256);
+    abs = Math.floor(abs / 256);
+  }
+  if (bytes.length > 0 && bytes[bytes.length - 1] >= 0x80) {
+    bytes.push(num < 0 ? 0x80 : 0);
+  } else if (num < 0) {
+    bytes[bytes.length - 1] += 0x80;
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Validates the gas of a contract output.
+ * @param {number} gasLimit The gas limit.
+ * @param {number} gasPrice The gas price in satoshis.
+ */
+const validateGas = (gasLimit, gasPrice) => {
+  if (!Number.isSafeInteger(gasLimit) || gasLimit <= 0) {
+    throw Error('gasLimit must be a positive integer.');
+  }
+  if (!Number.isSafeInteger(gasPrice) || gasPrice <= 0) {
+    throw Error('gasPrice must be a positive integer of satoshis.');
+  }
+};
+
+/**
+ * Builds the output script creating a contract, ie. version gasLimit gasPrice bytecode OP_CREATE.
+ * @param {number} gasLimit The gas limit.
+ * @param {number} gasPrice The gas price in satoshis.
+ * @param {string} bytecode The hex bytecode with the encoded constructor args, eg. of Encoder.constructDeployData().
+ * @return {Buffer} The script.
+ */
+const contractCreateOutput = (gasLimit, gasPrice, bytecode) => {
+  validateGas(gasLimit, gasPrice);
+  if (!isString(bytecode) || !REGEX_HEX.test(bytecode) || bytecode.replace(/^0x/, '') === '') {
+    throw Error('bytecode must be a hex string.');
+  }
+
+  return compile([
+    encodeNumber(EVM_VERSION),
+    encodeNumber(gasLimit),
+    encodeNumber(gasPrice),
+    Buffer.from(bytecode.replace(/^0x/, ''), 'hex'),
+    OPS.OP_CREATE,
+  ]);
+};
+
+/**
+ * Builds the output script calling a contract, ie. version gasLimit gasPrice data contractAddress OP_CALL.
+ * @param {number} gasLimit The gas limit.
+ * @param {number} gasPrice The gas price in satoshis.
+ * @param {string} data The hex encoded call, eg. of Encoder.constructData().
+ * @param {string} contractAddress The hex address of the contract.
+ * @return {Buffer} The script.
+ */
+const contractCallOutput = (gasLimit, gasPrice, data, contractAddress) => {
+  validateGas(gasLimit, gasPrice);
+  if (!isString(data) || !REGEX_HEX.test(data)) {
+    throw Error('data must be a hex string.');
+  }
+  if (!isString(contractAddress) || !REGEX_HASH.test(contractAddress)) {
+    throw Error('contractAddress must be a 20 bytes hex address.');
+  }
+
+  return compile([
+    encodeNumber(EVM_VERSION),
+    encodeNumber(gasLimit),
+    encodeNumber(gasPrice),
+    Buffer.from(data.replace(/^0x/, ''), 'hex'),
+    Buffer.from(contractAddress.replace(/^0x/, ''), 'hex'),
+    OPS.OP_CALL,
+  ]);
+};
+
+/**
+ * Builds the output script of a P2PKH address, ie. OP_DUP OP_HASH160 hash OP_EQUALVERIFY OP_CHECKSIG.
+ * @param {Buffer} hash The hash160 of the public key.
+ * @return {Buffer} The script.
+ */
+const p2pkhOutput = hash => compile([OPS.OP_DUP, OPS.OP_HASH160, hash, OPS.OP_EQUALVERIFY, OPS.OP_CHECKSIG]);
+
+/**
+ * Builds the output script of a P2SH address, ie. OP_HASH160 hash OP_EQUAL.
+ * @param {Buffer} hash The hash160 of the redeem script.
+ * @return {Buffer} The script.
+ */
+const p2shOutput = hash => compile([OPS.OP_HASH160, hash, OPS.OP_EQUAL]);
+
+/**
+ * Builds the input script spending a P2PKH output.
+ * @param {Buffer} signature The DER signature followed by the hash type.
+ * @param {Buffer} publicKey The public key.
+ * @return {Buffer} The script.
+ */
+const p2pkhInput = (signature, publicKey) => compile([signature, publicKey]);
+
+/**
+ * Gets the public key hash of a P2PKH output script.
+ * @param {Buffer} script The output script.
+ * @return {Buffer} The hash160, or undefined if the script is not P2PKH.
+ */
+const getP2pkhHash = (script) => {
+  const isP2pkh = script.length === HASH_LENGTH + 5
+    && script[0] === OPS.OP_DUP
+    && script[1] === OPS.OP_HASH160
+    && script[2] === HASH_LENGTH
+    && script[HASH_LENGTH + 3] === OPS.OP_EQUALVERIFY
+    && script[HASH_LENGTH + 4] === OPS.OP_CHECKSIG;
+  return isP2pkh ? script.slice(3, HASH_LENGTH + 3) : undefined;
+};
+
+/**
+ * Builds the output script paying to an address.
+ * @param {string} address The VIPSTARCOIN address.
+ * @param {string|object} network Network name or object the address must belong to. Any known network if undefined.
+ * @return {Buffer} The P2PKH or P2SH script.
+ */
+const toOutputScript = (address, network) => {
+  const { hex, type } = Address.parse(address, network);
+  const hash = Buffer.from(hex, 'hex');
+  return type === Address.P2SH ? p2shOutput(hash) : p2pkhOutput(hash);
+};
+
+module.exports = {
+  OPS,
+  pushData,
+  compile,
+  encodeNumber,
+  p2pkhOutput,
+  p2shOutput,
+  p2pkhInput,
+  contractCreateOutput,
+  contractCallOutput,
+  getP2pkhHash,
+  toOutputScript,
+};
@@ -0,0 +1,191 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const TransactionBuilder = require('../transaction-builder');
+const Transaction = require('../transaction');
+const Script = require('../script');
+const Encoder = require('../../formatters/encoder');
+const HDWallet = require('../../hd-wallet');
+const KeyPair = require('../../key-pair');
+const Vweb3 = require('../../vweb3');
+const MockProvider = require('../../providers/mock-provider');
+
+const { assert } = chai;
+
+describe('TransactionBuilder', () => {
+  const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+  const wallet = HDWallet.fromMnemonic(MNEMONIC);
+  const SENDER = wallet.deriveBip44({ index: 0 });
+  const RECEIVER = 'vSvGBrrXKYkLJpfipbAVqiNEf44cz2Md5o';
+  const CHANGE = 'vEZRdydobjqs3fn49Ec65LncHZpGxgidK9';
+  const SENDER_SCRIPT = '76a9143a2d4145a4f098523b3e8127f1da87cfc55b8e7988ac';
+  const OTHER_SCRIPT = '76a914d3c0870e8e13a9ec320f1280889127aa15a4c0a188ac';
+  const UTXOS = [
+    { txid: '11'.repeat(32), vout: 0, address: SENDER.getAddress(), scriptPubKey: SENDER_SCRIPT, amount: 1 },
+    { txid: '22'.repeat(32), vout: 1, address: SENDER.getAddress(), scriptPubKey: SENDER_SCRIPT, amount: 5 },
+    { txid: '33'.repeat(32), vout: 0, address: SENDER.getAddress(), scriptPubKey: SENDER_SCRIPT, amount: 2.5 },
+    { txid: '44'.repeat(32), vout: 0, address: RECEIVER, scriptPubKey: OTHER_SCRIPT, amount: 100 },
+  ];
+
+  /**
+   * Verifies the signatures of the P2PKH inputs of a transaction.
+   * @param {Transaction} tx The signed transaction.
+   * @param {KeyPair} keyPair The key pair of the inputs.
+   */
+  const assertSigned = (tx, keyPair) => {
+    tx.inputs.forEach((input, index) => {
+      const signatureLength = input.script[0];
+      const signature = input.script.slice(1, signatureLength);
+      assert.equal(input.script[signatureLength], Transaction.SIGHASH_ALL);
+      assert.isTrue(input.script.slice(signatureLength + 2).equals(keyPair.publicKey));
+      assert.isTrue(keyPair.verify(tx.hashForSignature(index, Buffer.from(SENDER_SCRIPT, 'hex')), signature));
+    });
+  };
+
+  const newBuilder = options => new TransactionBuilder(options).addUtxos(UTXOS).addKey(SENDER);
+
+  describe('selectUtxos()', () => {
+    it('selects the largest UTXOs of the keys first', () => {
+      const { utxos, fee, change } = newBuilder().addOutput(RECEIVER, 6e8).selectUtxos();
+      assert.deepEqual(utxos.map(utxo => utxo.txid), ['22'.repeat(32), '33'.repeat(32)]);
+
+      // 2 inputs of 148 bytes and 2 P2PKH outputs of 34 bytes at 400000 sat/kB
+      assert.equal(fee, Math.ceil(((10 + (2 * 148) + (2 * 34)) * 400000) / 1000));
+      assert.equal(change, 7.5e8 - 6e8 - fee);
+    });
+
+    it('adds change below the dust threshold to the fee', () => {
+      const { utxos, fee, change } = newBuilder({ feeRate: 1000 }).addOutput(RECEIVER, 5e8 - 200 - 10000).selectUtxos();
+      assert.lengthOf(utxos, 1);
+      assert.equal(change, 0);
+      assert.equal(fee, 10200);
+    });
+
+    it('throws if the funds, outputs or output values are insufficient', () => {
+      assert.throws(() => newBuilder().addOutput(RECEIVER, 8.5e8).selectUtxos(), 'Insufficient funds: 850000000 satoshis available for 850000000 satoshis and the fee.');
+      assert.throws(() => newBuilder().selectUtxos(), 'Transaction has no outputs.');
+      assert.throws(() => newBuilder().addOutput(RECEIVER, 546).selectUtxos(), 'Output value 546 is below the dust threshold of 72800.');
+    });
+  });
+
+  describe('build()', () => {
+    it('builds and signs a payment with change', () => {
+      const tx = newBuilder({ changeAddress: CHANGE }).addOutput(RECEIVER, 6e8).build();
+      assert.equal(tx.version, 2);
+      assert.deepEqual(tx.inputs.map(input => input.txid), ['22'.repeat(32), '33'.repeat(32)]);
+      assert.deepEqual(tx.outputs.map(output => output.script.toString('hex')), [
+        Script.toOutputScript(RECEIVER).toString('hex'),
+        Script.toOutputScript(CHANGE).toString('hex'),
+      ]);
+      assert.equal(tx.outputs[0].value, 6e8);
+      assertSigned(tx, SENDER.keyPair);
+
+      // The estimate is an upper bound of the signed size
+      const { fee } = newBuilder().addOutput(RECEIVER, 6e8).selectUtxos();
+      assert.isAtMost(tx.getSize(), (fee * 1000) / 400000);
+      assert.equal(7.5e8 - tx.outputs[0].value - tx.outputs[1].value, fee);
+    });
+
+    it('sends the change to the first selected UTXO by default', () => {
+      const tx = newBuilder().addOutput(RECEIVER, 1e8).build();
+      assert.equal(tx.outputs[1].script.toString('hex'), SENDER_SCRIPT);
+    });
+
+    it('is deterministic', () => {
+      const hex = newBuilder({ locktime: 100 }).addOutput(RECEIVER, 1e8).build().toHex();
+      const reversed = new TransactionBuilder({ locktime: 100 }).addUtxos([...UTXOS].reverse()).addKey(SENDER.toWIF()).addOutput(RECEIVER, 1e8);
+      assert.equal(reversed.build().toHex(), hex);
+      assert.equal(Transaction.fromHex(hex).locktime, 100);
+    });
+
+    it('spends UTXOs of the address index with keys of any type', () => {
+      const keyPair = KeyPair.fromWIF(SENDER.toWIF());
+      const tx = new TransactionBuilder()
+        .addUtxos([{ address: SENDER.getAddress(), txid: '55'.repeat(32), outputIndex: 3, script: SENDER_SCRIPT, satoshis: 2e8 }])
+        .addKey(keyPair)
+        .addOutput(RECEIVER, 1e8)
+        .build();
+      assert.equal(tx.inputs[0].vout, 3);
+      assertSigned(tx, keyPair);
+    });
+
+    it('broadcasts with sendrawtransaction', async () => {
+      const provider = new MockProvider();
+      const vweb3 = new Vweb3(provider);
+      const tx = newBuilder().addOutput(RECEIVER, 1e8).build();
+
+      assert.equal(await vweb3.sendRawTransaction(tx.toHex()), tx.getId());
+      assert.deepEqual(provider.calls[0], { method: 'sendrawtransaction', params: [tx.toHex(), false] });
+    });
+  });
+
+  describe('contract outputs', () => {
+    const CONTRACT_ADDRESS = '17e7888aa7412a735f336d2f6d784caefabb6fa3';
+    const ABI = [{
+      name: 'transfer',
+      type: 'function',
+      inputs: [{ name: 'to', type: 'address' }, { name: 'value', type: 'uint256' }],
+      outputs: [],
+      constant: false,
+      payable: false,
+    }];
+    const DATA = Encoder.constructData(ABI, 'transfer', ['d3c0870e8e13a9ec320f1280889127aa15a4c0a1', 1000]);
+
+    it('adds an OP_CALL output with the encoded data and pays the gas with the fee', () => {
+      const builder = newBuilder({ changeAddress: CHANGE }).addContractCall(CONTRACT_ADDRESS, DATA, { amount: 1e7, gasLimit: 100000 });
+      const { fee, gas } = builder.selectUtxos();
+      assert.equal(gas, 100000 * TransactionBuilder.DEFAULT_GAS_PRICE);
+
+      const tx = builder.build();
+      assert.equal(tx.outputs[0].script.toString('hex'), `010403a086010128${Script.pushData(Buffer.from(DATA, 'hex')).toString('hex')}14${CONTRACT_ADDRESS}c2`);
+      assert.equal(tx.outputs[0].value, 1e7);
+      assert.equal(5e8 - tx.outputs[0].value - tx.outputs[1].value, fee);
+      assert.isAbove(fee, gas);
+      assertSigned(tx, SENDER.keyPair);
+    });
+
+    it('adds an OP_CREATE output with the deploy data', () => {
+      const tx = newBuilder().addContractCreate('0x6080604052', { gasPrice: 50 }).build();
+      assert.equal(tx.outputs[0].script.toString('hex'), '010403a025260132056080604052c1');
+      assert.equal(tx.outputs[0].value, 0);
+      assert.equal(tx.outputs[1].script.toString('hex'), SENDER_SCRIPT);
+    });
+
+    it('spends a UTXO of the sender first', () => {
+      const other = wallet.deriveBip44({ index: 1 });
+      const tx = newBuilder({ senderAddress: SENDER.getAddress() })
+        .addKey(other)
+        .addContractCall(CONTRACT_ADDRESS, DATA, { amount: 102e8 })
+        .build();
+      assert.deepEqual(tx.inputs.map(input => input.txid), ['22'.repeat(32), '44'.repeat(32)]);
+
+      assert.throws(() => newBuilder({ senderAddress: other.getAddress() }).addContractCall(CONTRACT_ADDRESS, DATA).selectUtxos(), /No spendable UTXO of the senderAddress/);
+      assert.throws(() => newBuilder({ senderAddress: 'mdPdSjtcxfM2iRg7RVxC5Tj5cu172BX4aH' }), 'senderAddress must be a P2PKH address.');
+    });
+
+    it('throws if the gas, data or contract address is invalid', () => {
+      assert.throws(() => newBuilder().addContractCall(CONTRACT_ADDRESS, DATA, { gasLimit: 0 }), 'gasLimit must be a positive integer.');
+      assert.throws(() => newBuilder().addContractCall(CONTRACT_ADDRESS, DATA, { gasPrice: 0.0000004 }), 'gasPrice must be a positive integer of satoshis.');
+      assert.throws(() => newBuilder().addContractCall(CONTRACT_ADDRESS, 'transfer'), 'data must be a hex string.');
+      assert.throws(() => newBuilder().addContractCall(RECEIVER, DATA), 'contractAddress must be a 20 bytes hex address.');
+      assert.throws(() => newBuilder().addContractCreate(''), 'bytecode must be a hex string.');
+    });
+  });
+
+  describe('options', () => {
+    it('converts VIPS to satoshis', () => {
+      assert.equal(TransactionBuilder.toSatoshis(0.1), 1e7);
+      assert.equal(TransactionBuilder.toSatoshis('12.34567891'), 1234567891);
+      assert.throws(() => TransactionBuilder.toSatoshis(0.000000001), '1e-9 has more than 8 decimals.');
+    });
+
+    it('throws if an option, UTXO or key is invalid', () => {
+      assert.throws(() => new TransactionBuilder({ feeRate: -1 }), 'feeRate must be a positive number of satoshis per kB.');
+      assert.throws(() => new TransactionBuilder({ changeAddress: CHANGE, network: 'mainnet' }), /is not an address of mainnet/);
+      assert.throws(() => new TransactionBuilder().addUtxos([{ txid: '11'.repeat(32) }]), /utxo must have/);
+      assert.throws(() => new TransactionBuilder().addKey(SENDER.neutered()), /key must be a KeyPair/);
+      assert.throws(() => new TransactionBuilder({ network: 'mainnet' }).addKey(SENDER.toWIF()), 'WIF is not a private key of mainnet.');
+    });
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,119 @@
+/* eslint-disable no-underscore-dangle, max-len */
+const chai = require('chai');
+
+const Transaction = require('../transaction');
+const Script = require('../script');
+const KeyPair = require('../../key-pair');
+
+const { assert } = chai;
+
+describe('Transaction', () => {
+  // f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16, the first Bitcoin payment
+  const TXID = 'f4184fc596403b9d638783cf57adfe4c75c605f6356fbc91338530e9831e9e16';
+  const RAW_TX = '0100000001c997a5e56e104102fa209c6a852dd90660a20b2d9c352423edce25857fcd3704000000004847304402204e45e16932b8af514961a1d3a1a25fdf3f4f7732e9d624c6c61548ab5fb8cd410220181522ec8eca07de4860a4acdd12909d831cc56cbbac4622082221a8768d1d0901ffffffff0200ca9a3b00000000434104ae1a62fe09c5f51b13905f07f06b99a2f7159b2225f374cd378d71302fa28414e7aab37397f554a7df5f142c21c1b7303b8a0626f1baded5c72a704f7e6cd84cac00286bee0000000043410411db93e1dcdb8a016b49840f8c53bc1eb68a382e97b1482ecad7b148a6909a5cb2e0eaddfb84ccf9744464f82e160bfa9b8b64f9d4c03f999b8643f656b412a3ac00000000';
+  const PREV_OUT_SCRIPT = '410411db93e1dcdb8a016b49840f8c53bc1eb68a382e97b1482ecad7b148a6909a5cb2e0eaddfb84ccf9744464f82e160bfa9b8b64f9d4c03f999b8643f656b412a3ac';
+  const PREV_TXID = '0437cd7f8525ceed2324359c2d0ba26006d92d856a9c20fa0241106ee5a597c9';
+
+  describe('fromHex()', () => {
+    it('parses a raw transaction', () => {
+      const tx = Transaction.fromHex(RAW_TX);
+      assert.equal(tx.version, 1);
+      assert.equal(tx.locktime, 0);
+      assert.lengthOf(tx.inputs, 1);
+      assert.equal(tx.inputs[0].txid, PREV_TXID);
+      assert.equal(tx.inputs[0].vout, 0);
+      assert.equal(tx.inputs[0].sequence, Transaction.DEFAULT_SEQUENCE);
+      assert.deepEqual(tx.outputs.map(output => output.value), [1000000000, 4000000000]);
+    });
+
+    it('serializes to the same raw transaction and id', () => {
+      const tx = Transaction.fromHex(RAW_TX);
+      assert.equal(tx.toHex(), RAW_TX);
+      assert.equal(tx.getId(), TXID);
+      assert.equal(tx.getSize(), RAW_TX.length / 2);
+    });
+
+    it('throws if the raw transaction is invalid', () => {
+      assert.throws(() => Transaction.fromHex('0x01'), 'hex must be a hex string.');
+      assert.throws(() => Transaction.fromHex(RAW_TX.slice(0, -2)), 'Unexpected end of transaction.');
+      assert.throws(() => Transaction.fromHex(`${RAW_TX}00`), 'Unexpected data after the transaction.');
+      assert.throws(() => Transaction.fromHex(`02000000000101${RAW_TX.slice(10)}`), 'Segwit transactions are not supported.');
+    });
+  });
+
+  describe('hashForSignature()', () => {
+    it('computes the hash signed by the input', () => {
+      const tx = Transaction.fromHex(RAW_TX);
+      const prevOutScript = Buffer.from(PREV_OUT_SCRIPT, 'hex');
+      const hash = tx.hashForSignature(0, prevOutScript);
+
+      const signature = tx.inputs[0].script.slice(1, -1);
+      const keyPair = KeyPair.fromPublicKey(prevOutScript.slice(1, 66));
+      assert.isTrue(keyPair.verify(hash, signature));
+      assert.isFalse(keyPair.verify(tx.hashForSignature(0, Buffer.alloc(0)), signature));
+    });
+
+    it('throws if the input or hash type is not supported', () => {
+      const tx = Transaction.fromHex(RAW_TX);
+      assert.throws(() => tx.hashForSignature(1, Buffer.alloc(0)), 'Transaction has no input 1.');
+      assert.throws(() => tx.hashForSignature(0, Buffer.alloc(0), 0x81), 'Only SIGHASH_ALL is supported.');
+    });
+  });
+
+  describe('addInput() and addOutput()', () => {
+    it('builds a transaction', () => {
+      const tx = new Transaction();
+      assert.equal(tx.addInput(PREV_TXID.toUpperCase(), 1), 0);
+      assert.equal(tx.addOutput(Script.toOutputScript('vCvENq9MopaXHQnsL2iCUrUv7ESBNt98s2'), 2 ** 40), 0);
+
+      const parsed = Transaction.fromHex(tx.toHex());
+      assert.equal(parsed.version, 2);
+      assert.equal(parsed.inputs[0].txid, PREV_TXID);
+      assert.equal(parsed.outputs[0].value, 2 ** 40);
+      assert.equal(parsed.outputs[0].script.toString('hex'), '76a9143a2d4145a4f098523b3e8127f1da87cfc55b8e7988ac');
+    });
+
+    it('throws if an input or output is invalid', () => {
+      const tx = new Transaction();
+      assert.throws(() => tx.addInput('00', 0), 'txid must be a 32 bytes hex string.');
+      assert.throws(() => tx.addInput(PREV_TXID, -1), 'vout must be a positive integer.');
+      assert.throws(() => tx.addOutput('76a9', 1), 'script must be a Buffer.');
+      assert.throws(() => tx.addOutput(Buffer.alloc(0), 0.5), 'value must be a positive integer of satoshis.');
+    });
+  });
+});
+
+describe('Script', () => {
+  it('builds the output scripts of the addresses', () => {
+    assert.equal(Script.toOutputScript('vCvENq9MopaXHQnsL2iCUrUv7ESBNt98s2', 'testnet').toString('hex'), '76a9143a2d4145a4f098523b3e8127f1da87cfc55b8e7988ac');
+    assert.equal(Script.toOutputScript('mdPdSjtcxfM2iRg7RVxC5Tj5cu172BX4aH').toString('hex'), 'a914e8ad19efc526cb83065c67616b8ba6766e713f4087');
+    assert.throws(() => Script.toOutputScript('vCvENq9MopaXHQnsL2iCUrUv7ESBNt98s2', 'mainnet'), /is not an address of mainnet/);
+  });
+
+  it('gets the hash of P2PKH scripts', () => {
+    const hash = Buffer.from('3a2d4145a4f098523b3e8127f1da87cfc55b8e79', 'hex');
+    assert.isTrue(Script.getP2pkhHash(Script.p2pkhOutput(hash)).equals(hash));
+    assert.isUndefined(Script.getP2pkhHash(Script.p2shOutput(hash)));
+  });
+
+  it('encodes numbers like the nodes', () => {
+    assert.equal(Script.encodeNumber(0).toString('hex'), '');
+    assert.equal(Script.encodeNumber(40).toString('hex'), '28');
+    assert.equal(Script.encodeNumber(128).toString('hex'), '8000');
+    assert.equal(Script.encodeNumber(250000).toString('hex'), '90d003');
+    assert.equal(Script.encodeNumber(-1).toString('hex'), '81');
+  });
+
+  it('builds the contract output scripts', () => {
+    assert.equal(Script.contractCallOutput(250000, 40, '0x', '0x17e7888aa7412a735f336d2f6d784caefabb6fa3').toString('hex'), '01040390d0030128001417e7888aa7412a735f336d2f6d784caefabb6fa3c2');
+    assert.equal(Script.contractCreateOutput(2500000, 40, '6080').toString('hex'), '010403a025260128026080c1');
+  });
+
+  it('pushes data with the smallest opcode', () => {
+    assert.equal(Script.pushData(Buffer.alloc(75)).slice(0, 1).toString('hex'), '4b');
+    assert.equal(Script.pushData(Buffer.alloc(76)).slice(0, 2).toString('hex'), '4c4c');
+    assert.equal(Script.pushData(Buffer.alloc(256)).slice(0, 3).toString('hex'), '4d0001');
+    assert.equal(Script.compile([Script.OPS.OP_DUP, Buffer.from([1, 2])]).toString('hex'), '76020102');
+  });
+});
+/* eslint-enable no-underscore-dangle, max-len */
@@ -0,0 +1,347 @@
+const { isArray, isFinite, isString, isUndefined, sortBy, sumBy } = require('lodash');
+const BigNumber = require('bignumber.js');
+
+const Networks = require('../networks');
+const KeyPair = require('../key-pair');
+const Transaction = require('./transaction');
+const Script = require('./script');
+
+const SATOSHIS_PER_COIN = 1e8;
+const DEFAULT_FEE_RATE = 400000;
+const DEFAULT_DUST_THRESHOLD = 72800;
+const DEFAULT_GAS_LIMIT = 250000;
+const DEFAULT_DEPLOY_GAS_LIMIT = 2500000;
+const DEFAULT_GAS_PRICE = 40;
+const REGEX_HEX = /^([0-9a-fA-F]{2})*$/;
+
+// Serialized sizes used to estimate the fee before signing
+const TX_OVERHEAD_SIZE = 4 + 4; // version and locktime
+const INPUT_OVERHEAD_SIZE = 32 + 4 + 4; // txid, vout and sequence
+const SIGNATURE_PUSH_SIZE = 1 + 72; // push of the DER signature with a low S and the hash type
+
+/**
+ * Converts an amount of VIPS, eg. of listunspent, to satoshis.
+ * @param {number|string} amount The amount of VIPS.
+ * @return {number} The amount of satoshis.
+ */
+const toSatoshis = (amount) => {
+  const satoshis = new BigNumber(amount).times(SATOSHIS_PER_COIN);
+  if (!satoshis.isInteger()) {
+    throw Error(`${amount} has more than 8 decimals.`);
+  }
+  return satoshis.toNumber();
+};
+
+/**
+ * Normalizes an unspent output of listunspent or of the address index (getaddressutxos).
+ * @param {object} utxo The unspent output.
+ * @return {object} The unspent output as { txid, vout, value, script }, value in satoshis and script a Buffer.
+ */
+const normalizeUtxo = (utxo) => {
+  const isAddressIndex = !isUndefined(utxo.satoshis);
+  const vout = isAddressIndex ? utxo.outputIndex : utxo.vout;
+  const script = isAddressIndex ? utxo.script : utxo.scriptPubKey;
+  if (!isString(utxo.txid) || !Number.isInteger(vout) || !isString(script) || !REGEX_HEX.test(script)) {
+    throw Error('utxo must have the txid, vout and scriptPubKey of listunspent or the address index.');
+  }
+
+  return {
+    txid: utxo.txid,
+    vout,
+    value: isAddressIndex ? utxo.satoshis : toSatoshis(utxo.amount),
+    script: Buffer.from(script, 'hex'),
+  };
+};
+
+/**
+ * Builds and signs transactions locally with keys which are never sent to a node, to be broadcast with
+ * sendrawtransaction. The same UTXOs, outputs and options always build the same transaction.
+ */
+class TransactionBuilder {
+  /**
+   * Constructor.
+   * @param {object} options Builder options.
+   *    network: network name or object of the addresses and keys (default: 'testnet')
+   *    feeRate: fee in satoshis per kB (default: 400000, ie. 0.004 VIPS/kB)
+   *    dustThreshold: minimum value in satoshis of the outputs, smaller change is added to the fee (default: 72800)
+   *    changeAddress: address of the change (default: address of the first selected UTXO)
+   *    senderAddress: P2PKH address spent by the first input, ie. msg.sender of the contract outputs
+   *      (default: address of the largest UTXO)
+   *    locktime: locktime of the transaction (default: 0)
+   */
+  constructor(options = {}) {
+    const {
+      network = Networks.testnet,
+      feeRate = DEFAULT_FEE_RATE,
+      dustThreshold = DEFAULT_DUST_THRESHOLD,
+      changeAddress,
+      senderAddress,
+      locktime = 0,
+    } = options;
+    if (!isFinite(feeRate) || feeRate < 0) {
+      throw Error('feeRate must be a positive number of satoshis per kB.');
+    }
+    if (!isFinite(dustThreshold) || dustThreshold < 0) {
+      throw Error('dustThreshold must be a positive number of satoshis.');
+    }
+
+    this.network = Networks.getNetwork(network);
+    this.feeRate = feeRate;
+    this.dustThreshold = dustThreshold;
+    this.locktime = locktime;
+    this.utxos = [];
+    this.outputs = [];
+    this.keys = {};
+    if (changeAddress) {
+      this.setChangeAddress(changeAddress);
+    }
+    if (senderAddress) {
+      this.setSenderAddress(senderAddress);
+    }
+  }
+
+  /**
+   * Adds spendable outputs, eg. of vweb3.listUnspent() or vweb3.getAddressUtxos().
+   * Only the P2PKH outputs of the added keys are selected.
+   * @param {array} utxos The unspent outputs.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addUtxos(utxos) {
+    if (!isArray(utxos)) {
+      throw Error('utxos must be an array.');
+    }
+
+    this.utxos.push(...utxos.map(normalizeUtxo));
+    return this;
+  }
+
+  /**
+   * Adds an output paying an address.
+   * @param {string} address The P2PKH or P2SH address of the network.
+   * @param {number} value The value in satoshis. Use TransactionBuilder.toSatoshis() to convert VIPS.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addOutput(address, value) {
+    return this.addOutputScript(Script.toOutputScript(address, this.network), value);
+  }
+
+  /**
+   * Adds an output with a script.
+   * @param {Buffer} script The output script.
+   * @param {number} value The value in satoshis.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addOutputScript(script, value) {
+    if (!Buffer.isBuffer(script)) {
+      throw Error('script must be a Buffer.');
+    }
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw Error('value must be a positive integer of satoshis.');
+    }
+
+    this.outputs.push({ script, value, gas: 0 });
+    return this;
+  }
+
+  /**
+   * Adds an OP_CALL output calling a contract. The gas limit times the gas price is added to the fee.
+   * @param {string} contractAddress The hex address of the contract.
+   * @param {string} data The hex encoded call, eg. of Encoder.constructData(abi, methodName, args).
+   * @param {object} options Call options.
+   *    amount: value sent to the contract in satoshis (default: 0)
+   *    gasLimit: gas limit of the call (default: 250000)
+   *    gasPrice: gas price in satoshis (default: 40, ie. 0.0000004 VIPS)
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addContractCall(contractAddress, data, options = {}) {
+    const { amount = 0, gasLimit = DEFAULT_GAS_LIMIT, gasPrice = DEFAULT_GAS_PRICE } = options;
+    const script = Script.contractCallOutput(gasLimit, gasPrice, data, contractAddress);
+    this.addOutputScript(script, amount);
+    Object.assign(this.outputs[this.outputs.length - 1], { gas: gasLimit * gasPrice, isContract: true });
+    return this;
+  }
+
+  /**
+   * Adds an OP_CREATE output deploying a contract. The gas limit times the gas price is added to the fee.
+   * The address of the contract is derived from the txid, see vweb3.getTransactionReceipt() once mined.
+   * @param {string} bytecode The hex bytecode, eg. of Encoder.constructDeployData(abi, bytecode, args).
+   * @param {object} options Deployment options.
+   *    gasLimit: gas limit of the deployment (default: 2500000)
+   *    gasPrice: gas price in satoshis (default: 40, ie. 0.0000004 VIPS)
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addContractCreate(bytecode, options = {}) {
+    const { gasLimit = DEFAULT_DEPLOY_GAS_LIMIT, gasPrice = DEFAULT_GAS_PRICE } = options;
+    const script = Script.contractCreateOutput(gasLimit, gasPrice, bytecode);
+    this.addOutputScript(script, 0);
+    Object.assign(this.outputs[this.outputs.length - 1], { gas: gasLimit * gasPrice, isContract: true });
+    return this;
+  }
+
+  /**
+   * Adds a key to sign the UTXOs of its address.
+   * @param {KeyPair|HDWallet|string} key The key pair, HD wallet node or WIF private key of the network.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  addKey(key) {
+    let keyPair = key;
+    if (isString(key)) {
+      keyPair = KeyPair.fromWIF(key, this.network);
+    } else if (key && key.keyPair instanceof KeyPair) {
+      ({ keyPair } = key);
+    }
+    if (!(keyPair instanceof KeyPair) || !keyPair.privateKey) {
+      throw Error('key must be a KeyPair or HDWallet with a private key, or a WIF.');
+    }
+
+    this.keys[keyPair.getHash160()] = keyPair;
+    return this;
+  }
+
+  /**
+   * Sets the address of the change.
+   * @param {string} address The P2PKH or P2SH address of the network.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  setChangeAddress(address) {
+    this.changeScript = Script.toOutputScript(address, this.network);
+    return this;
+  }
+
+  /**
+   * Sets the address spent by the first input, which is the sender of the contract outputs.
+   * @param {string} address The P2PKH address of the network.
+   * @return {TransactionBuilder} The builder for chaining.
+   */
+  setSenderAddress(address) {
+    const hash = Script.getP2pkhHash(Script.toOutputScript(address, this.network));
+    if (!hash) {
+      throw Error('senderAddress must be a P2PKH address.');
+    }
+
+    this.senderHash = hash.toString('hex');
+    return this;
+  }
+
+  /**
+   * Estimates the size of the signed transaction.
+   * @param {array} keyPairs The key pairs signing the inputs.
+   * @param {array} scripts The output scripts.
+   * @return {number} The size in bytes.
+   */
+  static estimateSize(keyPairs, scripts) {
+    const inputsSize = sumBy(keyPairs, (keyPair) => {
+      const scriptSize = SIGNATURE_PUSH_SIZE + 1 + keyPair.publicKey.length;
+      return INPUT_OVERHEAD_SIZE + Transaction.varIntSize(scriptSize) + scriptSize;
+    });
+    const outputsSize = sumBy(scripts, script => 8 + Transaction.varIntSize(script.length) + script.length);
+    return TX_OVERHEAD_SIZE
+      + Transaction.varIntSize(keyPairs.length) + inputsSize
+      + Transaction.varIntSize(scripts.length) + outputsSize;
+  }
+
+  /**
+   * Computes the fee of a transaction size with the fee rate.
+   * @param {number} size The size in bytes.
+   * @return {number} The fee in satoshis.
+   */
+  getFee(size) {
+    return Math.ceil((size * this.feeRate) / 1000);
+  }
+
+  /**
+   * Selects the UTXOs paying the outputs and the fee, largest first. Ties are ordered by txid and vout.
+   * The largest UTXO of the sender is selected first if senderAddress is set.
+   * @return {object} The selection as { utxos, fee, gas, change }, values in satoshis. fee includes the gas of the
+   *    contract outputs. change is 0 if it would be dust.
+   */
+  selectUtxos() {
+    if (this.outputs.length === 0) {
+      throw Error('Transaction has no outputs.');
+    }
+    const dust = this.outputs.find(output => !output.isContract && output.value < this.dustThreshold);
+    if (dust) {
+      throw Error(`Output value ${dust.value} is below the dust threshold of ${this.dustThreshold}.`);
+    }
+
+    const spendable = this.utxos
+      .map((utxo) => {
+        const hash = Script.getP2pkhHash(utxo.script);
+        const hex = hash && hash.toString('hex');
+        return Object.assign({ keyPair: hex && this.keys[hex], hash: hex }, utxo);
+      })
+      .filter(utxo => !!utxo.keyPair);
+    const candidates = sortBy(spendable, [utxo => -utxo.value, 'txid', 'vout']);
+    if (this.senderHash) {
+      const index = candidates.findIndex(utxo => utxo.hash === this.senderHash);
+      if (index === -1) {
+        throw Error('No spendable UTXO of the senderAddress, add its UTXOs and key.');
+      }
+      candidates.unshift(...candidates.splice(index, 1));
+    }
+    // The gas is paid with the fee
+    const gas = sumBy(this.outputs, 'gas');
+    const required = sumBy(this.outputs, 'value') + gas;
+    const scripts = this.outputs.map(output => output.script);
+
+    const selected = [];
+    let total = 0;
+    for (let i = 0; i < candidates.length; i += 1) {
+      selected.push(candidates[i]);
+      total += candidates[i].value;
+
+      const keyPairs = selected.map(utxo => utxo.keyPair);
+      const fee = this.getFee(TransactionBuilder.estimateSize(keyPairs, scripts));
+      if (total >= required + fee) {
+        const changeScript = this.changeScript || selected[0].script;
+        const feeWithChange = this.getFee(TransactionBuilder.estimateSize(keyPairs, [...scripts, changeScript]));
+        const change = total - required - feeWithChange;
+        if (change >= this.dustThreshold) {
+          return {
+            utxos: selected,
+            fee: feeWithChange + gas,
+            gas,
+            change,
+          };
+        }
+        return {
+          utxos: selected,
+          fee: (total - required) + gas,
+          gas,
+          change: 0,
+        };
+      }
+    }
+
+    const available = sumBy(candidates, 'value');
+    throw Error(`Insufficient funds: ${available} satoshis available for ${required} satoshis and the fee.`);
+  }
+
+  /**
+   * Selects the UTXOs, adds the change and signs the inputs.
+   * @return {Transaction} The signed transaction. Broadcast tx.toHex() with vweb3.sendRawTransaction().
+   */
+  build() {
+    const { utxos, change } = this.selectUtxos();
+    const tx = new Transaction({ locktime: this.locktime });
+    utxos.forEach(utxo => tx.addInput(utxo.txid, utxo.vout));
+    this.outputs.forEach(output => tx.addOutput(output.script, output.value));
+    if (change > 0) {
+      tx.addOutput(this.changeScript || utxos[0].script, change);
+    }
+
+    utxos.forEach((utxo, index) => {
+      const hash = tx.hashForSignature(index, utxo.script, Transaction.SIGHASH_ALL);
+      const signature = Buffer.concat([utxo.keyPair.sign(hash), Buffer.from([Transaction.SIGHASH_ALL])]);
+      tx.setInputScript(index, Script.p2pkhInput(signature, utxo.keyPair.publicKey));
+    });
+    return tx;
+  }
+}
+
+TransactionBuilder.toSatoshis = toSatoshis;
+TransactionBuilder.DEFAULT_FEE_RATE = DEFAULT_FEE_RATE;
+TransactionBuilder.DEFAULT_DUST_THRESHOLD = DEFAULT_DUST_THRESHOLD;
+TransactionBuilder.DEFAULT_GAS_PRICE = DEFAULT_GAS_PRICE;
+
+module.exports = TransactionBuilder;
@@ -0,0 +1,293 @@
+const { isString } = require('lodash');
+
+const { hash256 } = require('../utils/hash');
+
+const DEFAULT_VERSION = 2;
+const DEFAULT_SEQUENCE = 0xffffffff;
+const SIGHASH_ALL = 0x01;
+const TXID_LENGTH = 32;
+const UINT32_MAX = 0x100000000;
+const REGEX_TXID = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Gets the size of a compact size integer, ie. the variable length integers of the counts and script lengths.
+ * @param {number} num The integer.
+ * @return {number} The size in bytes.
+ */
+const varIntSize = (num) => {
+  if (num < 0xfd) {
+    return 1;
+  }
+  if (num <= 0xffff) {
+    return 3;
+  }
+  return num <= 0xffffffff ? 5 : 9;
+};
+
+/**
+ * Serializes a compact size integer.
+ * @param {number} num The integer.
+ * @return {Buffer} The serialized integer.
+ */
+const varInt = (num) => {
+  const buffer = Buffer.alloc(varIntSize(num));
+  if (buffer.length === 1) {
+    buffer.writeUInt8(num, 0);
+  } else if (buffer.length === 3) {
+    buffer.writeUInt8(0xfd, 0);
+    buffer.writeUInt16LE(num, 1);
+  } else if (buffer.length === 5) {
+    buffer.writeUInt8(0xfe, 0);
+    buffer.writeUInt32LE(num, 1);
+  } else {
+    buffer.writeUInt8(0xff, 0);
+    buffer.writeUInt32LE(num % UINT32_MAX, 1);
+    buffer.writeUInt32LE(Math.floor(num / UINT32_MAX), 5);
+  }
+  return buffer;
+};
+
+/**
+ * Serializes a 32 bits unsigned integer in little endian.
+ * @param {number} num The integer.
+ * @return {Buffer} The 4 bytes.
+ */
+const uint32 = (num) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(num, 0);
+  return buffer;
+};
+
+/**
+ * Serializes an output value in satoshis as a 64 bits integer in little endian.
+ * @param {number} value The value in satoshis.
+ * @return {Buffer} The 8 bytes.
+ */
+const uint64 = value => Buffer.concat([uint32(value % UINT32_MAX), uint32(Math.floor(value / UINT32_MAX))]);
+
+/**
+ * Sequential reader of a serialized transaction.
+ */
+class BufferReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  read(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw Error('Unexpected end of transaction.');
+    }
+    const data = this.buffer.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return data;
+  }
+
+  readUInt32() {
+    return this.read(4).readUInt32LE(0);
+  }
+
+  readUInt64() {
+    const low = this.readUInt32();
+    return (this.readUInt32() * UINT32_MAX) + low;
+  }
+
+  readVarInt() {
+    const first = this.read(1)[0];
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      return this.read(2).readUInt16LE(0);
+    }
+    return first === 0xfe ? this.readUInt32() : this.readUInt64();
+  }
+
+  readVarSlice() {
+    return this.read(this.readVarInt());
+  }
+}
+
+/**
+ * VIPSTARCOIN transaction in the legacy, non-segwit, serialization.
+ */
+class Transaction {
+  /**
+   * Constructor.
+   * @param {object} options Transaction options.
+   *    version: transaction version (default: 2)
+   *    locktime: block height or timestamp before which the transaction cannot be mined (default: 0)
+   */
+  constructor(options = {}) {
+    const { version = DEFAULT_VERSION, locktime = 0 } = options;
+
+    this.version = version;
+    this.locktime = locktime;
+    this.inputs = [];
+    this.outputs = [];
+  }
+
+  /**
+   * Parses a raw transaction, eg. returned by getrawtransaction.
+   * @param {string} hex The hex raw transaction.
+   * @return {Transaction} The transaction.
+   */
+  static fromHex(hex) {
+    if (!isString(hex) || !/^([0-9a-fA-F]{2})+$/.test(hex)) {
+      throw Error('hex must be a hex string.');
+    }
+
+    const reader = new BufferReader(Buffer.from(hex, 'hex'));
+    const tx = new Transaction({ version: reader.readUInt32() });
+    const inputCount = reader.readVarInt();
+    if (inputCount === 0) {
+      throw Error('Segwit transactions are not supported.');
+    }
+    for (let i = 0; i < inputCount; i += 1) {
+      const txid = Buffer.from(reader.read(TXID_LENGTH)).reverse().toString('hex');
+      const vout = reader.readUInt32();
+      const script = reader.readVarSlice();
+      tx.addInput(txid, vout, reader.readUInt32(), script);
+    }
+    const outputCount = reader.readVarInt();
+    for (let i = 0; i < outputCount; i += 1) {
+      const value = reader.readUInt64();
+      tx.addOutput(reader.readVarSlice(), value);
+    }
+    tx.locktime = reader.readUInt32();
+    if (reader.offset !== reader.buffer.length) {
+      throw Error('Unexpected data after the transaction.');
+    }
+    return tx;
+  }
+
+  /**
+   * Adds an input spending an output.
+   * @param {string} txid The hex id of the transaction of the output.
+   * @param {number} vout The index of the output.
+   * @param {number} sequence The sequence number (default: 0xffffffff).
+   * @param {Buffer} script The input script, empty until signed (default: empty).
+   * @return {number} The index of the input.
+   */
+  addInput(txid, vout, sequence = DEFAULT_SEQUENCE, script = Buffer.alloc(0)) {
+    if (!isString(txid) || !REGEX_TXID.test(txid)) {
+      throw Error('txid must be a 32 bytes hex string.');
+    }
+    if (!Number.isInteger(vout) || vout < 0) {
+      throw Error('vout must be a positive integer.');
+    }
+
+    this.inputs.push({
+      txid: txid.toLowerCase(),
+      vout,
+      sequence,
+      script,
+    });
+    return this.inputs.length - 1;
+  }
+
+  /**
+   * Adds an output.
+   * @param {Buffer} script The output script.
+   * @param {number} value The value in satoshis.
+   * @return {number} The index of the output.
+   */
+  addOutput(script, value) {
+    if (!Buffer.isBuffer(script)) {
+      throw Error('script must be a Buffer.');
+    }
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw Error('value must be a positive integer of satoshis.');
+    }
+
+    this.outputs.push({ script, value });
+    return this.outputs.length - 1;
+  }
+
+  /**
+   * Sets the script of an input, eg. once signed.
+   * @param {number} index The index of the input.
+   * @param {Buffer} script The input script.
+   */
+  setInputScript(index, script) {
+    this.inputs[index].script = script;
+  }
+
+  /**
+   * Serializes the transaction.
+   * @return {Buffer} The raw transaction.
+   */
+  toBuffer() {
+    return Buffer.concat([
+      uint32(this.version),
+      varInt(this.inputs.length),
+      ...this.inputs.map(input => Buffer.concat([
+        Buffer.from(input.txid, 'hex').reverse(),
+        uint32(input.vout),
+        varInt(input.script.length),
+        input.script,
+        uint32(input.sequence),
+      ])),
+      varInt(this.outputs.length),
+      ...this.outputs.map(output => Buffer.concat([
+        uint64(output.value),
+        varInt(output.script.length),
+        output.script,
+      ])),
+      uint32(this.locktime),
+    ]);
+  }
+
+  /**
+   * Serializes the transaction for the sendrawtransaction RPC.
+   * @return {string} The hex raw transaction.
+   */
+  toHex() {
+    return this.toBuffer().toString('hex');
+  }
+
+  /**
+   * Gets the id of the transaction, ie. the reversed double SHA256 of the raw transaction.
+   * @return {string} The hex txid.
+   */
+  getId() {
+    return hash256(this.toBuffer()).reverse().toString('hex');
+  }
+
+  /**
+   * Gets the size of the serialized transaction.
+   * @return {number} The size in bytes.
+   */
+  getSize() {
+    return this.toBuffer().length;
+  }
+
+  /**
+   * Computes the legacy signature hash of an input with SIGHASH_ALL.
+   * @param {number} index The index of the input.
+   * @param {Buffer} prevOutScript The output script spent by the input.
+   * @param {number} hashType The signature hash type, only SIGHASH_ALL is supported (default: SIGHASH_ALL).
+   * @return {Buffer} The 32 bytes hash to sign.
+   */
+  hashForSignature(index, prevOutScript, hashType = SIGHASH_ALL) {
+    if (!this.inputs[index]) {
+      throw Error(`Transaction has no input ${index}.`);
+    }
+    if (hashType !== SIGHASH_ALL) {
+      throw Error('Only SIGHASH_ALL is supported.');
+    }
+
+    const tx = new Transaction({ version: this.version, locktime: this.locktime });
+    this.inputs.forEach((input, i) => {
+      tx.addInput(input.txid, input.vout, input.sequence, i === index ? prevOutScript : Buffer.alloc(0));
+    });
+    this.outputs.forEach(output => tx.addOutput(output.script, output.value));
+    return hash256(Buffer.concat([tx.toBuffer(), uint32(hashType)]));
+  }
+}
+
+Transaction.SIGHASH_ALL = SIGHASH_ALL;
+Transaction.DEFAULT_SEQUENCE = DEFAULT_SEQUENCE;
+Transaction.varIntSize = varIntSize;
+
+module.exports = Transaction;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+
+const CHECKSUM_LENGTH = 4;
+
+/**
+ * SHA256 of data.
+ * @param {Buffer} data The data to hash.
+ * @return {Buffer} The 32 bytes hash.
+ */
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Double SHA256 of data, used for the base58check checksums and the transaction ids.
+ * @param {Buffer} data The data to hash.
+ * @return {Buffer} The 32 bytes hash.
+ */
+const hash256 = data => sha256(sha256(data));
+
+/**
+ * RIPEMD160 of the SHA256 of data, used for the public key and script hashes of the addresses.
+ * @param {Buffer} data The data to hash.
+ * @return {Buffer} The 20 bytes hash.
+ */
+const hash160 = data => crypto.createHash('ripemd160').update(sha256(data)).digest();
+
+/**
+ * HMAC-SHA512 of data, used for the BIP32 key derivation.
+ * @param {Buffer|string} key The HMAC key.
+ * @param {Buffer} data The data to hash.
+ * @return {Buffer} The 64 bytes hash.
+ */
+const hmacSha512 = (key, data) => crypto.createHmac('sha512', key).update(data).digest();
+
+/**
+ * Encodes a payload with base58check, ie. appends the first 4 bytes of its double SHA256 before base58 encoding it.
+ * @param {Buffer} payload The payload, eg. the version byte and the hash of an address.
+ * @return {string} The base58check string.
+ */
+const toBase58Check = payload => bs58.encode(Buffer.concat([payload, hash256(payload).slice(0, CHECKSUM_LENGTH)]));
+
+/**
+ * Decodes a base58check string and verifies its checksum.
+ * @param {string} str The base58check string.
+ * @return {Buffer} The payload without the checksum.
+ */
+const fromBase58Check = (str) => {
+  const bytes = bs58.decode(str);
+  const payload = bytes.slice(0, -CHECKSUM_LENGTH);
+  const checksum = bytes.slice(-CHECKSUM_LENGTH);
+  if (bytes.length <= CHECKSUM_LENGTH || !hash256(payload).slice(0, CHECKSUM_LENGTH).equals(checksum)) {
+    throw Error('Invalid base58check checksum.');
+  }
+  return payload;
+};
+
+module.exports = {
+  CHECKSUM_LENGTH,
+  sha256,
+  hash256,
+  hash160,
+  hmacSha512,
+  toBase58Check,
+  fromBase58Check,
+};
@@ -1,6 +1,8 @@
 const _ = require('lodash');
 const utf8 = require('utf8');
 
+const Address = require('../address');
+
 class Utils {
   /**
    * Parameter check at the beginning of a function
@@ -146,25 +148,14 @@ class Utils {
   }
 
   /**
-   * Returns true if given string is valid VIPSTARCOIN address
+   * Returns true if given string is valid VIPSTARCOIN address, ie. its checksum and version byte are valid.
    * @method isVIPSTARCOINAddress
    * @param {String}
+   * @param {String|Object} network Network name or object. Any known network if undefined.
    * @return {Boolean}
    */
-  static isVIPSTARCOINAddress(address) {
-    if (_.isUndefined(address)) {
-      return false;
-    }
-
-    if (_.size(address) !== 34) {
-      return false;
-    }
-
-    if (!address.startsWith('v') && !address.startsWith('V')) {
-      return false;
-    }
-
-    return true;
+  static isVIPSTARCOINAddress(address, network) {
+    return Address.validate(address, network).valid;
   }
 }
 
@@ -0,0 +1,65 @@
+const { isEmpty, isFinite, isString, find } = require('lodash');
+
+const { TimeoutError, ContractExecutionError } = require('./errors');
+
+const DEFAULT_CONFIRMATIONS = 1;
+const DEFAULT_TIMEOUT = 600000;
+const DEFAULT_POLL_INTERVAL = 5000;
+const EXCEPTED_NONE = 'None';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls gettransactionreceipt until the transaction is mined and has the number of confirmations.
+ * @param {Vweb3Provider} provider Vweb3 compatible provider.
+ * @param {string} txid The transaction id to wait for.
+ * @param {object} options Wait options.
+ *    confirmations: number of blocks including the mined block (default: 1)
+ *    timeout: milliseconds to wait before rejecting with a TimeoutError (default: 600000)
+ *    pollInterval: milliseconds between polls (default: 5000)
+ * @return {Promise} Transaction receipts, ContractExecutionError if the VM excepted, or TimeoutError.
+ */
+const waitForReceipt = async (provider, txid, options = {}) => {
+  if (!isString(txid) || isEmpty(txid)) {
+    throw Error('txid must be a string.');
+  }
+
+  const {
+    confirmations = DEFAULT_CONFIRMATIONS,
+    timeout = DEFAULT_TIMEOUT,
+    pollInterval = DEFAULT_POLL_INTERVAL,
+  } = options;
+  if (!isFinite(confirmations) || !isFinite(timeout) || !isFinite(pollInterval)) {
+    throw Error('confirmations, timeout and pollInterval must be numbers.');
+  }
+
+  const startTime = Date.now();
+  const poll = async () => {
+    const receipts = await provider.rawCall('gettransactionreceipt', [txid]);
+    if (!isEmpty(receipts)) {
+      const blockCount = await provider.rawCall('getblockcount');
+      if ((blockCount - receipts[0].blockNumber) + 1 >= confirmations) {
+        const failed = find(receipts, receipt => receipt.excepted && receipt.excepted !== EXCEPTED_NONE);
+        if (failed) {
+          throw new ContractExecutionError(failed.excepted, {
+            txid,
+            gasUsed: failed.gasUsed,
+            receipt: failed,
+            reason: failed.exceptedMessage || undefined,
+          });
+        }
+        return receipts;
+      }
+    }
+
+    if ((Date.now() - startTime) + pollInterval > timeout) {
+      throw new TimeoutError(txid, timeout);
+    }
+    await sleep(pollInterval);
+    return poll();
+  };
+
+  return poll();
+};
+
+module.exports = { waitForReceipt };
@@ -0,0 +1,256 @@
+const _ = require('lodash');
+const chai = require('chai');
+const path = require('path');
+
+const Vweb3 = require('../../src/vweb3');
+const Address = require('../../src/address');
+const { RpcError } = require('../../src/errors');
+const ContractMetadata = require('../data/contract_metadata');
+const vAssert = require('../utils/vassert');
+const {
+  getVIPSTARCOINRPCAddress,
+  getDefaultVIPSTARCOINAddress,
+  getWalletPassphrase,
+  isWalletEncrypted,
+} = require('../utils');
+
+const { assert } = chai;
+
+console.log(`Your VIPSTARCOIN RPC address is ${getVIPSTARCOINRPCAddress()}`);
+console.log(`Your Default VIPSTARCOIN address is ${getDefaultVIPSTARCOINAddress()}`);
+
+// Runs the Vweb3 calls against a live VIPSTARCOINd, so the RPC method names and params are checked by the node
+describe('Vweb3 integration', () => {
+  const VIPS_ADDRESS = getDefaultVIPSTARCOINAddress();
+  let vweb3;
+
+  beforeEach(() => {
+    vweb3 = new Vweb3(getVIPSTARCOINRPCAddress());
+  });
+
+  /** ******** MISC ********* */
+  describe('isConnected()', () => {
+    it('returns true when connected', async () => {
+      assert.isTrue(await vweb3.isConnected());
+    });
+  });
+
+  describe('getNetwork()', () => {
+    it('detects the network of the node', async () => {
+      const network = await vweb3.getNetwork();
+      assert.include(['main', 'test', 'regtest'], network.chain);
+      assert.isTrue(Address.validate(VIPS_ADDRESS, network).valid);
+    });
+  });
+
+  /** ******** BLOCKCHAIN ********* */
+  describe('getBlock()', () => {
+    it('returns the block info', async () => {
+      const res = await vweb3.getBlock(await vweb3.getBlockHash(0));
+      assert.isObject(res);
+      assert.isDefined(res.confirmations);
+      assert.isDefined(res.merkleroot);
+      assert.isArray(res.tx);
+      assert.isDefined(res.hash);
+      assert.isDefined(res.time);
+      assert.isDefined(res.mediantime);
+      assert.isDefined(res.difficulty);
+    });
+
+    it('returns a hex string if verbose is set to false', async () => {
+      const res = await vweb3.getBlock(await vweb3.getBlockHash(0), false);
+      assert.isString(res);
+    });
+  });
+
+  describe('getBlockchainInfo()', () => {
+    it('returns the block info', async () => {
+      const res = await vweb3.getBlockchainInfo();
+      assert.isObject(res);
+      assert.isDefined(res.chain);
+      assert.isDefined(res.blocks);
+      assert.isDefined(res.headers);
+      assert.isDefined(res.bestblockhash);
+      assert.isDefined(res.difficulty);
+      assert.isDefined(res.mediantime);
+      assert.isDefined(res.verificationprogress);
+      assert.isDefined(res.chainwork);
+      assert.isDefined(res.pruned);
+      assert.isDefined(res.softforks);
+      assert.isDefined(res.bip9_softforks);
+    });
+  });
+
+  describe('getBlockCount()', () => {
+    it('returns the blockcount', async () => {
+      assert.isNumber(await vweb3.getBlockCount());
+    });
+  });
+
+  describe('getBlockHash()', () => {
+    it('returns the block hash', async () => {
+      const res = await vweb3.getBlockHash(0);
+      assert.isString(res);
+      assert.lengthOf(res, 64);
+    });
+  });
+
+  describe('listContracts()', () => {
+    it('returns the array of deployed contracts', async () => {
+      assert.isObject(await vweb3.listContracts());
+    });
+  });
+
+  describe('searchLogs()', () => {
+    it('returns an array of logs', async () => {
+      const res = await vweb3.searchLogs(0, 10, [], [], ContractMetadata, true);
+      assert.isArray(res);
+    });
+  });
+
+  /** ******** NETWORK ********* */
+  describe('getPeerInfo()', () => {
+    it('returns the Node info', async () => {
+      const res = await vweb3.getPeerInfo();
+      assert.isArray(res);
+      _.forEach(res, (nodeInfo) => {
+        assert.isNumber(nodeInfo.synced_headers);
+        assert.isNumber(nodeInfo.synced_blocks);
+      });
+    });
+  });
+
+  /** ******** RAW TRANSACTIONS ********* */
+  describe('getHexAddress()', () => {
+    it('returns the hex address', async () => {
+      assert.equal(await vweb3.getHexAddress(VIPS_ADDRESS), Address.toHex(VIPS_ADDRESS));
+    });
+  });
+
+  describe('fromHexAddress()', () => {
+    it('returns the vipstarcoin address', async () => {
+      assert.equal(await vweb3.fromHexAddress(Address.toHex(VIPS_ADDRESS)), VIPS_ADDRESS);
+    });
+  });
+
+  /** ******** UTIL ********* */
+  describe('validateAddress()', () => {
+    it('returns an object validating the address', async () => {
+      assert.isTrue((await vweb3.validateAddress(VIPS_ADDRESS)).isvalid);
+      assert.isFalse((await vweb3.validateAddress('helloworld')).isvalid);
+    });
+  });
+
+  /** ******** WALLET ********* */
+  describe('dumpPrivateKey()', () => {
+    it('returns the private key', async () => {
+      const address = await vweb3.getAccountAddress('');
+      if (await isWalletEncrypted(vweb3)) {
+        await vweb3.walletPassphrase(getWalletPassphrase(), 3600);
+        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
+
+        assert.isString(await vweb3.dumpPrivateKey(address));
+
+        await vweb3.walletLock();
+        assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
+      } else {
+        assert.isString(await vweb3.dumpPrivateKey(address));
+      }
+    });
+  });
+
+  describe('getAccountAddress()', () => {
+    it('returns the account address', async () => {
+      vAssert.isVIPSTARCOINAddress(await vweb3.getAccountAddress(''));
+    });
+  });
+
+  describe('getAddressesByAccount()', () => {
+    it('returns the account address array', async () => {
+      const res = await vweb3.getAddressesByAccount('');
+      assert.isArray(res);
+      _.forEach(res, address => vAssert.isVIPSTARCOINAddress(address));
+    });
+  });
+
+  describe('getWalletInfo()', () => {
+    it('returns the wallet info', async () => {
+      const res = await vweb3.getWalletInfo();
+      assert.isNumber(res.walletversion);
+      assert.isNumber(res.balance);
+    });
+  });
+
+  describe('getUnconfirmedBalance()', () => {
+    it('returns the unconfirmed balance', async () => {
+      assert.isNumber(await vweb3.getUnconfirmedBalance());
+    });
+  });
+
+  describe('listAddressGroupings()', () => {
+    it('returns an array of address groupings', async () => {
+      const res = await vweb3.listAddressGroupings();
+      assert.isArray(res);
+      _.forEach(res, (group) => {
+        assert.isArray(group);
+        _.forEach(group, (item) => {
+          vAssert.isVIPSTARCOINAddress(item[0]);
+          assert.isNumber(item[1]);
+        });
+      });
+    });
+  });
+
+  describe('listLockUnspent()', () => {
+    it('returns an array of unspendable outputs', async () => {
+      assert.isArray(await vweb3.listLockUnspent());
+    });
+  });
+
+  describe('listUnspent()', () => {
+    it('returns an unspent output array', async () => {
+      assert.isArray(await vweb3.listUnspent());
+    });
+  });
+
+  describe('walletLock() and walletPassphrase()', () => {
+    it('locks and unlocks the encrypted wallet', async () => {
+      if (!(await isWalletEncrypted(vweb3))) {
+        return;
+      }
+
+      await vweb3.walletPassphrase(getWalletPassphrase(), 3600, true);
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until > 0);
+
+      await vweb3.walletLock();
+      assert.isTrue((await vweb3.getWalletInfo()).unlocked_until === 0);
+    });
+  });
+
+  // Runs tests that change the wallet only with --cleanenv, eg. in CI
+  const describeCleanEnv = _.includes(process.argv, '--cleanenv') ? describe : describe.skip;
+  describeCleanEnv('cleanEnv tests', () => {
+    describe('getNewAddress()', () => {
+      it('returns a new address', async () => {
+        vAssert.isVIPSTARCOINAddress(await vweb3.getNewAddress(''));
+      });
+    });
+
+    describe('backupWallet()', () => {
+      it('backs up the wallet', async () => {
+        await vweb3.backupWallet(path.join(__dirname, '../data/backup.dat'));
+      });
+    });
+
+    describe('importWallet()', () => {
+      it('throws if the file is not a wallet dump', async () => {
+        try {
+          await vweb3.importWallet(path.join(__dirname, '../data/missing.dat'));
+          assert.fail();
+        } catch (err) {
+          assert.instanceOf(err, RpcError);
+        }
+      });
+    });
+  });
+});
@@ -9,4 +9,14 @@ module.exports = class VAssert {
     assert.equal(_.size(address), 34);
     assert.isTrue(address.startsWith('v') || address.startsWith('V'));
   }
+
+  // Returns the error the promise was rejected with, or undefined if it resolved
+  static async getError(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      return err;
+    }
+    return undefined;
+  }
 };